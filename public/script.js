@@ -1,6 +1,6 @@
 // public/script.js
-// Shared utilities + event rendering (NO API keys)
-// Uses your server routes: /api/events and /api/events?reference=...
+// Shared utilities + page interactivity (NO API keys)
+// Event listings are rendered by the server; this only wires them up
 
 (function () {
   "use strict";
@@ -145,348 +145,556 @@
       .replace(/'/g, "&#039;");
   }
 
-  function unique(list) {
-    return [...new Set(list)];
-  }
+  // ----------------------------
+  // Event cards (All Shows + tour pages)
+  // The server renders every card (see "Show listings" in server.js) with its
+  // times as data-event-times: { "YYYY-MM-DD": { label, times: [{ label, link }] } }.
+  // Here we only wire date -> time -> Book Now. Until a time is picked the
+  // button keeps its server href (the town page).
+  // ----------------------------
+  function initEventCard(card) {
+    let byDay;
+    try {
+      byDay = JSON.parse(card.dataset.eventTimes || "{}");
+    } catch (err) {
+      return;
+    }
+
+    const dateDropdown = card.querySelector("select.event-date");
+    const timeDropdown = card.querySelector("select.event-time");
+    const bookBtn = card.querySelector(".book-button");
+    if (!dateDropdown || !timeDropdown || !bookBtn) return;
+
+    function resetLink() {
+      bookBtn.href = bookBtn.dataset.defaultHref || "#";
+      bookBtn.removeAttribute("target");
+      bookBtn.removeAttribute("rel");
+    }
+
+    // Date -> populate times (sold out / cancelled times listed but can't be picked)
+    dateDropdown.addEventListener("change", () => {
+      const day = byDay[dateDropdown.value];
+      timeDropdown.innerHTML = `<option value="">Select a time</option>`;
+      (day?.times || []).forEach((t) => {
+        const opt = document.createElement("option");
+        opt.value = t.link || "";
+        opt.disabled = !t.link;
+        opt.textContent = t.label;
+        timeDropdown.appendChild(opt);
+      });
+      resetLink();
+    });
 
+    // Time -> set book link
+    timeDropdown.addEventListener("change", () => {
+      if (!timeDropdown.value) return resetLink();
+      bookBtn.href = timeDropdown.value;
+      bookBtn.target = "_blank";
+      bookBtn.rel = "noopener";
+    });
+  }
 
+  document.addEventListener("DOMContentLoaded", () => {
+    document.querySelectorAll(".event[data-event-times]").forEach(initEventCard);
+  });
 
   // ----------------------------
-  // Date sorting helpers (UK dd/mm/yyyy)
+  // "Find the circus near me" (tour-locations + home page)
+  // The form posts to /tour-locations?postcode=... and works without JS;
+  // with JS we fetch /api/nearest and render the results in place.
   // ----------------------------
-  function parseUkDate(dateStr) {
-    const m = String(dateStr || "").match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
-    if (!m) return null;
-    const d = parseInt(m[1], 10);
-    const mo = parseInt(m[2], 10) - 1;
-    const y = parseInt(m[3], 10);
-    const dt = new Date(y, mo, d);
-    return Number.isNaN(dt.getTime()) ? null : dt;
+  function renderNearestResults(resultsEl, data) {
+    const towns = data?.towns || [];
+    const label = data?.origin?.label || "you";
+
+    if (!towns.length) {
+      resultsEl.innerHTML = `<p class="nearest-empty">No upcoming tour stops found near ${escapeHtml(label)}.</p>`;
+      return;
+    }
+
+    resultsEl.innerHTML = `
+      <p class="nearest-heading">Closest stops to ${escapeHtml(label)}</p>
+      <ol class="nearest-list">
+        ${towns
+          .map(
+            (t) => `
+          <li>
+            <a href="/circus-in/${encodeURIComponent(t.townSlug)}"><strong>${escapeHtml(t.town)}</strong></a>
+            <span class="nearest-distance">${escapeHtml(t.distanceMiles)} miles</span>
+            <span class="nearest-dates">${escapeHtml(t.dateRange)}</span>
+            <span class="nearest-badge">${escapeHtml(t.badge)}</span>
+          </li>`
+          )
+          .join("")}
+      </ol>
+    `;
   }
 
-  function sortUkDates(dateStrings) {
-    return [...dateStrings].sort((a, b) => {
-      const da = parseUkDate(a);
-      const db = parseUkDate(b);
-      const ta = da ? da.getTime() : Number.POSITIVE_INFINITY;
-      const tb = db ? db.getTime() : Number.POSITIVE_INFINITY;
-      return ta - tb;
+  function initNearestSearch(form) {
+    const input = form.querySelector('input[name="postcode"]');
+    const resultsEl = form.querySelector(".nearest-results");
+    const geoBtn = form.querySelector(".nearest-geolocate");
+    if (!input || !resultsEl) return;
+
+    async function search(params) {
+      resultsEl.innerHTML = `<p class="nearest-heading">Searching…</p>`;
+      try {
+        const res = await fetch(`/api/nearest?${new URLSearchParams(params)}`);
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        renderNearestResults(resultsEl, data);
+      } catch (err) {
+        resultsEl.innerHTML = `<p class="nearest-empty">${escapeHtml(err.message || "Search failed. Please try again.")}</p>`;
+      }
+    }
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const postcode = input.value.trim();
+      if (postcode) search({ postcode });
     });
+
+    if (geoBtn && navigator.geolocation) {
+      geoBtn.hidden = false;
+      geoBtn.addEventListener("click", () => {
+        navigator.geolocation.getCurrentPosition(
+          (pos) => search({ lat: pos.coords.latitude.toFixed(4), lng: pos.coords.longitude.toFixed(4) }),
+          () => {
+            resultsEl.innerHTML = `<p class="nearest-empty">We couldn't get your location. Please enter a postcode instead.</p>`;
+          },
+          { maximumAge: 600000, timeout: 10000 }
+        );
+      });
+    }
   }
+
+  document.addEventListener("DOMContentLoaded", () => {
+    document.querySelectorAll("form.nearest-search").forEach(initNearestSearch);
+  });
+
   // ----------------------------
-  // Shared event renderer (same UX as before)
-  // - groups by town (server returns this shape)
-  // - date dropdown -> time dropdown -> Book Now
+  // Service worker: offline copies of visited pages + push (public/sw.js)
   // ----------------------------
-  async function renderEventsPage({
-    containerId,
-    reference = null,
-    mode = "tour", // "tour" or "all"
-    loadingId = null,
-    noEventsSelector = null,
-    spinnerSelector = null,
-  }) {
-    const container = document.getElementById(containerId);
-    if (!container) return;
-
-    const loadingEl = loadingId ? document.getElementById(loadingId) : null;
-    const noEventsEl = noEventsSelector
-      ? document.querySelector(noEventsSelector)
-      : null;
-    const spinnerEl = spinnerSelector ? document.querySelector(spinnerSelector) : null;
-
-    function showLoading() {
-      if (loadingEl) loadingEl.style.display = "block";
-      if (spinnerEl) spinnerEl.style.display = "block";
-      if (noEventsEl) noEventsEl.style.display = "none";
+  if ("serviceWorker" in navigator) {
+    window.addEventListener("load", () => {
+      navigator.serviceWorker.register("/sw.js").catch(() => {});
+    });
+  }
+
+  // ----------------------------
+  // "Notify this device" (town pages)
+  // Only shown where Web Push works. Registers /sw.js, subscribes with the
+  // server's VAPID key and follows the town; a second click unfollows it.
+  // Followed towns are remembered locally so the button shows its state.
+  // ----------------------------
+  const PUSH_TOWNS_KEY = "reagal.pushTowns";
+
+  function readPushTowns() {
+    try {
+      return JSON.parse(localStorage.getItem(PUSH_TOWNS_KEY) || "[]");
+    } catch (err) {
+      return [];
     }
+  }
 
-    function hideLoading() {
-      if (loadingEl) loadingEl.style.display = "none";
-      if (spinnerEl) spinnerEl.style.display = "none";
+  function writePushTowns(towns) {
+    try {
+      localStorage.setItem(PUSH_TOWNS_KEY, JSON.stringify(towns));
+    } catch (err) {
+      // private mode: the button just won't remember
     }
+  }
 
-    showLoading();
+  function base64UrlToBytes(base64Url) {
+    const base64 = (base64Url + "=".repeat((4 - (base64Url.length % 4)) % 4)).replace(/-/g, "+").replace(/_/g, "/");
+    return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+  }
 
-    try {
-      const url = reference
-        ? `/api/events?reference=${encodeURIComponent(reference)}`
-        : `/api/events`;
-
-      const res = await fetch(url);
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      const eventsByTown = await res.json();
-
-      // Normalise API shape:
-      // - If server returns an object keyed by town, use it as-is.
-      // - If server returns a flat array of events, group them by town so we always render ONE card per town.
-      const normaliseByTown = (data) => {
-        if (!data) return {};
-        if (!Array.isArray(data)) return data;
-
-        const byTown = {};
-        data.forEach((ev) => {
-          const town =
-            ev?.town ||
-            ev?.townName ||
-            ev?.location ||
-            ev?.city ||
-            ev?.venueTown ||
-            ev?.venue?.town ||
-            "Unknown";
-          if (!byTown[town]) byTown[town] = [];
-          byTown[town].push(ev);
-        });
-        return byTown;
-      };
+  async function getPushSubscription({ create }) {
+    const reg = await navigator.serviceWorker.register("/sw.js");
+    await navigator.serviceWorker.ready;
+    const existing = await reg.pushManager.getSubscription();
+    if (existing || !create) return existing;
 
-      const eventsByTownMap = normaliseByTown(eventsByTown);
-
-      container.innerHTML = "";
-
-      const townEntries = Object.entries(eventsByTownMap || {}).filter(
-        ([, events]) => Array.isArray(events) && events.length
-      );
-
-      
-      // Sort towns by earliest show date (UK dd/mm/yyyy)
-      townEntries.sort((a, b) => {
-        const aDates = (a[1] || []).flatMap(ev => (ev.dates || []).map(d => d.date));
-        const bDates = (b[1] || []).flatMap(ev => (ev.dates || []).map(d => d.date));
-        const aMin = sortUkDates(unique(aDates))[0];
-        const bMin = sortUkDates(unique(bDates))[0];
-        const da = parseUkDate(aMin);
-        const db = parseUkDate(bMin);
-        const ta = da ? da.getTime() : Number.POSITIVE_INFINITY;
-        const tb = db ? db.getTime() : Number.POSITIVE_INFINITY;
-        return ta - tb;
-      });
+    const res = await fetch("/api/push/public-key");
+    const { publicKey } = await res.json();
+    return reg.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: base64UrlToBytes(publicKey) });
+  }
 
-if (!townEntries.length) {
-        if (noEventsEl) {
-          noEventsEl.style.display = "block";
-        } else {
-          container.innerHTML = `<p class="no-events-message">No events found.</p>`;
-        }
-        return;
+  async function postPush(url, body) {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    return data;
+  }
+
+  function initPushFollow(btn) {
+    const townSlug = btn.dataset.townSlug;
+    const label = btn.querySelector(".push-follow-label");
+    const statusEl = document.querySelector(".push-follow-status");
+    if (!townSlug || !label) return;
+
+    function render(following, message) {
+      btn.setAttribute("aria-pressed", following ? "true" : "false");
+      label.textContent = following ? "Notifications on" : "Notify this device";
+      if (statusEl) {
+        statusEl.hidden = !message;
+        statusEl.textContent = message || "";
       }
+    }
 
-      townEntries.forEach(([town, events]) => {
-        // Combine all dates for dropdowns
-        const allDates = events.flatMap((ev) => ev.dates || []);
-        const uniqueDates = sortUkDates(unique(allDates.map((d) => d.date)));
+    btn.hidden = false;
+    render(readPushTowns().includes(townSlug));
 
-        if (!uniqueDates.length) return;
+    btn.addEventListener("click", async () => {
+      const following = btn.getAttribute("aria-pressed") === "true";
+      btn.disabled = true;
+      try {
+        if (following) {
+          const sub = await getPushSubscription({ create: false });
+          const data = sub ? await postPush("/api/push/unsubscribe", { endpoint: sub.endpoint, townSlug }) : { towns: [] };
+          if (sub && !data.towns.length) await sub.unsubscribe();
+          writePushTowns(data.towns);
+          render(false, "Notifications for this town are off.");
+          return;
+        }
 
-        // For display: use the first event (your existing behaviour)
-        const ev = events[0];
+        if ((await Notification.requestPermission()) !== "granted") {
+          render(false, "Notifications are blocked for this site. You can allow them in your browser settings.");
+          return;
+        }
+        const sub = await getPushSubscription({ create: true });
+        const data = await postPush("/api/push/subscribe", { subscription: sub.toJSON(), townSlug });
+        writePushTowns(data.towns);
+        render(true, "We'll let you know when we're in town and on our last day.");
+      } catch (err) {
+        render(following, "Sorry, we couldn't change your notifications just now. Please try again.");
+      } finally {
+        btn.disabled = false;
+      }
+    });
+  }
 
-        // For All Shows page: include from/to range for the town
-        const fromDate = uniqueDates[0];
-        const toDate = uniqueDates[uniqueDates.length - 1];
+  document.addEventListener("DOMContentLoaded", () => {
+    if (!("serviceWorker" in navigator) || !("PushManager" in window) || !("Notification" in window)) return;
+    document.querySelectorAll(".push-follow").forEach(initPushFollow);
+  });
 
-        const eventDiv = document.createElement("div");
-        eventDiv.className = "event";
+  // ----------------------------
+  // Gallery (gallery.html + the about pages)
+  // Photos come from /api/gallery, built by the server from the image
+  // folders (utils/galleryManifest.js). gallery.html pages through every
+  // album; an about page shows the album named in .about-gallery[data-album].
+  // ----------------------------
+  async function fetchGallery(params) {
+    const res = await fetch(`/api/gallery?${new URLSearchParams(params)}`);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    return data;
+  }
 
-        // Thumbnail
-        if (ev.thumbnail) {
-          const img = document.createElement("img");
-          img.src = ev.thumbnail;
-          img.alt = ev.eventName || "Event";
-          img.className = "event-thumbnail";
-          eventDiv.appendChild(img);
-        }
+  // srcset/placeholder come from the server's image pipeline (/img)
+  function galleryImg(item, { lazy = true, sizes = "100vw" } = {}) {
+    const img = document.createElement("img");
+    if (item.srcset) {
+      img.srcset = item.srcset;
+      img.sizes = sizes;
+    }
+    img.src = item.src;
+    img.alt = item.alt || item.caption || "";
+    if (item.width && item.height) {
+      img.width = item.width;
+      img.height = item.height;
+    }
+    if (item.placeholder) img.style.background = `url(${item.placeholder}) center/cover no-repeat`;
+    img.decoding = "async";
+    if (lazy) img.loading = "lazy";
+    return img;
+  }
 
-        // Details
-        const detailsDiv = document.createElement("div");
-        detailsDiv.className = "event-details";
+  function initGalleryPage() {
+    const images = document.querySelector("#carousel .carousel-images");
+    const galleryLeft = document.getElementById("gallery-left");
+    const galleryRight = document.getElementById("gallery-right");
+    const captionEl = document.getElementById("carousel-caption");
+    const albumsEl = document.querySelector(".gallery-albums");
+    const moreBtn = document.querySelector(".gallery-more");
+    if (!images || !galleryLeft || !galleryRight) return;
+
+    const state = { album: "", page: 0, pages: 1, items: [], current: 0 };
+    let hoverTimeout;
+
+    function show(i) {
+      if (!state.items.length) return;
+      [...images.children].forEach((img, idx) => {
+        img.style.display = idx === i ? "block" : "none";
+      });
+      state.current = i;
+      if (captionEl) captionEl.textContent = state.items[i].caption;
+    }
 
-        const title = document.createElement("h2");
-        title.className = "event-title";
+    function add(items) {
+      items.forEach((item) => {
+        const idx = state.items.length;
+        state.items.push(item);
+        images.appendChild(galleryImg(item, { lazy: idx > 0, sizes: "(max-width: 768px) 92vw, 680px" }));
 
-        if (mode === "all") {
-          title.textContent = `${ev.eventName} (${town} - ${fromDate} to ${toDate})`;
-        } else {
-          title.textContent = ev.eventName || "Event";
-        }
+        const thumb = galleryImg(item, { sizes: "120px" });
+        thumb.title = item.caption;
+        thumb.addEventListener("mouseenter", () => {
+          hoverTimeout = setTimeout(() => show(idx), 200);
+        });
+        thumb.addEventListener("mouseleave", () => clearTimeout(hoverTimeout));
+        thumb.addEventListener("click", () => show(idx));
+        (idx % 2 === 0 ? galleryLeft : galleryRight).appendChild(thumb);
+      });
+    }
 
-        detailsDiv.appendChild(title);
+    function renderAlbums(albums) {
+      if (!albumsEl) return;
+      const tabs = [{ id: "", label: "All photos" }, ...albums.filter((a) => a.count)];
+      albumsEl.innerHTML = tabs
+        .map(
+          (a) =>
+            `<button type="button" data-album="${escapeHtml(a.id)}" aria-pressed="${a.id === state.album}">${escapeHtml(a.label)}</button>`
+        )
+        .join("");
+    }
 
-        // Town + range line for tour pages (matches what you had)
-        if (mode === "tour") {
-          const townDates = document.createElement("p");
-          townDates.className = "event-town-dates";
-          townDates.textContent = `${town}: ${fromDate} - ${toDate}`;
-          detailsDiv.appendChild(townDates);
+    async function load({ reset }) {
+      if (moreBtn) moreBtn.disabled = true;
+      try {
+        const data = await fetchGallery({ ...(state.album ? { album: state.album } : {}), page: reset ? 1 : state.page + 1 });
+        if (reset) {
+          images.innerHTML = galleryLeft.innerHTML = galleryRight.innerHTML = "";
+          state.items = [];
+          renderAlbums(data.albums || []);
+        }
+        state.page = data.page;
+        state.pages = data.pages;
+        add(data.images || []);
+        if (reset) show(0);
+      } catch (err) {
+        if (captionEl) captionEl.textContent = "Sorry, the photos couldn't be loaded just now.";
+      } finally {
+        if (moreBtn) {
+          moreBtn.disabled = false;
+          moreBtn.hidden = state.page >= state.pages;
         }
+      }
+    }
 
-        const desc = document.createElement("p");
-        desc.textContent = ev.description || "";
-        detailsDiv.appendChild(desc);
-
-        // Date dropdown
-        const dateDropdown = document.createElement("select");
-        dateDropdown.className = "dropdown";
-        dateDropdown.innerHTML = `<option value="">Select a date</option>`;
-        uniqueDates.forEach((date) => {
-          const opt = document.createElement("option");
-          opt.value = date;
-          opt.textContent = date;
-          dateDropdown.appendChild(opt);
-        });
-        detailsDiv.appendChild(dateDropdown);
-
-        // Time dropdown
-        const timeDropdown = document.createElement("select");
-        timeDropdown.className = "dropdown";
-        timeDropdown.innerHTML = `<option value="">Select a time</option>`;
-        detailsDiv.appendChild(timeDropdown);
-
-        // Book Now button
-        const bookBtn = document.createElement("a");
-        bookBtn.href = "#";
-        bookBtn.target = "_blank";
-        bookBtn.rel = "noopener";
-        bookBtn.textContent = "Book Now";
-        bookBtn.className = "book-button";
-        detailsDiv.appendChild(bookBtn);
-
-        // Date -> populate times
-        dateDropdown.addEventListener("change", () => {
-          const selectedDate = dateDropdown.value;
-          timeDropdown.innerHTML = `<option value="">Select a time</option>`;
-
-          const filtered = allDates.filter((d) => d.date === selectedDate);
-
-// Sort times earliest first (robust to 24h and am/pm formats)
-const timeToMinutes = (t) => {
-  if (!t) return Number.POSITIVE_INFINITY;
-  const raw = String(t).trim().toLowerCase().replace(/\./g, ":");
-  const ampmMatch = raw.match(/(am|pm)$/);
-  let s = raw;
-  let ampm = null;
-  if (ampmMatch) {
-    ampm = ampmMatch[1];
-    s = raw.slice(0, -2).trim();
-  }
-  s = s.replace(/\s+/g, "");
-  const m = s.match(/^(\d{1,2})(?::(\d{2}))?$/);
-  if (!m) return Number.POSITIVE_INFINITY;
-  let h = parseInt(m[1], 10);
-  const mi = parseInt(m[2] || "0", 10);
-  if (ampm) {
-    if (h === 12) h = 0;
-    if (ampm === "pm") h += 12;
+    document.getElementById("prev")?.addEventListener("click", () => {
+      show((state.current - 1 + state.items.length) % state.items.length);
+    });
+    document.getElementById("next")?.addEventListener("click", () => {
+      show((state.current + 1) % state.items.length);
+    });
+    moreBtn?.addEventListener("click", () => load({ reset: false }));
+    albumsEl?.addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-album]");
+      if (!btn || btn.dataset.album === state.album) return;
+      state.album = btn.dataset.album;
+      load({ reset: true });
+    });
+
+    load({ reset: true });
   }
-  return h * 60 + mi;
-};
-
-filtered
-  .slice()
-  .sort((a, b) => timeToMinutes(a.time) - timeToMinutes(b.time))
-  .forEach((d) => {
-            const opt = document.createElement("option");
-            opt.value = d.bookNowLink;
-            opt.textContent = d.time;
-            timeDropdown.appendChild(opt);
-          });
-
-          // reset link
-          bookBtn.href = "#";
-        });
 
-        // Time -> set book link
-        timeDropdown.addEventListener("change", () => {
-          bookBtn.href = timeDropdown.value || "#";
-        });
+  async function initAboutGallery(root) {
+    const imgEl = root.querySelector("#aboutImage");
+    const captionEl = root.querySelector("#aboutCaption");
+    const countEl = root.querySelector("#aboutCount");
+    if (!imgEl) return;
+
+    let items = [];
+    let idx = 0;
+
+    function render() {
+      if (!items.length) return;
+      const item = items[idx];
+      if (item.srcset) {
+        imgEl.srcset = item.srcset;
+        imgEl.sizes = "(max-width: 900px) 92vw, 520px";
+      }
+      imgEl.src = item.src;
+      imgEl.alt = item.alt || item.caption;
+      if (item.width && item.height) {
+        imgEl.width = item.width;
+        imgEl.height = item.height;
+      }
+      if (captionEl) captionEl.textContent = item.caption;
+      if (countEl) countEl.textContent = `${idx + 1} / ${items.length}`;
+    }
 
-        eventDiv.appendChild(detailsDiv);
-        container.appendChild(eventDiv);
-      });
+    root.querySelector("#aboutPrev")?.addEventListener("click", () => {
+      idx = (idx - 1 + items.length) % items.length;
+      render();
+    });
+    root.querySelector("#aboutNext")?.addEventListener("click", () => {
+      idx = (idx + 1) % items.length;
+      render();
+    });
+
+    try {
+      items = (await fetchGallery({ album: root.dataset.album, limit: 100 })).images || [];
+      // Start on the photo already in the page if it's in the album
+      const first = items.findIndex((item) => imgEl.getAttribute("src") === item.src);
+      idx = first > 0 ? first : 0;
+      render();
     } catch (err) {
-      console.error("Failed to render events:", err);
-      container.innerHTML = `<p class="no-events-message">Failed to load events.</p>`;
-    } finally {
-      hideLoading();
+      // keep the photo already in the page
     }
   }
 
+  document.addEventListener("DOMContentLoaded", () => {
+    if (document.body.classList.contains("gallery-page")) initGalleryPage();
+    document.querySelectorAll(".about-gallery[data-album]").forEach(initAboutGallery);
+  });
+
   // ----------------------------
-  // Init (page-aware)
+  // Halloween page: spooky sound on arrival (or on first interaction when
+  // the browser blocks autoplay)
   // ----------------------------
   document.addEventListener("DOMContentLoaded", () => {
-    const renderTasks = [];
-    const scrollTargets = [];
-
-    // All Shows
-    if (document.getElementById("events-container")) {
-      scrollTargets.push(document.getElementById("events-container"));
-      renderTasks.push(
-        renderEventsPage({
-          containerId: "events-container",
-          reference: null,
-          mode: "all",
-        })
-      );
-    }
+    if (!document.body.classList.contains("halloween-page")) return;
+
+    const sound = new Audio("/halloween.mp3");
+    sound.volume = 0.6;
+    sound.preload = "auto";
+
+    let played = false;
 
-    // General Tour
-    if (document.getElementById("general-events")) {
-      scrollTargets.push(document.getElementById("general-events"));
-      renderTasks.push(
-        renderEventsPage({
-          containerId: "general-events",
-          reference: "General",
-          mode: "tour",
-          loadingId: "loading",
-        })
-      );
+    function playSound() {
+      if (played) return;
+      played = true;
+      sound.play().catch(() => {});
+      window.removeEventListener("click", playSound);
+      window.removeEventListener("touchstart", playSound);
+      window.removeEventListener("scroll", playSound);
     }
 
-    // Summer Season
-    if (document.getElementById("summer-events")) {
-      scrollTargets.push(document.getElementById("summer-events"));
-      renderTasks.push(
-        renderEventsPage({
-          containerId: "summer-events",
-          reference: "Summer",
-          mode: "tour",
-          spinnerSelector: ".loading-spinner",
-          noEventsSelector: ".no-events-message",
-        })
-      );
+    sound
+      .play()
+      .then(() => (played = true))
+      .catch(() => {
+        window.addEventListener("click", playSound, { passive: true });
+        window.addEventListener("touchstart", playSound, { passive: true });
+        window.addEventListener("scroll", playSound, { passive: true });
+      });
+  });
+
+  // ----------------------------
+  // Home page: "In town now" / "Next stop" badges
+  // ----------------------------
+  async function loadTownBadges(inTownEl, comingSoonEl) {
+    const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+    async function fetchJsonWithRetry(url, attempts = 3) {
+      let lastErr;
+      for (let i = 0; i < attempts; i++) {
+        try {
+          const res = await fetch(url, { cache: "no-store" });
+          if (!res.ok) {
+            const text = await res.text().catch(() => "");
+            throw new Error(`HTTP ${res.status} ${res.statusText} ${text}`.trim());
+          }
+          return await res.json();
+        } catch (e) {
+          lastErr = e;
+          // small backoff: 500ms, 1200ms, 2500ms
+          await sleep([500, 1200, 2500][i] ?? 2500);
+        }
+      }
+      throw lastErr;
     }
 
-    // Halloween Circus
-    if (document.getElementById("halloween-events")) {
-      scrollTargets.push(document.getElementById("halloween-events"));
-      renderTasks.push(
-        renderEventsPage({
-          containerId: "halloween-events",
-          reference: "Halloween",
-          mode: "tour",
-          spinnerSelector: ".loading-spinner",
-          noEventsSelector: ".no-events-message",
-        })
-      );
+    const towns = await fetchJsonWithRetry("/api/town-index", 3);
+
+    // Statuses, finalWeekend and the YYYY-MM-DD days all come from the server,
+    // worked out in the site's time zone, so nothing here depends on the
+    // browser's clock or zone
+    const inTown = towns.filter((t) => t.status === "IN_TOWN_NOW" || t.status === "FINAL_DAY");
+    const sorted = [...towns].sort((a, b) => a.startDay.localeCompare(b.startDay));
+
+    // pick ONE "current" town (the one that ends last)
+    const currentTown = inTown.length ? [...inTown].sort((a, b) => b.endDay.localeCompare(a.endDay))[0] : null;
+
+    const nextTown =
+      sorted.find((t) => t.status === "NEXT_STOP") ||
+      (currentTown ? sorted.find((t) => t.startDay > currentTown.endDay) : sorted[0]) ||
+      null;
+
+    // "2027-04-02" -> "02 Apr" (a calendar day, so formatted as UTC)
+    const fmt = (day) =>
+      new Date(`${day}T00:00:00Z`).toLocaleDateString("en-GB", { day: "2-digit", month: "short", timeZone: "UTC" });
+
+    function renderTown(t, badgeOverride = null) {
+      const badge = badgeOverride ?? t.badge;
+
+      return `
+        <div class="town-card">
+          <a href="/circus-in/${encodeURIComponent(t.townSlug)}">
+            <div class="town-header">
+              <div class="town-name">${escapeHtml(t.town)}</div>
+              <div class="town-badge">${escapeHtml(badge)}</div>
+            </div>
+            <div class="town-dates">
+              ${fmt(t.startDay)} – ${fmt(t.endDay)}
+            </div>
+          </a>
+        </div>
+      `;
     }
 
-    const eventsReady = (async () => {
-      // Wait for the render promises (if any)
-      await Promise.allSettled(renderTasks);
-      // Then also wait for the DOM to actually contain event/no-event content
-      const containers = scrollTargets.length
-        ? scrollTargets
-        : [
-            document.getElementById("events-container"),
-            document.getElementById("general-events"),
-            document.getElementById("summer-events"),
-            document.getElementById("halloween-events"),
-          ].filter(Boolean);
-      await Promise.allSettled(
-        containers.map((c) => waitForEventsRendered({ container: c }))
-      );
-    })();
+    const currentLabel = currentTown
+      ? currentTown.status === "FINAL_DAY"
+        ? "Last day in"
+        : currentTown.finalWeekend
+          ? "Final weekend in"
+          : "Currently in"
+      : "";
+
+    const townLink = (t) =>
+      `<a href="/circus-in/${encodeURIComponent(t.townSlug)}" style="text-decoration:underline;">${escapeHtml(t.town)}</a>`;
+
+    const nowNextLine = currentTown
+      ? `
+        <div style="text-align:center;margin:10px 0 14px; font-weight:700;">
+          <span>${currentLabel} </span>${townLink(currentTown)}
+          ${nextTown ? `&nbsp;•&nbsp; <span>Next stop </span>${townLink(nextTown)}` : ""}
+        </div>
+      `
+      : "";
+
+    inTownEl.innerHTML = currentTown ? nowNextLine + `<h2>🟢 In town now</h2>` + renderTown(currentTown) : "";
+    comingSoonEl.innerHTML = nextTown ? `<h2>🟡 Next stop</h2>` + renderTown(nextTown, "🟡 Next stop") : "";
+  }
+
+  document.addEventListener("DOMContentLoaded", () => {
+    const inTownEl = document.getElementById("in-town-now");
+    const comingSoonEl = document.getElementById("coming-soon");
+    if (!inTownEl || !comingSoonEl) return;
+
+    loadTownBadges(inTownEl, comingSoonEl).catch((err) => console.error("Failed to load town badges:", err));
+  });
+
+  // ----------------------------
+  // Init (page-aware)
+  // ----------------------------
+  document.addEventListener("DOMContentLoaded", () => {
+    // Event cards are server-rendered, so this is normally ready straight away
+    const containers = [
+      document.getElementById("events-container"),
+      document.getElementById("general-events"),
+      document.getElementById("summer-events"),
+      document.getElementById("halloween-events"),
+    ].filter(Boolean);
+    const eventsReady = Promise.allSettled(containers.map((c) => waitForEventsRendered({ container: c })));
 
     // Always wait at least 2.5s so banners are visible; then scroll once ready.
     autoScrollToMenuWhenReady({
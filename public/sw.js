@@ -0,0 +1,255 @@
+// ----------------------------
+// Reagal Events service worker
+// ----------------------------
+// Offline: signal at our venues is often poor, so
+//   - the shell (home page, styles, script, banners) is precached and served
+//     from cache while a fresh copy is fetched in the background
+//   - pages and /api/events are network-first: every good response is saved,
+//     and the saved copy is used when the network fails or is too slow
+//   - a page served from the cache carries a "times may have changed" notice;
+//     a saved /api/events response is marked X-Data-Stale / X-Offline, the
+//     headers the server uses for old data, so API callers can tell
+//   - a page never visited falls back to /offline
+//   - resized images (/img/...) are cache-first: a URL's image never changes
+//
+// Push: notifications for towns followed with "Notify this device" on a town
+// page. The server sends { title, body, url, tag } (see "Push notifications"
+// in server.js).
+//
+// Bump CACHE_VERSION when the precache list changes.
+
+const CACHE_VERSION = "v2";
+const SHELL_CACHE = `reagal-shell-${CACHE_VERSION}`;
+const PAGES_CACHE = `reagal-pages-${CACHE_VERSION}`;
+const API_CACHE = `reagal-api-${CACHE_VERSION}`;
+const IMAGES_CACHE = `reagal-images-${CACHE_VERSION}`;
+
+const OFFLINE_URL = "/offline";
+const SHELL_URLS = [
+  "/",
+  OFFLINE_URL,
+  "/styles.css",
+  "/script.js",
+  "/site.webmanifest",
+  "/favicon-192.png",
+  "/banner1.jpg",
+  "/banner1.webp",
+  "/banner2.webp",
+  "/background.webp",
+];
+
+const MAX_SAVED_PAGES = 40;
+const MAX_SAVED_IMAGES = 120;
+const NETWORK_TIMEOUT_MS = 4000; // after this, use the saved copy if there is one
+
+// Never cached: admin, forms and anything per-person
+const NEVER_CACHE = [/^\/admin/, /^\/subscribe/, /^\/unsubscribe/, /^\/api\/push\//];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const current = [SHELL_CACHE, PAGES_CACHE, API_CACHE, IMAGES_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) => Promise.all(names.filter((n) => n.startsWith("reagal-") && !current.includes(n)).map((n) => caches.delete(n))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// ----------------------------
+// Fetch
+// ----------------------------
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  if (NEVER_CACHE.some((re) => re.test(url.pathname))) return;
+
+  if (url.pathname === "/api/events") {
+    event.respondWith(eventsFromNetworkOrCache(request));
+    return;
+  }
+
+  if (request.mode === "navigate") {
+    event.respondWith(pageFromNetworkOrCache(request));
+    return;
+  }
+
+  if (url.pathname.startsWith("/img/")) {
+    event.respondWith(imageFromCacheOrNetwork(request));
+    return;
+  }
+
+  if (SHELL_URLS.includes(url.pathname)) {
+    event.respondWith(shellFromCache(event, request));
+  }
+});
+
+// A copy of `response` stamped with when it was saved
+async function stamped(response) {
+  const headers = new Headers(response.headers);
+  headers.set("X-Saved-At", new Date().toISOString());
+  // The body is already decoded
+  headers.delete("Content-Encoding");
+  headers.delete("Content-Length");
+  return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+}
+
+async function trimCache(cacheName, max) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map((key) => cache.delete(key)));
+}
+
+// Network, saving good responses. Rejects on network failure; resolves null
+// (network still pending) after `timeoutMs` so the caller can try the cache.
+function fetchAndSave(request, cacheName, { timeoutMs = 0 } = {}) {
+  const network = fetch(request).then((response) => {
+    if (response.ok) {
+      const copy = response.clone();
+      caches
+        .open(cacheName)
+        .then(async (cache) => cache.put(request, await stamped(copy)))
+        .catch(() => {});
+    }
+    return response;
+  });
+  network.catch(() => {}); // a late failure after the timeout is expected offline
+  if (!timeoutMs) return { network, first: network };
+
+  const timeout = new Promise((resolve) => setTimeout(() => resolve(null), timeoutMs));
+  return { network, first: Promise.race([network, timeout]) };
+}
+
+async function pageFromNetworkOrCache(request) {
+  const { network, first } = fetchAndSave(request, PAGES_CACHE, { timeoutMs: NETWORK_TIMEOUT_MS });
+  network.then(() => trimCache(PAGES_CACHE, MAX_SAVED_PAGES)).catch(() => {});
+
+  try {
+    const response = await first;
+    if (response) return response;
+  } catch (err) {
+    // offline: fall through to the saved copy
+  }
+
+  const saved = (await caches.match(request, { cacheName: PAGES_CACHE })) || (await caches.match(request, { cacheName: SHELL_CACHE }));
+  if (saved) return withOfflineNotice(saved);
+
+  // Nothing saved: keep waiting on a slow network, else the offline page
+  try {
+    return await network;
+  } catch (err) {
+    return (await caches.match(OFFLINE_URL)) || new Response("You're offline.", { status: 503, headers: { "Content-Type": "text/plain" } });
+  }
+}
+
+async function eventsFromNetworkOrCache(request) {
+  const { network, first } = fetchAndSave(request, API_CACHE, { timeoutMs: NETWORK_TIMEOUT_MS });
+
+  try {
+    const response = await first;
+    if (response) return response;
+  } catch (err) {
+    // offline: fall through to the saved copy
+  }
+
+  const saved = await caches.match(request, { cacheName: API_CACHE });
+  if (!saved) return network;
+
+  const headers = new Headers(saved.headers);
+  headers.set("X-Data-Stale", "1");
+  headers.set("X-Offline", "1");
+  if (!headers.get("X-Data-Updated-At")) headers.set("X-Data-Updated-At", headers.get("X-Saved-At") || "");
+  return new Response(await saved.blob(), { status: 200, headers });
+}
+
+// Cached shell straight away; refresh it in the background for next time
+async function shellFromCache(event, request) {
+  const cached = await caches.match(request, { cacheName: SHELL_CACHE });
+  const refresh = fetch(request).then(async (response) => {
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+async function imageFromCacheOrNetwork(request) {
+  const cached = await caches.match(request, { cacheName: IMAGES_CACHE });
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(IMAGES_CACHE);
+    await cache.put(request, response.clone());
+    trimCache(IMAGES_CACHE, MAX_SAVED_IMAGES).catch(() => {});
+  }
+  return response;
+}
+
+// Saved page with a banner saying when it was saved
+async function withOfflineNotice(response) {
+  const html = await response.text();
+  const savedAt = response.headers.get("X-Saved-At");
+  const when = savedAt
+    ? new Date(savedAt).toLocaleString("en-GB", { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" })
+    : "";
+  const notice = `<div class="offline-notice" role="status"><strong>You're offline.</strong> This is a copy saved${
+    when ? ` ${when}` : " earlier"
+  } &ndash; show times may have changed, so please check again when you have signal.</div>`;
+
+  const headers = new Headers(response.headers);
+  headers.delete("Content-Length");
+  return new Response(html.replace(/<body[^>]*>/i, (tag) => tag + notice), { status: 200, headers });
+}
+
+// ----------------------------
+// Push
+// ----------------------------
+self.addEventListener("push", (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (err) {
+    data = { body: event.data ? event.data.text() : "" };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || "Reagal Events", {
+      body: data.body || "",
+      tag: data.tag || undefined,
+      icon: "/favicon-192.png",
+      data: { url: data.url || "/" },
+    })
+  );
+});
+
+// Focus the town page if it's already open, otherwise open it
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL((event.notification.data && event.notification.data.url) || "/", self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((w) => w.url === url);
+      return open ? open.focus() : self.clients.openWindow(url);
+    })
+  );
+});
@@ -1,8 +1,70 @@
 const express = require("express");
-const axios = require("axios");
 const cors = require("cors");
 const compression = require("compression");
+const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
+const { createEventProvider } = require("./utils/eventSource");
+const { loadEventSnapshots, saveEventSnapshot } = require("./utils/eventsSnapshot");
+const { createRefreshScheduler } = require("./utils/refreshScheduler");
+const { buildCalendar } = require("./utils/icalendar");
+const { createOverridesStore, applyTourOverrides, venueOverrideKey } = require("./utils/tourOverrides");
+const { createSlugRegistry } = require("./utils/slugRegistry");
+const { createTourHistory, describeVisits } = require("./utils/tourHistory");
+const { createMailer } = require("./utils/mailer");
+const { createSubscriptionStore, newTownsFor, normaliseEmail } = require("./utils/subscriptions");
+const { loadVapidKeys, createPushSender } = require("./utils/webPush");
+const { GALLERY_ALBUMS, createGallery } = require("./utils/galleryManifest");
+const { createImagePipeline } = require("./utils/imagePipeline");
+const { createTemplates } = require("./utils/pageTemplates");
+const { PROFILE_TEXT_FIELDS, createVenueProfileStore } = require("./utils/venueProfiles");
+const { createFaqStore } = require("./utils/faqs");
+const { createShareImages } = require("./utils/shareImages");
+const { PAGE_SIZES, buildQrCode, buildPosterPdf } = require("./utils/posterKit");
+const { buildZip } = require("./utils/zipArchive");
+const {
+  PUSH_KIND,
+  createPushSubscriptionStore,
+  dueNotificationsFor,
+  isValidSubscription,
+} = require("./utils/pushSubscriptions");
+const {
+  normaliseTicketTypes,
+  summarisePrices,
+  formatPrice,
+  formatPriceRange,
+} = require("./utils/prices");
+const {
+  AVAILABILITY,
+  DEFAULT_FEW_LEFT_THRESHOLD,
+  normaliseAvailability,
+  isBookable,
+  availabilityLabel,
+  schemaAvailability,
+  schemaEventStatus,
+} = require("./utils/availability");
+const {
+  createPostcodeLookup,
+  createVenueLocator,
+  parseLatLng,
+  haversineKm,
+} = require("./utils/postcodes");
+const {
+  DEFAULT_TIME_ZONE,
+  DEFAULT_SHOW_DURATION_MINUTES,
+  buildTownIndex,
+  groupTownShows,
+  slugifyTown,
+  townSlugFor,
+  localDayKey,
+  dayNumber,
+  isWeekendDay,
+  startOfToday,
+  startOfDayInZone,
+  localHour,
+  toZonedISO,
+  isValidTimeZone,
+} = require("./utils/townEngine");
 
 const app = express();
 app.disable("x-powered-by");
@@ -16,24 +78,130 @@ let sitemapCache = { xml: null, ts: 0, etag: null };
  * IMPORTANT:
  * - DO NOT hardcode your TicketSource API key in the repo.
  * - Set TICKETSOURCE_API_KEY in Render Environment.
+ * - Set EVENT_SOURCE=fixtures to run offline against fixtures/events (see utils/eventSource.js).
  */
-const API_KEY = process.env.TICKETSOURCE_API_KEY;
-
-// Fail fast in production if key is missing (prevents silent breakage)
-if (!API_KEY) {
-  const msg =
-    "Missing TICKETSOURCE_API_KEY env var. Set it in Render (and in .env locally if needed).";
-  if (process.env.NODE_ENV === "production") {
-    throw new Error(msg);
-  } else {
-    console.warn(`[WARN] ${msg}`);
-  }
+const eventProvider = createEventProvider(process.env);
+
+// Offline postcode -> lat/long (bundled outcode centroids, optionally widened by a fuller file)
+const postcodeLookup = createPostcodeLookup({ file: process.env.OUTCODE_CENTROIDS_FILE || "" });
+
+// Venue -> lat/long: manual overrides (data/venue-coordinates.json) first, then the postcode lookup
+const locateVenue = createVenueLocator({
+  lookup: postcodeLookup.lookup,
+  overridesFile: process.env.VENUE_COORDINATES_FILE
+    ? path.resolve(process.env.VENUE_COORDINATES_FILE)
+    : path.join(__dirname, "data", "venue-coordinates.json"),
+});
+
+// Parking, access, what3words etc. per venue, merged with TicketSource's venue data; edited at /admin
+const venueProfiles = createVenueProfileStore({
+  file: process.env.VENUE_PROFILES_FILE
+    ? path.resolve(process.env.VENUE_PROFILES_FILE)
+    : path.join(__dirname, ".cache", "venue-profiles.json"),
+  locateVenue,
+});
+
+// Town names/slugs per venue, hidden events and per-town copy, edited at /admin.
+// Written at runtime, so it defaults to .cache/ (gitignored); on Render point
+// ADMIN_OVERRIDES_FILE at a persistent disk.
+const tourOverrides = createOverridesStore({
+  file: process.env.ADMIN_OVERRIDES_FILE
+    ? path.resolve(process.env.ADMIN_OVERRIDES_FILE)
+    : path.join(__dirname, ".cache", "tour-overrides.json"),
+});
+
+// Every town slug ever published, so renamed towns 301 and finished ones keep a page
+const slugRegistry = createSlugRegistry({
+  file: process.env.SLUG_REGISTRY_FILE
+    ? path.resolve(process.env.SLUG_REGISTRY_FILE)
+    : path.join(__dirname, ".cache", "town-slugs.json"),
+});
+
+// Every run we've published (town, venue, dates, show), kept after it finishes
+const tourHistory = createTourHistory({
+  file: process.env.TOUR_HISTORY_FILE
+    ? path.resolve(process.env.TOUR_HISTORY_FILE)
+    : path.join(__dirname, ".cache", "tour-history.json"),
+});
+
+// Tour alert subscribers (email addresses: keep on a persistent disk, never in git)
+const subscriptions = createSubscriptionStore({
+  file: process.env.SUBSCRIPTIONS_FILE
+    ? path.resolve(process.env.SUBSCRIPTIONS_FILE)
+    : path.join(__dirname, ".cache", "subscriptions.json"),
+});
+
+// SMTP when SMTP_HOST is set, otherwise a file outbox (see utils/mailer.js)
+const mailer = createMailer(process.env);
+
+// Browsers following a town for "in town now" / "last day" push notifications
+const pushSubscriptions = createPushSubscriptionStore({
+  file: process.env.PUSH_SUBSCRIPTIONS_FILE
+    ? path.resolve(process.env.PUSH_SUBSCRIPTIONS_FILE)
+    : path.join(__dirname, ".cache", "push-subscriptions.json"),
+});
+
+// VAPID keys from the environment, else generated once into PUSH_KEYS_FILE (see
+// utils/webPush.js). Set up by startServer(), since generating writes the file.
+let pushSender = null;
+
+function createSitePushSender() {
+  return createPushSender({
+    keys: loadVapidKeys({
+      file: process.env.PUSH_KEYS_FILE ? path.resolve(process.env.PUSH_KEYS_FILE) : undefined,
+    }),
+    subject: (process.env.VAPID_SUBJECT || "mailto:no-reply@reagalevents.com").trim(),
+  });
 }
 
+// Gallery + about-page photos: scanned from public/, captions fixed in data/gallery.json
+const gallery = createGallery({
+  publicDir: path.join(__dirname, "public"),
+  overridesFile: process.env.GALLERY_FILE
+    ? path.resolve(process.env.GALLERY_FILE)
+    : path.join(__dirname, "data", "gallery.json"),
+});
+
+// Resized WebP/AVIF copies of public/ images and TicketSource thumbnails, served at /img
+const imagePipeline = createImagePipeline({
+  publicDir: path.join(__dirname, "public"),
+  cacheDir: process.env.IMAGE_CACHE_DIR
+    ? path.resolve(process.env.IMAGE_CACHE_DIR)
+    : path.join(__dirname, ".cache", "images"),
+  remoteHosts: (process.env.IMAGE_PROXY_HOSTS || "ticketsource.co.uk").split(","),
+});
+
+// Per-town og:image cards (banner + town, dates, status), kept on disk until the dates change
+const shareImages = createShareImages({
+  publicDir: path.join(__dirname, "public"),
+  cacheDir: process.env.SHARE_IMAGE_CACHE_DIR
+    ? path.resolve(process.env.SHARE_IMAGE_CACHE_DIR)
+    : path.join(__dirname, ".cache", "share"),
+});
+
+// FAQ content for town pages and Plan Your Visit, scoped per show type / town / venue
+const faqs = createFaqStore({
+  file: process.env.FAQS_FILE ? path.resolve(process.env.FAQS_FILE) : path.join(__dirname, "data", "faqs.json"),
+});
+
+// The page shell (views/layout.html + views/partials/) and the static content pages (views/pages/)
+const templates = createTemplates({ viewsDir: path.join(__dirname, "views"), escape: escapeHtml });
+
 // Force canonical base URL for robots/sitemap/canonicals in production
 // Example: https://www.reagalevents.com
 const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").trim();
 
+// IANA time zone for every date label, "today" and town status.
+// Render runs in UTC, so never rely on the process's local time zone.
+const SITE_TIME_ZONE = (process.env.SITE_TIME_ZONE || DEFAULT_TIME_ZONE).trim();
+if (!isValidTimeZone(SITE_TIME_ZONE)) {
+  throw new Error(`Invalid SITE_TIME_ZONE "${SITE_TIME_ZONE}" (expected an IANA zone such as Europe/London).`);
+}
+
+// A performance shows "Few left" once remaining tickets drop to this many
+const FEW_TICKETS_LEFT =
+  parseInt(process.env.FEW_TICKETS_LEFT || "", 10) || DEFAULT_FEW_LEFT_THRESHOLD;
+
 const SEO_FLAGS = {
   enableJsonLd: true,
   enableFaq: true,
@@ -56,7 +224,8 @@ app.use(
     setHeaders(res, filePath) {
       const ext = path.extname(filePath).toLowerCase();
 
-      if (ext === ".html") {
+      // The service worker must never be served stale, or fixes never reach browsers
+      if (ext === ".html" || path.basename(filePath) === "sw.js") {
         res.setHeader("Cache-Control", "no-cache");
         return;
       }
@@ -66,7 +235,7 @@ app.use(
         return;
       }
 
-      if ([".css", ".js"].includes(ext)) {
+      if ([".css", ".js", ".webmanifest"].includes(ext)) {
         res.setHeader("Cache-Control", "public, max-age=604800"); // 7 days
         return;
       }
@@ -74,6 +243,30 @@ app.use(
   })
 );
 
+// Leaflet for /tour-map, served from the installed package rather than a CDN.
+// The version is in the path, so browsers can keep it for good.
+const LEAFLET_VERSION = require("leaflet/package.json").version;
+app.use(
+  `/vendor/leaflet/${LEAFLET_VERSION}`,
+  express.static(path.dirname(require.resolve("leaflet/dist/leaflet.js")), { maxAge: "365d", immutable: true })
+);
+
+
+// Responsive image variants: /img/640/webp?src=/banner1.jpg (see utils/imagePipeline.js)
+app.get("/img/:width/:format", async (req, res) => {
+  try {
+    const { file, mime } = await imagePipeline.variant({
+      src: String(req.query.src || ""),
+      width: parseInt(req.params.width, 10),
+      format: req.params.format,
+    });
+    res.set("Cache-Control", "public, max-age=2592000"); // 30 days, like the originals
+    res.type(mime).sendFile(file);
+  } catch (error) {
+    if (!error.statusCode) console.error("Error /img:", error.message);
+    res.status(error.statusCode || 500).type("text/plain").send(error.statusCode ? error.message : "Image failed");
+  }
+});
 
 // Redirect /index.html to / to avoid duplicate indexing
 app.get("/index.html", (req, res) => res.redirect(301, "/"));
@@ -90,22 +283,12 @@ function escapeHtml(str) {
     .replace(/'/g, "&#039;");
 }
 
-function slugifyTown(town) {
-  return String(town || "")
-    .trim()
-    .toLowerCase()
-    .replace(/&/g, "and")
-    .replace(/[^a-z0-9]+/g, "-")
-    .replace(/(^-|-$)+/g, "");
-}
-
-function startOfTodayLocal() {
-  const now = new Date();
-  return new Date(now.getFullYear(), now.getMonth(), now.getDate());
-}
-
 function toDateLabel(iso) {
-  return new Date(iso).toLocaleDateString("en-GB", { day: "2-digit", month: "short" });
+  return new Date(iso).toLocaleDateString("en-GB", {
+    day: "2-digit",
+    month: "short",
+    timeZone: SITE_TIME_ZONE,
+  });
 }
 
 function toDateLabelFull(iso) {
@@ -113,11 +296,26 @@ function toDateLabelFull(iso) {
     day: "2-digit",
     month: "2-digit",
     year: "numeric",
+    timeZone: SITE_TIME_ZONE,
   });
 }
 
+// "02 Apr – 04 Apr 2027" from two "YYYY-MM-DD" day keys
+function dayRangeLabel(startDay, endDay) {
+  const start = toDateLabel(startOfDayInZone(startDay, SITE_TIME_ZONE));
+  const end = toDateLabel(startOfDayInZone(endDay, SITE_TIME_ZONE));
+  const startYear = startDay.slice(0, 4);
+  const endYear = endDay.slice(0, 4);
+  if (startDay === endDay) return `${start} ${endYear}`;
+  return startYear === endYear ? `${start} – ${end} ${endYear}` : `${start} ${startYear} – ${end} ${endYear}`;
+}
+
 function toTimeLabel(iso) {
-  return new Date(iso).toLocaleTimeString("en-GB", { hour: "2-digit", minute: "2-digit" });
+  return new Date(iso).toLocaleTimeString("en-GB", {
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone: SITE_TIME_ZONE,
+  });
 }
 
 function getBaseUrl(req) {
@@ -135,43 +333,34 @@ function stripQuery(originalUrlOrPath) {
 }
 
 function isWeekend(dateObj) {
-  const d = dateObj.getDay();
-  return d === 5 || d === 6 || d === 0;
+  return isWeekendDay(localDayKey(dateObj, SITE_TIME_ZONE));
 }
 
 function withinDays(dateObj, days) {
-  const today = startOfTodayLocal();
-  const cutoff = new Date(today);
-  cutoff.setDate(cutoff.getDate() + days);
-  return dateObj >= today && dateObj <= cutoff;
+  const diff =
+    dayNumber(localDayKey(dateObj, SITE_TIME_ZONE)) -
+    dayNumber(localDayKey(new Date(), SITE_TIME_ZONE));
+  return diff >= 0 && diff <= days;
 }
 
-function isSameLocalDay(a, b) {
-  return (
-    a.getFullYear() === b.getFullYear() &&
-    a.getMonth() === b.getMonth() &&
-    a.getDate() === b.getDate()
-  );
+function statusBadgeText(status) {
+  if (status === "PAST") return "⚪ Finished";
+  if (status === "FINAL_DAY") return "🔴 Final day";
+  if (status === "IN_TOWN_NOW") return "🟢 In town now";
+  if (status === "NEXT_STOP") return "🟡 Next stop";
+  if (status === "COMING_SOON") return "🟡 Coming soon";
+  return "🟣 Later";
 }
 
 function buildTourNowNextHtml(townIndex) {
-  const today = startOfTodayLocal();
-
   const sorted = [...(townIndex || [])].sort(
     (a, b) => new Date(a.startDateISO) - new Date(b.startDateISO)
   );
 
-  // "Current" = any town whose date range includes today (prefer FINAL_DAY/IN_TOWN_NOW)
+  // "Current" = a town we're in today (prefer FINAL_DAY over IN_TOWN_NOW)
   const currentTown =
     sorted.find((t) => t.status === "FINAL_DAY") ||
     sorted.find((t) => t.status === "IN_TOWN_NOW") ||
-    sorted.find((t) => {
-      const s = new Date(t.startDateISO);
-      const e = new Date(t.endDateISO);
-      const startDay = new Date(s.getFullYear(), s.getMonth(), s.getDate());
-      const endDay = new Date(e.getFullYear(), e.getMonth(), e.getDate());
-      return today >= startDay && today <= endDay;
-    }) ||
     null;
 
   if (!currentTown) {
@@ -183,20 +372,14 @@ function buildTourNowNextHtml(townIndex) {
     )}">${escapeHtml(nextOnly.town)}</a></p>`;
   }
 
-  const end = new Date(currentTown.endDateISO);
-  const endDay = new Date(end.getFullYear(), end.getMonth(), end.getDate());
-  const isFinalDay = isSameLocalDay(today, endDay) || currentTown.status === "FINAL_DAY";
-  const isFinalWeekend =
-    !isFinalDay && isWeekend(today) && withinDays(endDay, 2) && isWeekend(endDay);
-
   let leftLabel = "Currently in";
-  if (isFinalDay) leftLabel = "Last day in";
-  else if (isFinalWeekend) leftLabel = "Final weekend in";
+  if (currentTown.status === "FINAL_DAY") leftLabel = "Last day in";
+  else if (currentTown.finalWeekend) leftLabel = "Final weekend in";
 
   // Next town after current end
   const nextTown =
     sorted.find((t) => t.status === "NEXT_STOP") ||
-    sorted.find((t) => new Date(t.startDateISO) > endDay) ||
+    sorted.find((t) => t.startDay > currentTown.endDay) ||
     null;
 
   const left = `<strong>${escapeHtml(leftLabel)}</strong> <a href="/circus-in/${escapeHtml(
@@ -220,6 +403,7 @@ function pickVenueInfo(venue) {
   const addr = a.address || {};
 
   return {
+    venueId: venue?.id ? String(venue.id) : "",
     venueName: a.name || a.title || "",
     address1: addr.line_1 || "",
     address2: addr.line_2 || "",
@@ -231,19 +415,48 @@ function pickVenueInfo(venue) {
   };
 }
 
+// "Ham Lane, Orton Waterville, PE2 5UU" (skipping a first line that just repeats the venue name)
+function venueAddressLine(venueInfo) {
+  const v = venueInfo || {};
+  const name = String(v.venueName || "").trim().toLowerCase();
+  return [v.address1, v.address2, v.postcode]
+    .filter((bit) => bit && String(bit).trim().toLowerCase() !== name)
+    .join(", ");
+}
+
+// One entry per venue, in the order the shows are listed
+function townVenues(shows) {
+  const byKey = new Map();
+  for (const show of shows || []) {
+    if (!byKey.has(show.venueKey)) byKey.set(show.venueKey, show.venueInfo || {});
+  }
+  return [...byKey.values()];
+}
+
+// ["A", "B", "C"] -> "A, B and C"
+function listWithAnd(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}` : items[0] || "";
+}
+
 function buildAdaptiveTownDescription({
   townName,
-  venueInfo,
+  venues = [],
   status,
   startDateISO,
   endDateISO,
   nextTownName = "",
 }) {
-  const venueName = venueInfo?.venueName ? venueInfo.venueName : "our venue";
-  const addressBits = [venueInfo?.address1, venueInfo?.address2, venueInfo?.postcode]
-    .filter(Boolean)
-    .join(", ");
-  const locationBit = addressBits ? `, ${addressBits}` : "";
+  // One venue: "Join us at X, address"; several: "Join us at X (address) and Y (address)"
+  const named = venues.filter((v) => v && v.venueName);
+  const where = named.length
+    ? listWithAnd(
+        named.map((v) => {
+          const addressBits = venueAddressLine(v);
+          if (!addressBits) return v.venueName;
+          return named.length > 1 ? `${v.venueName} (${addressBits})` : `${v.venueName}, ${addressBits}`;
+        })
+      )
+    : "our venue";
 
   const dateRange =
     startDateISO && endDateISO ? `${toDateLabel(startDateISO)} – ${toDateLabel(endDateISO)}` : "";
@@ -275,7 +488,7 @@ function buildAdaptiveTownDescription({
 
   return (
     `${opener} ` +
-    `Join us at ${venueName}${locationBit} for a fun family show packed with laughs, thrills and classic big top magic. ` +
+    `Join us at ${where} for a fun family show packed with laughs, thrills and classic big top magic. ` +
     `${helperLine}${nextBit} ` +
     `Select a date and time below to book your tickets.`
   )
@@ -301,24 +514,90 @@ function buildWeekendLine(townObj) {
   return `Running this weekend in ${townObj.town} — advance booking recommended.`;
 }
 
-function buildFaqBlock(townName, venueInfo) {
-  if (!SEO_FLAGS.enableFaq) return { html: "", schema: null };
+// "Free parking on site" -> "Free parking on site."
+function asSentence(text) {
+  const t = String(text || "").trim();
+  return !t || /[.!?]$/.test(t) ? t : `${t}.`;
+}
 
-  const venueName = venueInfo?.venueName ? venueInfo.venueName : `the venue in ${townName}`;
-  const qas = [
-    {
-      q: `Is this event suitable for children?`,
-      a: `Yes — it’s designed as a family-friendly experience. Please check the event description and any age guidance on the ticket page before booking.`,
-    },
-    {
+// One venue: its own text. Several: "Venue A: text. Venue B: text."
+function venueFieldAnswer(named, field) {
+  const withField = named.filter((v) => v[field]);
+  if (!withField.length) return "";
+  if (named.length === 1) return asSentence(withField[0][field]);
+  return withField.map((v) => `${v.venueName}: ${asSentence(v[field])}`).join(" ");
+}
+
+// Answers from the venue profiles (venueProfiles.profileFor): where the venue
+// is, then parking and access. Content FAQs with the same id replace them.
+function buildVenueFaqs(townName, venues) {
+  const named = venues.filter((v) => v && v.venueName);
+  const where = (v) => [v.venueName, venueAddressLine(v)].filter(Boolean).join(", ");
+  const seeGettingThere = named.length ? " See Getting there on this page for directions." : "";
+
+  let venueQa;
+  if (named.length > 1) {
+    venueQa = {
+      id: "venue",
+      q: `Where are the venues in ${townName}?`,
+      a: `We're at ${named.length} venues in ${townName}: ${named.map(where).join("; ")}. Each has its own dates below.${seeGettingThere}`,
+    };
+  } else {
+    const v = named[0];
+    venueQa = {
+      id: "venue",
       q: `Where is the venue in ${townName}?`,
-      a: `${venueName} is listed on this page. Select a date/time to open the official booking page for the full venue details and any access information.`,
-    },
-    {
-      q: `Do I need to book tickets in advance?`,
-      a: `We recommend booking online in advance to secure your preferred date and time.`,
-    },
-  ];
+      a: v
+        ? [
+            `We're at ${where(v)}.`,
+            v.what3words ? `The what3words address is ///${v.what3words}.` : "",
+            v.busStop ? `Nearest bus stop: ${asSentence(v.busStop)}` : "",
+          ]
+            .filter(Boolean)
+            .join(" ") + seeGettingThere
+        : `The venue in ${townName} is listed with each show below.`,
+    };
+  }
+
+  const plural = named.length > 1;
+  const accessQas = [
+    { id: "parking", q: `Is there parking at the ${plural ? "venues" : "venue"}?`, a: venueFieldAnswer(named, "parking") },
+    { id: "wheelchair", q: plural ? "Are the venues wheelchair accessible?" : "Is the venue wheelchair accessible?", a: venueFieldAnswer(named, "wheelchair") },
+    { id: "toilets", q: `Are there toilets?`, a: venueFieldAnswer(named, "toilets") },
+    { id: "dogs", q: `Can I bring my dog?`, a: venueFieldAnswer(named, "dogs") },
+  ].filter((x) => x.a);
+
+  return [venueQa, ...accessQas];
+}
+
+// FAQPage for { q, a } entries whose answers are HTML
+function buildFaqPageJsonLd(entries) {
+  return {
+    "@context": "https://schema.org",
+    "@type": "FAQPage",
+    mainEntity: entries.map((x) => ({
+      "@type": "Question",
+      name: x.q,
+      acceptedAnswer: { "@type": "Answer", text: htmlToText(x.a) },
+    })),
+  };
+}
+
+// <details> list for the static pages' {{{FAQS}}}
+function buildFaqListHtml(entries) {
+  return entries
+    .map((x) => `<details class="faq-item"><summary>${escapeHtml(x.q)}</summary><p>${x.a}</p></details>`)
+    .join("\n  ");
+}
+
+// The town's FAQs from data/faqs.json (global, its show types, the town, its
+// venues) plus the venue answers; the FAQPage schema lists the same entries
+function buildFaqBlock({ townName, townSlug, references = [], venues = [] }) {
+  if (!SEO_FLAGS.enableFaq) return { html: "", schema: null };
+
+  const generated = buildVenueFaqs(townName, venues).map((x) => ({ ...x, a: escapeHtml(x.a) }));
+  const qas = faqs.forTown({ townSlug, references, venues, generated });
+  if (!qas.length) return { html: "", schema: null };
 
   const html = `
     <details class="town-page-box" style="margin:14px auto; cursor:pointer; color:#fff;">
@@ -329,7 +608,7 @@ function buildFaqBlock(townName, venueInfo) {
             (x) => `
           <div style="margin:10px 0; color:#fff;">
             <div style="font-weight:800; color:#fff;">${escapeHtml(x.q)}</div>
-            <div style="opacity:0.95; color:#fff;">${escapeHtml(x.a)}</div>
+            <div style="opacity:0.95; color:#fff;">${x.a}</div>
           </div>
         `
           )
@@ -338,17 +617,68 @@ function buildFaqBlock(townName, venueInfo) {
     </details>
   `;
 
-  const schema = {
-    "@context": "https://schema.org",
-    "@type": "FAQPage",
-    mainEntity: qas.map((x) => ({
-      "@type": "Question",
-      name: x.q,
-      acceptedAnswer: { "@type": "Answer", text: x.a },
-    })),
-  };
+  return { html, schema: buildFaqPageJsonLd(qas) };
+}
+
+// "From £X" line plus a ticket type / price table; "" when nothing is priced
+function buildPriceSummaryHtml(summary) {
+  if (!summary) return "";
+  const rows = summary.types
+    .map(
+      (t) =>
+        `<tr><th scope="row">${escapeHtml(t.name)}</th><td>${escapeHtml(
+          formatPriceRange(t.low, t.high, summary.currency)
+        )}</td></tr>`
+    )
+    .join("");
+
+  return `
+    <div class="price-summary">
+      <div class="price-from">Tickets from <strong>${escapeHtml(formatPrice(summary.low, summary.currency))}</strong></div>
+      <table class="price-table" aria-label="Ticket prices">
+        <tbody>${rows}</tbody>
+      </table>
+    </div>`;
+}
+
+// One price -> Offer; several ticket types or prices -> AggregateOffer with an
+// Offer (or a nested range) per ticket type. No prices -> the bare Offer.
+function buildOffersJsonLd(ev, { url, validFrom }) {
+  const base = { url, availability: schemaAvailability(ev.dates), validFrom };
+  const summary = ev.priceSummary;
+  if (!summary) return { "@type": "Offer", ...base };
+
+  const money = (n) => n.toFixed(2);
+  if (summary.types.length === 1 && summary.low === summary.high) {
+    return {
+      "@type": "Offer",
+      name: summary.types[0].name,
+      price: money(summary.low),
+      priceCurrency: summary.currency,
+      ...base,
+    };
+  }
 
-  return { html, schema };
+  return {
+    "@type": "AggregateOffer",
+    lowPrice: money(summary.low),
+    highPrice: money(summary.high),
+    priceCurrency: summary.currency,
+    offerCount: summary.types.length,
+    ...base,
+    offers: summary.types.map((t) =>
+      t.low === t.high
+        ? { "@type": "Offer", name: t.name, price: money(t.low), priceCurrency: summary.currency, url }
+        : {
+            "@type": "AggregateOffer",
+            name: t.name,
+            lowPrice: money(t.low),
+            highPrice: money(t.high),
+            priceCurrency: summary.currency,
+            url,
+          }
+    ),
+  };
 }
 
 function buildEventJsonLdForTown(req, townObj) {
@@ -365,14 +695,14 @@ function buildEventJsonLdForTown(req, townObj) {
 
   const schemas = [];
 
-  for (const ev of townObj.events || []) {
-    const dates = (ev.dates || []).map((d) => new Date(d.startISO)).sort((a, b) => a - b);
-    if (!dates.length) continue;
+  // One Event per venue + show, so a multi-venue town lists every venue
+  for (const show of groupTownShows(townObj.events)) {
+    const dates = show.dates.map((d) => new Date(d.startISO));
 
-    const startDate = dates[0].toISOString();
-    const endDate = dates[dates.length - 1].toISOString();
+    const startDate = toZonedISO(dates[0], SITE_TIME_ZONE);
+    const endDate = toZonedISO(dates[dates.length - 1], SITE_TIME_ZONE);
 
-    const v = ev.venueInfo || {};
+    const v = show.venueInfo || {};
     const location = {
       "@type": "Place",
       name: v.venueName || `${townObj.town} venue`,
@@ -385,384 +715,264 @@ function buildEventJsonLdForTown(req, townObj) {
         addressCountry: v.country || "GB",
       },
     };
+    const profile = venueProfiles.profileFor(v);
+    if (profile.precise) location.geo = { "@type": "GeoCoordinates", latitude: profile.lat, longitude: profile.lng };
 
-    const firstBooking = (ev.dates || [])[0]?.bookNowLink || townUrl;
+    // Point the offer at a performance that can actually be booked
+    const bookable = show.dates.filter((d) => isBookable(d.availability));
+    const firstBooking = (bookable[0] || show.dates[0])?.bookNowLink || townUrl;
+
+    const eventStatus = schemaEventStatus(show.dates);
+    const previousStarts = show.dates
+      .map((d) => d.previousStartISO)
+      .filter(Boolean)
+      .sort((a, b) => new Date(a) - new Date(b));
 
     schemas.push({
       "@context": "https://schema.org",
       "@type": "Event",
-      name: ev.eventName || `Family friendly circus in ${townObj.town}`,
+      name: show.showName || `Family friendly circus in ${townObj.town}`,
       startDate,
       endDate,
       eventAttendanceMode: "https://schema.org/OfflineEventAttendanceMode",
-      eventStatus: "https://schema.org/EventScheduled",
+      eventStatus,
+      previousStartDate: previousStarts.length ? previousStarts[0] : undefined,
       location,
-      image: ev.thumbnail ? [ev.thumbnail] : undefined,
-      description: (ev.description || "").replace(/\s+/g, " ").trim().slice(0, 400) || undefined,
+      image: show.thumbnail ? [show.thumbnail] : undefined,
+      description: show.description.replace(/\s+/g, " ").trim().slice(0, 400) || undefined,
       organizer,
       url: townUrl,
-      offers: {
-        "@type": "Offer",
-        url: firstBooking,
-        availability: "https://schema.org/InStock",
-        validFrom: startDate,
-      },
+      offers: buildOffersJsonLd(
+        { dates: show.dates, priceSummary: summarisePrices(show.dates) },
+        { url: firstBooking, validFrom: startDate }
+      ),
     });
   }
 
   return schemas;
 }
 
-// -------------------------
 // -------------------------
 // Rendering shell
 // -------------------------
+// Every page goes through views/layout.html (see utils/pageTemplates.js), so
+// the head, Google tag, header, nav and footer live in one place.
+
+// The official social profiles: the footer icons and the Organization
+// JSON-LD "sameAs" are both built from this list
+const SOCIAL_LINKS = [
+  { label: "Reagal Events on Facebook", icon: "fa-facebook-f", url: "https://www.facebook.com/Reagalevents" },
+  { label: "The Wonder Circus on TikTok", icon: "fa-tiktok", url: "https://www.tiktok.com/@the.wonder.circus" },
+];
+
+const SOCIAL_LINKS_HTML = SOCIAL_LINKS.map(
+  (link) =>
+    `<a aria-label="${escapeHtml(link.label)}" class="social-icon" href="${escapeHtml(link.url)}" rel="noopener" target="_blank">\n` +
+    `<i class="fa-brands ${escapeHtml(link.icon)}"></i>\n</a>`
+).join("\n");
+
+function buildOrganizationJsonLd(baseUrl) {
+  return {
+    "@context": "https://schema.org",
+    "@type": "Organization",
+    name: "Reagal Events",
+    url: baseUrl,
+    logo: `${baseUrl}/favicon-512.png`,
+    sameAs: SOCIAL_LINKS.map((link) => link.url),
+  };
+}
+
 function renderShell({
   req,
   title,
   description,
   bodyHtml,
   robots = "index, follow",
+  canonical = null,
   headExtras = "",
   jsonLdObjects = [],
+  bodyClass = "",
+  mainId = "",
+  ogImage = "",
 }) {
   const baseUrl = getBaseUrl(req);
-  const canonicalPath = stripQuery(req.originalUrl);
-  const canonical = `${baseUrl}${canonicalPath}`;
+  const canonicalPath = canonical || stripQuery(req.originalUrl);
+  const canonicalUrl = /^https?:\/\//i.test(canonicalPath) ? canonicalPath : `${baseUrl}${canonicalPath}`;
 
-  const year = new Date().getFullYear();
-
-  // Use a real share image you host. banner1.jpg works as a starter.
+  // Pages with their own share card pass ogImage (a path or a full URL); the banner otherwise
   const SITE_OG_IMAGE = `${baseUrl}/banner1.jpg`;
+  const shareImage = ogImage ? (/^https?:\/\//i.test(ogImage) ? ogImage : `${baseUrl}${ogImage}`) : SITE_OG_IMAGE;
+
+  const jsonLdScripts = SEO_FLAGS.enableJsonLd
+    ? [buildOrganizationJsonLd(baseUrl), ...(jsonLdObjects || [])]
+        .filter(Boolean)
+        .map((obj) => {
+          const safe = JSON.stringify(obj).replace(/</g, "\\u003c");
+          return `<script type="application/ld+json">${safe}</script>`;
+        })
+        .join("\n")
+    : "";
 
-  const jsonLdScripts =
-    SEO_FLAGS.enableJsonLd && jsonLdObjects && jsonLdObjects.length
-      ? jsonLdObjects
-          .filter(Boolean)
-          .map((obj) => {
-            const safe = JSON.stringify(obj).replace(/</g, "\\u003c");
-            return `<script type="application/ld+json">${safe}</script>`;
-          })
-          .join("\n")
-      : "";
-
-  return `<!doctype html>
-<html lang="en">
-<head>
-  <meta charset="utf-8"/>
-  <meta name="viewport" content="width=device-width,initial-scale=1"/>
-
-  <title>${escapeHtml(title)}</title>
-  <meta name="description" content="${escapeHtml(description)}"/>
-  <meta name="robots" content="${escapeHtml(robots)}"/>
-  <link rel="canonical" href="${escapeHtml(canonical)}"/>
-
-  <!-- Open Graph -->
-  <meta property="og:site_name" content="Reagal Events"/>
-  <meta property="og:locale" content="en_GB"/>
-  <meta property="og:title" content="${escapeHtml(title)}"/>
-  <meta property="og:description" content="${escapeHtml(description)}"/>
-  <meta property="og:url" content="${escapeHtml(canonical)}"/>
-  <meta property="og:type" content="website"/>
-  <meta property="og:image" content="${escapeHtml(SITE_OG_IMAGE)}"/>
-
-  <!-- Twitter -->
-  <meta name="twitter:card" content="summary_large_image"/>
-  <meta name="twitter:title" content="${escapeHtml(title)}"/>
-  <meta name="twitter:description" content="${escapeHtml(description)}"/>
-  <meta name="twitter:image" content="${escapeHtml(SITE_OG_IMAGE)}"/>
-
-  <!-- Favicons -->
-  <link rel="icon" href="/favicon.ico" sizes="any"/>
-  <link rel="icon" type="image/png" sizes="32x32" href="/favicon-32.png"/>
-  <link rel="icon" type="image/png" sizes="16x16" href="/favicon-16.png"/>
-  <link rel="apple-touch-icon" href="/favicon-512.png"/>
-
-  <link rel="stylesheet" href="/styles.css"/>
-
-  <!-- Speed up third-party CSS -->
-  <link rel="preconnect" href="https://cdnjs.cloudflare.com" crossorigin>
-  <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.2/css/all.min.css">
-
-  ${headExtras || ""}
-  ${jsonLdScripts}
-</head>
-<body>
-  <header>
-    <img src="/banner1.jpg" alt="Reagal Events Banner" class="banner">
-    <div class="banner2-container">
-      <h2 class="circus-font">Proudly Presents</h2>
-    </div>
-    <nav id="menu">
-      <ul>
-        <li><a href="/index.html">Welcome</a></li>
-        <li><a href="/all-shows.html">All Shows</a></li>
-        <li><a href="/tour-locations">Tour Locations</a></li>
-        <li><a href="/gallery.html">Gallery</a></li>
-        <li><a href="/about-us.html">About Us</a></li>
-        <li><a href="/contact.html">Contact Us</a></li>
-        <li><a href="/general-tour.html">General Tour</a></li>
-        <li><a href="/summer-season.html">Summer Season</a></li>
-        <li><a href="/halloween-circus.html">Halloween Circus</a></li>
-      </ul>
-    </nav>
-  </header>
-
-  <main>
-    ${bodyHtml}
-  </main>
-
-  <footer>
-<div class="footer-container">
-  <div class="footer-left">
-    <div class="social-links">
-      <a class="social-icon" href="https://www.facebook.com/Reagalevents" rel="noopener" target="_blank" aria-label="Reagal Events on Facebook">
-        <i class="fa-brands fa-facebook-f"></i>
-      </a>
-      <a class="social-icon" href="https://www.tiktok.com/@the.wonder.circus" rel="noopener" target="_blank" aria-label="The Wonder Circus on TikTok">
-        <i class="fa-brands fa-tiktok"></i>
-      </a>
-    </div>
-  </div>
-
-  <div class="footer-center footer-authority">
-    <p class="footer-authority-title"><strong>Reagal Events</strong></p>
-    <p class="footer-authority-text">
-      A traditional touring circus bringing family-friendly live entertainment to towns across the UK.
-      Explore our tour locations, learn about life on the road, and find official media assets.
-    </p>
-    <div class="footer-authority-links">
-      <a href="/press-media.html">Press &amp; Media</a>
-      <span class="footer-link-sep">•</span>
-      <a href="/how-a-traditional-touring-circus-works.html">How it works</a>
-      <span class="footer-link-sep">•</span>
-      <a href="/life-on-the-road-with-reagal-events.html">Life on the road</a>
-      <span class="footer-link-sep">•</span>
-      <a href="/circus-animal-welfare-standards.html">Animal welfare</a>
-    </div>
-  </div>
-
-  <div class="footer-right">
-    <div class="ticketsource-button">
-      <a href="https://www.ticketsource.co.uk/Reagalevents" rel="noopener" target="_blank">
-        <img src="https://www.ticketsource.co.uk/images/bookNow/bookNow-black-small.png" alt="Book now" width="130" height="56" loading="lazy"/>
-      </a>
-    </div>
-    <div class="footer-nap">
-      <p><strong>Reagal Events</strong></p>
-      <p><a href="tel:07719877422">07719 877422</a></p>
-      <p>United Kingdom</p>
-      <p>Animal licence number: 19/00613/AWEA</p>
-    </div>
-  </div>
-
-  <p class="footer-text">© 2026 Reagal Events. All rights reserved.</p>
-</div>
-</footer>
-
-  <!-- Autoscroll: bring menu to top, but only after:
-       - minimum banner time (2.5s), and
-       - events have appeared (or "no events" message), if this page has events -->
-  <script>
-    (function () {
-      var cancelled = false;
-
-      function cancel() { cancelled = true; cleanup(); }
-      function cleanup() {
-        window.removeEventListener('wheel', cancel, { passive: true });
-        window.removeEventListener('touchstart', cancel, { passive: true });
-        window.removeEventListener('keydown', cancel);
-      }
-
-      function sleep(ms) { return new Promise(function(r){ setTimeout(r, ms); }); }
-
-      function pageLooksLikeEventsPage() {
-        return !!document.querySelector('[id$="-events"], #events-container, .events-container');
-      }
-
-      async function waitForEvents(maxWaitMs) {
-        if (!pageLooksLikeEventsPage()) return;
-
-        var start = Date.now();
-        while (Date.now() - start < maxWaitMs) {
-          if (document.querySelector('.event')) return;
-          if (document.querySelector('.no-events-message')) return;
-
-          // Fallback: any events container has children
-          var containers = document.querySelectorAll('[id$="-events"], #events-container, .events-container');
-          for (var i = 0; i < containers.length; i++) {
-            if (containers[i] && containers[i].children && containers[i].children.length > 0) return;
-          }
+  return templates.render("layout", {
+    TITLE: title,
+    DESCRIPTION: description,
+    ROBOTS: robots,
+    CANONICAL: canonicalUrl,
+    OG_IMAGE: shareImage,
+    HEAD_EXTRAS: headExtras || "",
+    JSON_LD: jsonLdScripts,
+    BODY_ATTRS: bodyClass ? ` class="${escapeHtml(bodyClass)}"` : "",
+    MAIN_ATTRS: mainId ? ` id="${escapeHtml(mainId)}"` : "",
+    BANNER: imagePipeline.pictureHtml("/banner1.jpg", {
+      alt: "Reagal Events Banner",
+      attrs: { class: "banner", fetchpriority: "high" },
+      escape: escapeHtml,
+    }),
+    CONTENT: bodyHtml,
+    SOCIAL_LINKS: SOCIAL_LINKS_HTML,
+    YEAR: new Date().getFullYear(),
+  });
+}
 
-          await sleep(80);
-        }
-      }
 
-      window.addEventListener('wheel', cancel, { passive: true });
-      window.addEventListener('touchstart', cancel, { passive: true });
-      window.addEventListener('keydown', cancel);
+// How often the full dataset is refetched in the background (safe default).
+// TS_CACHE_TTL_MS is still honoured as the fallback for existing deployments.
+const TS_REFRESH_INTERVAL_MS = Number(
+  process.env.TS_REFRESH_INTERVAL_MS || process.env.TS_CACHE_TTL_MS || 300000
+); // 5 min
 
-      window.addEventListener('load', function() {
-        Promise.all([
-          sleep(2500),      // minimum banner time
-          waitForEvents(12000) // wait for events if applicable
-        ]).then(function() {
-          if (cancelled) return;
+// Where the last good grouped-events result is persisted
+const EVENTS_SNAPSHOT_DIR = process.env.EVENTS_SNAPSHOT_DIR
+  ? path.resolve(process.env.EVENTS_SNAPSHOT_DIR)
+  : path.join(__dirname, ".cache", "events");
 
-          var reduce = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-          var menu = document.getElementById('menu');
-          if (!menu) return;
+const ALL_EVENTS_KEY = "__all__";
 
-          var y = menu.getBoundingClientRect().top + window.pageYOffset;
-          window.scrollTo({ top: y, behavior: reduce ? 'auto' : 'smooth' });
+// The one dataset every page/API reads: { ts, data } for "__all__", warmed from
+// disk so a restart (or TicketSource being down at boot) still has something to serve.
+let __eventsDataset = loadEventSnapshots(EVENTS_SNAPSHOT_DIR).get(ALL_EVENTS_KEY) || null;
 
-          cleanup();
-        }).catch(function() { cleanup(); });
-      });
-    })();
-  </script>
-  <script src="/script.js" defer></script>
-</body>
-</html>`;
-}
+// Views derived from __eventsDataset with tour overrides applied, keyed by
+// reference ("__all__" for everything; only references that have events).
+// Cleared on every refresh and whenever the overrides change.
+const __eventsViews = new Map();
 
+const eventsScheduler = createRefreshScheduler({
+  intervalMs: TS_REFRESH_INTERVAL_MS,
+  refresh: refreshGroupedEvents,
+  onError: (err) => {
+    console.warn(`Event refresh (${eventProvider.name}) failed; keeping previous data`, err?.message || err);
+  },
+});
 
-// TicketSource resilience knobs (safe defaults)
-const TS_TIMEOUT_MS = Number(process.env.TS_TIMEOUT_MS || 12000);
-const TS_CONCURRENCY = Number(process.env.TS_CONCURRENCY || 6);
-const TS_MAX_RETRIES = Number(process.env.TS_MAX_RETRIES || 2);
-const TS_CACHE_TTL_MS = Number(process.env.TS_CACHE_TTL_MS || 300000); // 5 min
+/**
+ * Requests always read from memory. The scheduler keeps "__all__" fresh; the
+ * only time a request waits on the provider is a cold start with no snapshot,
+ * and then it joins the single in-flight refresh.
+ */
+async function buildGroupedEvents(reference = null) {
+  const ref = reference ? String(reference).toLowerCase() : null;
 
-// Simple in-memory cache: { key -> { ts, data } }
-const __eventsCache = new Map();
+  if (!__eventsDataset) await eventsScheduler.runNow();
 
-function pLimit(concurrency) {
-  let activeCount = 0;
-  const queue = [];
-  const next = () => {
-    activeCount--;
-    if (queue.length > 0) queue.shift()();
-  };
-  const run = (fn, resolve, reject) => {
-    activeCount++;
-    Promise.resolve()
-      .then(fn)
-      .then((val) => {
-        resolve(val);
-        next();
-      })
-      .catch((err) => {
-        reject(err);
-        next();
-      });
-  };
-  return (fn) =>
-    new Promise((resolve, reject) => {
-      if (activeCount < concurrency) run(fn, resolve, reject);
-      else queue.push(run.bind(null, fn, resolve, reject));
-    });
+  if (!__eventsViews.has(ALL_EVENTS_KEY)) {
+    __eventsViews.set(ALL_EVENTS_KEY, applyTourOverrides(__eventsDataset.data, tourOverrides.get()));
+  }
+  const all = __eventsViews.get(ALL_EVENTS_KEY);
+  if (!ref) return all;
+
+  if (__eventsViews.has(ref)) return __eventsViews.get(ref);
+  const filtered = filterGroupedEventsByReference(all, ref);
+  // Only references in the dataset are cached; anything else from ?reference=
+  // is an empty result, so the map can't grow past the dataset's references
+  if (Object.keys(filtered).length) __eventsViews.set(ref, filtered);
+  return filtered;
 }
 
-const __limit = pLimit(Math.max(1, TS_CONCURRENCY));
-
-function isRetryableAxiosError(err) {
-  const status = err?.response?.status;
-  if (!status) return true; // network/DNS/timeout
-  return status === 429 || (status >= 500 && status <= 599);
+// Overrides changed: drop every derived view (and the sitemap built from them)
+function invalidateEventViews() {
+  __eventsViews.clear();
+  sitemapCache = { xml: null, ts: 0, etag: null };
 }
 
-async function axiosGetWithRetry(url, config = {}, attempt = 0) {
-  try {
-    return await axios.get(url, { timeout: TS_TIMEOUT_MS, ...config });
-  } catch (err) {
-    if (attempt >= TS_MAX_RETRIES || !isRetryableAxiosError(err)) throw err;
-
-    const status = err?.response?.status;
-    const retryAfter = Number(err?.response?.headers?.["retry-after"] || 0);
-    const backoff = retryAfter
-      ? retryAfter * 1000
-      : [600, 1400, 2600][attempt] || 2600;
-
-    await new Promise((r) => setTimeout(r, backoff));
-    return axiosGetWithRetry(url, config, attempt + 1);
+function filterGroupedEventsByReference(groupedEvents, ref) {
+  const filtered = {};
+  for (const [town, events] of Object.entries(groupedEvents)) {
+    const matching = events.filter((ev) => String(ev.reference || "").toLowerCase() === ref);
+    if (matching.length) filtered[town] = matching;
   }
+  return filtered;
 }
 
-// -------------------------
-// TicketSource fetch
-// -------------------------
-async function fetchAllEvents(apiUrl, reference = null) {
-  const allEvents = [];
-  let nextUrl = apiUrl;
-
-  while (nextUrl) {
-    const params = reference ? { reference } : {};
-    const response = await axiosGetWithRetry(nextUrl, {
-      headers: { Authorization: `Bearer ${API_KEY}` },
-      params,
-    });
-    allEvents.push(...response.data.data);
-    nextUrl = response.data.links?.next || null;
-  }
+async function refreshGroupedEvents() {
+  const groupedEvents = await fetchGroupedEvents();
+  __eventsDataset = { ts: Date.now(), data: groupedEvents };
+  __eventsViews.clear();
 
-  return allEvents;
+  saveEventSnapshot(EVENTS_SNAPSHOT_DIR, ALL_EVENTS_KEY, __eventsDataset).catch((err) => {
+    console.warn("Failed to write events snapshot:", err?.message || err);
+  });
+  recordPublishedTowns().catch((err) => {
+    console.warn("Failed to update slug registry / tour history:", err?.message || err);
+  });
+  return groupedEvents;
 }
 
-async function buildGroupedEvents(reference = null) {
-  const ref = reference ? String(reference).toLowerCase() : null;
-  const cacheKey = ref || "__all__";
-  const cached = __eventsCache.get(cacheKey);
-  const now = Date.now();
-  if (cached && now - cached.ts < TS_CACHE_TTL_MS) {
-    return cached.data;
+// Record the towns now published in the slug registry and tour history (a new
+// redirect, finished town or history page changes the sitemap), then send
+// tour alerts for any town subscribers haven't heard about
+async function recordPublishedTowns() {
+  const townIndex = buildTownIndex(await buildGroupedEvents(null), { timeZone: SITE_TIME_ZONE });
+  const slugsChanged = await slugRegistry.record(townIndex);
+  const historyChanged = await tourHistory.record(townIndex);
+  if (slugsChanged || historyChanged) {
+    sitemapCache = { xml: null, ts: 0, etag: null };
   }
+  notifySubscribers(townIndex).catch((err) => {
+    console.warn("Tour alerts failed:", err?.message || err);
+  });
+}
 
-  let events;
-  try {
-    events = await fetchAllEvents("https://api.ticketsource.io/events", ref);
-  } catch (err) {
-    if (cached) {
-      console.warn("TicketSource fetch failed; serving stale cache for", cacheKey, err?.message || err);
-      return cached.data;
-    }
-    throw err;
-  }
+// How old the data behind buildGroupedEvents is (null if never fetched).
+// "Stale" means at least one scheduled refresh has been missed.
+function getEventsDataAge() {
+  if (!__eventsDataset) return null;
+  const ageMs = Math.max(0, Date.now() - __eventsDataset.ts);
+  return {
+    updatedAt: new Date(__eventsDataset.ts).toISOString(),
+    ageSeconds: Math.round(ageMs / 1000),
+    stale: ageMs >= 2 * TS_REFRESH_INTERVAL_MS,
+  };
+}
 
-  if (ref) {
-    events = events.filter((event) => {
-      const eventReference = event.attributes?.reference?.toLowerCase();
-      return eventReference === ref;
-    });
-  }
+function setEventsDataAgeHeaders(res) {
+  const age = getEventsDataAge();
+  if (!age) return;
+  res.setHeader("Last-Modified", new Date(age.updatedAt).toUTCString());
+  res.setHeader("X-Data-Updated-At", age.updatedAt);
+  res.setHeader("X-Data-Age", String(age.ageSeconds));
+  res.setHeader("X-Data-Stale", age.stale ? "1" : "0");
+}
 
-  const venueRequests = events.map((event) =>
-    __limit(() =>
-      axiosGetWithRetry(event.links.venues, {
-        headers: { Authorization: `Bearer ${API_KEY}` },
-      })
-    )
-  );
+async function fetchGroupedEvents() {
+  const events = await eventProvider.listEvents(null);
 
-  const dateRequests = events.map((event) =>
-    __limit(() =>
-      axiosGetWithRetry(event.links.dates, {
-        headers: { Authorization: `Bearer ${API_KEY}` },
-      })
-    )
-  );
+  const venueRequests = events.map((event) => eventProvider.listVenues(event));
+  const dateRequests = events.map((event) => eventProvider.listDates(event));
 
   const venuesResponses = await Promise.allSettled(venueRequests);
   const datesResponses = await Promise.allSettled(dateRequests);
 
   const groupedEvents = {};
-  const today = startOfTodayLocal();
+  const today = startOfToday({ timeZone: SITE_TIME_ZONE });
+  const priceLookups = []; // [{ event, date, entry }] for the ticket-type pass below
 
   events.forEach((event, index) => {
     const venues = venuesResponses[index].status === "fulfilled"
-      ? venuesResponses[index].value.data.data
+      ? venuesResponses[index].value || []
       : [];
     const dates = datesResponses[index].status === "fulfilled"
-      ? datesResponses[index].value.data.data
+      ? datesResponses[index].value || []
       : [];
 
     if (venuesResponses[index].status !== "fulfilled") {
@@ -776,122 +986,174 @@ async function buildGroupedEvents(reference = null) {
     const venueInfo = pickVenueInfo(venues[0]);
 
     const eventDetails = {
+      id: event.id || null,
       eventName: event.attributes.name,
       description: event.attributes.description,
       thumbnail: event.attributes.images?.find((img) => img.type === "thumbnail")?.src || "",
       town,
       fromDate: null,
       toDate: null,
+      fromDay: null,
+      toDay: null,
       dates: [],
       reference: event.attributes.reference,
       venueInfo,
     };
 
-    let minStart = null;
-    let maxStart = null;
-
+    // Every timestamp goes out as ISO with the site zone's offset, plus a
+    // "YYYY-MM-DD" day key, so clients never have to parse dd/mm/yyyy labels.
     dates.forEach((date) => {
       const startDate = new Date(date.attributes.start);
-      if (startDate < today) return;
-
-      eventDetails.dates.push({
-        startISO: date.attributes.start,
-        date: toDateLabelFull(date.attributes.start),
-        time: toTimeLabel(date.attributes.start),
-        bookNowLink: date.links.book_now,
-      });
-
-      if (!minStart || startDate < minStart) minStart = startDate;
-      if (!maxStart || startDate > maxStart) maxStart = startDate;
+      if (Number.isNaN(startDate.getTime()) || startDate < today) return;
+
+      const availability = normaliseAvailability(date.attributes, { fewLeftThreshold: FEW_TICKETS_LEFT });
+
+      const entry = {
+        id: date.id || null,
+        startISO: toZonedISO(startDate, SITE_TIME_ZONE),
+        endISO: date.attributes.end ? toZonedISO(date.attributes.end, SITE_TIME_ZONE) : null,
+        day: localDayKey(startDate, SITE_TIME_ZONE),
+        date: toDateLabelFull(startDate),
+        time: toTimeLabel(startDate),
+        bookNowLink: date.links?.book_now || "",
+        availability: availability.state,
+        remaining: availability.remaining,
+        previousStartISO: availability.previousStart
+          ? toZonedISO(availability.previousStart, SITE_TIME_ZONE)
+          : null,
+        prices: [],
+      };
+      eventDetails.dates.push(entry);
+      priceLookups.push({ event, date, entry });
     });
 
     if (eventDetails.dates.length === 0) return;
 
-    eventDetails.fromDate = minStart.toLocaleDateString("en-GB", {
-      day: "2-digit",
-      month: "2-digit",
-      year: "numeric",
-    });
-    eventDetails.toDate = maxStart.toLocaleDateString("en-GB", {
-      day: "2-digit",
-      month: "2-digit",
-      year: "numeric",
-    });
+    eventDetails.dates.sort((a, b) => new Date(a.startISO) - new Date(b.startISO));
+    const first = eventDetails.dates[0];
+    const last = eventDetails.dates[eventDetails.dates.length - 1];
+    eventDetails.fromDate = first.date;
+    eventDetails.toDate = last.date;
+    eventDetails.fromDay = first.day;
+    eventDetails.toDay = last.day;
 
     groupedEvents[town] = groupedEvents[town] || [];
     groupedEvents[town].push(eventDetails);
   });
 
-  __eventsCache.set(cacheKey, { ts: Date.now(), data: groupedEvents });
+  // Ticket types per upcoming date. A failed lookup just leaves that date
+  // unpriced; it never drops the performance.
+  const priceResponses = await Promise.allSettled(
+    priceLookups.map(({ event, date }) => eventProvider.listTicketTypes(event, date))
+  );
+  let priceFailures = 0;
+  priceResponses.forEach((r, i) => {
+    if (r.status === "fulfilled") priceLookups[i].entry.prices = normaliseTicketTypes(r.value);
+    else priceFailures++;
+  });
+  if (priceFailures) {
+    console.warn(`Ticket type fetch failed for ${priceFailures} of ${priceLookups.length} dates`);
+  }
+
+  for (const townEvents of Object.values(groupedEvents)) {
+    for (const ev of townEvents) ev.priceSummary = summarisePrices(ev.dates);
+  }
+
   return groupedEvents;
 }
 
-function buildTownIndex(groupedEvents, { comingSoonDays = 28 } = {}) {
-  const today = startOfTodayLocal();
-  const soonCutoff = new Date(today);
-  soonCutoff.setDate(soonCutoff.getDate() + comingSoonDays);
-
-  const towns = Object.keys(groupedEvents)
-    .map((town) => {
-      const events = groupedEvents[town] || [];
-      let minStart = null;
-      let maxEnd = null;
+// -------------------------
+// "Near me" search
+// -------------------------
+// Where a search starts from: ?postcode=PE8 4EU (or just PE8), or ?lat=&lng=
+function resolveSearchOrigin(query = {}) {
+  if (query.lat !== undefined || query.lng !== undefined) {
+    // Number("") is 0, so "?lat=&lng=" mustn't reach parseLatLng
+    const blank = (v) => v == null || String(v).trim() === "";
+    const point = blank(query.lat) || blank(query.lng) ? null : parseLatLng(query.lat, query.lng);
+    if (!point) return { error: "Please provide a valid latitude and longitude." };
+    return { origin: { ...point, label: "your location", precision: "exact" } };
+  }
 
-      for (const ev of events) {
-        for (const d of ev.dates || []) {
-          const dt = new Date(d.startISO);
-          if (!minStart || dt < minStart) minStart = dt;
-          if (!maxEnd || dt > maxEnd) maxEnd = dt;
-        }
-      }
+  const postcode = String(query.postcode || "").trim();
+  if (!postcode) return { error: "Please enter a postcode." };
 
-      if (!minStart || !maxEnd) return null;
+  const found = postcodeLookup.lookup(postcode);
+  if (!found) return { error: `We couldn't find “${postcode.slice(0, 12)}”. Please check the postcode.` };
+  return {
+    origin: { lat: found.lat, lng: found.lng, label: found.postcode, precision: found.precision },
+  };
+}
 
-      return {
-        town,
-        townSlug: slugifyTown(town),
-        startDateISO: minStart.toISOString(),
-        endDateISO: maxEnd.toISOString(),
-        status: "LATER",
-        events,
-      };
-    })
-    .filter(Boolean)
-    .sort((a, b) => new Date(a.startDateISO) - new Date(b.startDateISO));
-
-  const isSameLocalDay = (a, b) =>
-    a.getFullYear() === b.getFullYear() &&
-    a.getMonth() === b.getMonth() &&
-    a.getDate() === b.getDate();
-
-  for (const t of towns) {
-    const start = new Date(t.startDateISO);
-    const end = new Date(t.endDateISO);
-
-    if (start <= today && end >= today) {
-      t.status = isSameLocalDay(end, today) ? "FINAL_DAY" : "IN_TOWN_NOW";
-    } else if (start > today && start <= soonCutoff) {
-      t.status = "COMING_SOON";
-    } else if (end < today) {
-      t.status = "PAST";
-    } else {
-      t.status = "LATER";
+// Upcoming towns ranked by distance from `origin`. Multi-venue towns use their
+// closest venue; towns whose venue postcodes don't resolve are left out.
+function rankTownsByDistance(townIndex, origin, { limit = 5 } = {}) {
+  const ranked = [];
+
+  for (const t of townIndex || []) {
+    let best = null;
+    for (const ev of t.events || []) {
+      const v = ev.venueInfo || {};
+      const point = locateVenue(v);
+      if (!point) continue;
+      const km = haversineKm(origin, point);
+      if (!best || km < best.km) best = { km, venueName: v.venueName || "", postcode: v.postcode };
     }
+    if (!best) continue;
+
+    ranked.push({
+      town: t.town,
+      townSlug: t.townSlug,
+      status: t.status,
+      badge: statusBadgeText(t.status),
+      startDateISO: t.startDateISO,
+      endDateISO: t.endDateISO,
+      dateRange: `${toDateLabel(t.startDateISO)} – ${toDateLabel(t.endDateISO)}`,
+      venueName: best.venueName,
+      postcode: best.postcode,
+      distanceKm: Math.round(best.km * 10) / 10,
+      distanceMiles: Math.round(best.km * 0.621371 * 10) / 10,
+    });
   }
 
-  const inTownNow = towns.filter((t) => t.status === "IN_TOWN_NOW" || t.status === "FINAL_DAY");
-  if (inTownNow.length > 0) {
-    const currentMaxEnd = new Date(
-      Math.max(...inTownNow.map((t) => new Date(t.endDateISO).getTime()))
-    );
-    const next = towns.find((t) => new Date(t.startDateISO) > currentMaxEnd);
-    if (next) next.status = "NEXT_STOP";
-  } else {
-    const next = towns.find((t) => new Date(t.startDateISO) > today);
-    if (next) next.status = "NEXT_STOP";
-  }
+  return ranked.sort((a, b) => a.distanceKm - b.distanceKm).slice(0, limit);
+}
+
+function buildNearestSearchHtml({ action = "/tour-locations", postcode = "", resultsHtml = "" } = {}) {
+  return `
+    <form class="nearest-search" action="${escapeHtml(action)}" method="get" role="search">
+      <label for="nearest-postcode">Find the circus near you</label>
+      <div class="nearest-search-row">
+        <input id="nearest-postcode" name="postcode" type="text" inputmode="text" autocomplete="postal-code"
+          placeholder="Enter your postcode, e.g. PE8 4EU" value="${escapeHtml(postcode)}" maxlength="10" required>
+        <button type="submit" class="town-booknow">Search</button>
+        <button type="button" class="town-booknow nearest-geolocate" hidden>Use my location</button>
+      </div>
+      <div class="nearest-results" aria-live="polite">${resultsHtml}</div>
+    </form>
+  `;
+}
 
-  return towns.filter((t) => t.status !== "PAST");
+function buildNearestResultsHtml(origin, towns) {
+  if (!towns.length) {
+    return `<p class="nearest-empty">No upcoming tour stops found near ${escapeHtml(origin.label)}.</p>`;
+  }
+  return `
+    <p class="nearest-heading">Closest stops to ${escapeHtml(origin.label)}</p>
+    <ol class="nearest-list">
+      ${towns
+        .map(
+          (t) => `
+        <li>
+          <a href="/circus-in/${escapeHtml(t.townSlug)}"><strong>${escapeHtml(t.town)}</strong></a>
+          <span class="nearest-distance">${escapeHtml(String(t.distanceMiles))} miles</span>
+          <span class="nearest-dates">${escapeHtml(t.dateRange)}</span>
+          <span class="nearest-badge">${escapeHtml(statusBadgeText(t.status))}</span>
+        </li>`
+        )
+        .join("")}
+    </ol>
+  `;
 }
 
 // -------------------------
@@ -900,7 +1162,7 @@ function buildTownIndex(groupedEvents, { comingSoonDays = 28 } = {}) {
 if (SEO_FLAGS.enableRobotsTxt) {
   app.get("/robots.txt", (req, res) => {
     const baseUrl = getBaseUrl(req);
-    res.type("text/plain").send(`User-agent: *\nAllow: /\nSitemap: ${baseUrl}/sitemap.xml\n`);
+    res.type("text/plain").send(`User-agent: *\nAllow: /\nDisallow: /admin\nSitemap: ${baseUrl}/sitemap.xml\n`);
   });
 }
 
@@ -922,36 +1184,33 @@ if (SEO_FLAGS.enableSitemap) {
       }
 
       const staticPaths = [
-  "/",
-  "/all-shows.html",
-  "/gallery.html",
-  "/contact.html",
-  "/general-tour.html",
-  "/summer-season.html",
-  "/halloween-circus.html",
-  "/tour-locations",
-
-  // About hub + subpages
-  "/about-us.html",
-  "/about-who-we-are.html",
-  "/about-our-heritage.html",
-  "/about-our-beautiful-animals.html",
-  "/about-life-on-the-road.html",
-  "/about-our-trucks-and-transport.html",
-
-  // Authority pages
-  "/press-media.html",
-  "/how-a-traditional-touring-circus-works.html",
-  "/life-on-the-road-with-reagal-events.html",
-  "/circus-animal-welfare-standards.html",
-];
+        ...LISTING_PAGES.map((p) => p.path),
+        "/tour-locations",
+        "/tour-map",
+        "/tour-archive",
 
+        // Content pages (views/pages/), unless marked noindex
+        ...templates
+          .pages()
+          .filter((p) => !/noindex/i.test(p.meta.robots || ""))
+          .map((p) => p.path),
+      ];
 
-      const groupedEvents = await buildGroupedEvents(null);
-      const townIndex = buildTownIndex(groupedEvents, { comingSoonDays: 365 });
-      const townPaths = townIndex.map((t) => `/circus-in/${t.townSlug}`);
 
-      const urls = [...new Set([...staticPaths, ...townPaths])]
+      const groupedEvents = await buildGroupedEvents(null);
+      const townIndex = buildTownIndex(groupedEvents, { comingSoonDays: 365, timeZone: SITE_TIME_ZONE });
+      // Live towns plus finished ones from the slug registry (renamed slugs 301, so they're left out)
+      const townPaths = [
+        ...townIndex.map((t) => t.townSlug),
+        ...slugRegistry.publishedSlugs().map((entry) => entry.slug),
+      ].map((slug) => `/circus-in/${slug}`);
+
+      // History pages are only indexable once a town has a finished run
+      const historyPaths = tourHistory
+        .completedRuns(localDayKey(new Date(), SITE_TIME_ZONE))
+        .map((r) => `/circus-in/${r.townSlug}/history`);
+
+      const urls = [...new Set([...staticPaths, ...townPaths, ...historyPaths])]
         .map((p) => `${baseUrl}${p}`)
         .sort();
 
@@ -985,47 +1244,962 @@ app.get("/api/events", async (req, res) => {
   try {
     const reference = req.query.reference ? req.query.reference.toLowerCase() : null;
     const groupedEvents = await buildGroupedEvents(reference);
-    res.json(groupedEvents);
+    setEventsDataAgeHeaders(res);
+    res.json(withThumbnailSrcsets(groupedEvents));
   } catch (error) {
     console.error("Error /api/events:", error.message);
     res.status(500).json({ error: "Failed to fetch events" });
   }
 });
 
+app.get("/api/nearest", async (req, res) => {
+  try {
+    const { origin, error } = resolveSearchOrigin(req.query);
+    if (error) return res.status(400).json({ error });
+
+    const limit = Math.min(20, Math.max(1, parseInt(req.query.limit, 10) || 5));
+    const groupedEvents = await buildGroupedEvents(null);
+    const townIndex = buildTownIndex(groupedEvents, { comingSoonDays: 28, timeZone: SITE_TIME_ZONE });
+
+    setEventsDataAgeHeaders(res);
+    res.json({ origin, towns: rankTownsByDistance(townIndex, origin, { limit }) });
+  } catch (error) {
+    console.error("Error /api/nearest:", error.message);
+    res.status(500).json({ error: "Failed to search tour locations" });
+  }
+});
+
 app.get("/api/town-index", async (req, res) => {
   try {
     const groupedEvents = await buildGroupedEvents(null);
-    const townIndex = buildTownIndex(groupedEvents, { comingSoonDays: 28 });
-    res.json(townIndex);
+    const townIndex = buildTownIndex(groupedEvents, { comingSoonDays: 28, timeZone: SITE_TIME_ZONE });
+    setEventsDataAgeHeaders(res);
+    res.json(
+      townIndex.map((t) => {
+        const copy = tourOverrides.get().towns[t.townSlug] || {};
+        return { ...t, badge: statusBadgeText(t.status), description: copy.description || "", notes: copy.notes || "" };
+      })
+    );
   } catch (error) {
     console.error("Error /api/town-index:", error.message);
     res.status(500).json({ error: "Failed to build town index" });
   }
 });
 
+// Thumbnails go out with a WebP srcset through /img, so the cards needn't
+// download TicketSource's full-size image
+function withThumbnailSrcsets(groupedEvents) {
+  const out = {};
+  for (const [town, events] of Object.entries(groupedEvents)) {
+    out[town] = events.map((ev) => (ev.thumbnail ? { ...ev, thumbnailSrcset: imagePipeline.srcsetFor(ev.thumbnail) } : ev));
+  }
+  return out;
+}
+
+// ?album=animals&page=2&limit=24 (no album = every photo)
+app.get("/api/gallery", (req, res) => {
+  const album = String(req.query.album || "").trim().toLowerCase() || null;
+  if (album && !GALLERY_ALBUMS.some((a) => a.id === album)) {
+    return res.status(400).json({ error: "Unknown album", albums: GALLERY_ALBUMS.map((a) => a.id) });
+  }
+
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 24));
+    const result = gallery.query({ album, page, limit });
+    res.set("Cache-Control", "public, max-age=300");
+    res.json({
+      ...result,
+      images: result.images.map((img) => ({
+        ...img,
+        srcset: imagePipeline.srcsetFor(img.src, { width: img.width }),
+        placeholder: imagePipeline.describe(img.src).placeholder,
+      })),
+    });
+  } catch (error) {
+    console.error("Error /api/gallery:", error.message);
+    res.status(500).json({ error: "Failed to build gallery" });
+  }
+});
+
 // -------------------------
-// Tour Locations hub page
+// Calendar feeds (.ics)
 // -------------------------
-app.get("/tour-locations", async (req, res) => {
-  try {
-    const groupedEvents = await buildGroupedEvents(null);
-    const townIndex = buildTownIndex(groupedEvents, { comingSoonDays: 28 });
-
-    const badge = (status) => {
-      if (status === "FINAL_DAY") return "🔴 Final day";
-      if (status === "IN_TOWN_NOW") return "🟢 In town now";
-      if (status === "NEXT_STOP") return "🟡 Next stop";
-      if (status === "COMING_SOON") return "🟡 Coming soon";
-      return "🟣 Later";
-    };
+// UIDs come from the provider's date IDs so subscribed calendars update a
+// performance in place instead of adding a duplicate.
+const ICS_UID_DOMAIN = "reagalevents.com";
+
+function performanceUid(ev, d) {
+  if (d.id) return `date-${d.id}@${ICS_UID_DOMAIN}`;
+  const key = `${ev.eventName}|${ev.town}|${new Date(d.startISO).toISOString()}`;
+  return `perf-${crypto.createHash("sha1").update(key).digest("hex").slice(0, 20)}@${ICS_UID_DOMAIN}`;
+}
 
-    const fmtRange = (t) => `${toDateLabel(t.startDateISO)} – ${toDateLabel(t.endDateISO)}`;
+function buildCalendarEvents(req, groupedEvents) {
+  const baseUrl = getBaseUrl(req);
+  const events = [];
+
+  for (const [town, townEvents] of Object.entries(groupedEvents || {})) {
+    const townUrl = `${baseUrl}/circus-in/${townSlugFor(town, townEvents)}`;
+
+    for (const ev of townEvents || []) {
+      const v = ev.venueInfo || {};
+      const location = [v.venueName, v.address1, v.address2, town, v.postcode]
+        .filter(Boolean)
+        .filter((part, i, arr) => arr.indexOf(part) === i)
+        .join(", ");
+
+      for (const d of ev.dates || []) {
+        const start = new Date(d.startISO);
+        const end = d.endISO
+          ? new Date(d.endISO)
+          : new Date(start.getTime() + DEFAULT_SHOW_DURATION_MINUTES * 60 * 1000);
+
+        events.push({
+          uid: performanceUid(ev, d),
+          start,
+          end,
+          summary: `${ev.eventName || "Reagal Events"} – ${town}`,
+          location,
+          description: [
+            d.bookNowLink ? `Book tickets: ${d.bookNowLink}` : "",
+            `Dates and times: ${townUrl}`,
+          ]
+            .filter(Boolean)
+            .join("\n"),
+          url: d.bookNowLink || townUrl,
+          cancelled: d.availability === AVAILABILITY.CANCELLED,
+        });
+      }
+    }
+  }
 
-    const inTown = townIndex.filter((t) => t.status === "IN_TOWN_NOW" || t.status === "FINAL_DAY");
+  return events.sort((a, b) => a.start - b.start);
+}
+
+function sendCalendar(res, { filename, name, description, events }) {
+  const ics = buildCalendar({ name, description, timeZone: SITE_TIME_ZONE, events });
+  res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+  res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+  res.setHeader("Cache-Control", "public, max-age=900");
+  res.send(ics);
+}
+
+app.get("/calendar.ics", async (req, res) => {
+  try {
+    const groupedEvents = await buildGroupedEvents(null);
+    sendCalendar(res, {
+      filename: "reagal-events-tour.ics",
+      name: "Reagal Events – Full Tour",
+      description: "Every upcoming Reagal Events performance.",
+      events: buildCalendarEvents(req, groupedEvents),
+    });
+  } catch (error) {
+    console.error("Error /calendar.ics:", error.message);
+    res.status(500).type("text/plain").send("Error building calendar");
+  }
+});
+
+app.get("/calendar/:reference.ics", async (req, res) => {
+  try {
+    const reference = String(req.params.reference || "").toLowerCase();
+    if (!/^[a-z0-9-]+$/.test(reference)) return res.status(404).type("text/plain").send("Not found");
+
+    const groupedEvents = await buildGroupedEvents(reference);
+    const label = reference.charAt(0).toUpperCase() + reference.slice(1);
+    sendCalendar(res, {
+      filename: `reagal-events-${reference}.ics`,
+      name: `Reagal Events – ${label}`,
+      description: `Upcoming Reagal Events ${label} performances.`,
+      events: buildCalendarEvents(req, groupedEvents),
+    });
+  } catch (error) {
+    console.error("Error /calendar/:reference.ics:", error.message);
+    res.status(500).type("text/plain").send("Error building calendar");
+  }
+});
+
+app.get("/circus-in/:townSlug/calendar.ics", async (req, res) => {
+  try {
+    const groupedEvents = await buildGroupedEvents(null);
+    const townIndex = buildTownIndex(groupedEvents, { comingSoonDays: 28, timeZone: SITE_TIME_ZONE });
+
+    const slug = String(req.params.townSlug || "").toLowerCase();
+    const townObj = townIndex.find((t) => t.townSlug === slug);
+    if (!townObj) {
+      const known = slugRegistry.resolve(slug);
+      if (known && known.slug !== slug) {
+        return res.redirect(301, `/circus-in/${encodeURIComponent(known.slug)}/calendar.ics`);
+      }
+      return res.status(404).type("text/plain").send("No upcoming dates for this location");
+    }
+
+    sendCalendar(res, {
+      filename: `reagal-events-${townObj.townSlug}.ics`,
+      name: `Reagal Events – ${townObj.town}`,
+      description: `Reagal Events performances in ${townObj.town}.`,
+      events: buildCalendarEvents(req, { [townObj.town]: townObj.events }),
+    });
+  } catch (error) {
+    console.error("Error /circus-in/:townSlug/calendar.ics:", error.message);
+    res.status(500).type("text/plain").send("Error building calendar");
+  }
+});
+
+// -------------------------
+// Share images (og:image per town)
+// -------------------------
+// "Final weekend in Oundle" etc. for the badge on a town's share card
+function shareBadge(townObj) {
+  const town = townObj.town;
+  if (townObj.status === "FINAL_DAY") return { badge: `Final day in ${town}`, tone: "red" };
+  if (townObj.finalWeekend) return { badge: `Final weekend in ${town}`, tone: "red" };
+  if (townObj.status === "IN_TOWN_NOW") return { badge: `In ${town} now`, tone: "green" };
+  if (townObj.status === "NEXT_STOP") return { badge: `Next stop: ${town}`, tone: "yellow" };
+  if (townObj.status === "COMING_SOON") return { badge: `Coming soon to ${town}`, tone: "yellow" };
+  return { badge: `Coming to ${town}`, tone: "purple" };
+}
+
+// Dates and badge are the town's current run, else its next one (what
+// buildTownIndex puts on the town), never a span across two visits
+function townShareCard(req, townObj) {
+  return {
+    slug: townObj.townSlug,
+    title: `Circus in ${townObj.town}`,
+    dates: dayRangeLabel(townObj.startDay, townObj.endDay),
+    ...shareBadge(townObj),
+    footer: getBaseUrl(req).replace(/^https?:\/\//, ""),
+  };
+}
+
+// "/circus-in/oundle/share.png?v=…": the version changes with the card, so
+// Facebook fetches the new one instead of reusing its cached copy
+function townShareImagePath(req, townObj) {
+  const card = townShareCard(req, townObj);
+  return `/circus-in/${encodeURIComponent(townObj.townSlug)}/share.png?v=${shareImages.versionFor(card)}`;
+}
+
+app.get("/circus-in/:townSlug/share.png", async (req, res) => {
+  try {
+    const groupedEvents = await buildGroupedEvents(null);
+    const townIndex = buildTownIndex(groupedEvents, { comingSoonDays: 28, timeZone: SITE_TIME_ZONE });
+
+    const slug = String(req.params.townSlug || "").toLowerCase();
+    const townObj = townIndex.find((t) => t.townSlug === slug);
+    if (!townObj) {
+      const known = slugRegistry.resolve(slug);
+      if (known && known.slug !== slug) {
+        return res.redirect(301, `/circus-in/${encodeURIComponent(known.slug)}/share.png`);
+      }
+      // Finished or unknown towns share the plain banner
+      return res.redirect(302, "/banner1.jpg");
+    }
+
+    const { file, version } = await shareImages.image(townShareCard(req, townObj));
+    res.setHeader(
+      "Cache-Control",
+      req.query.v === version ? "public, max-age=31536000, immutable" : "public, max-age=3600"
+    );
+    res.type("image/png").sendFile(file);
+  } catch (error) {
+    console.error("Error /circus-in/:townSlug/share.png:", error.message);
+    res.status(error.statusCode || 500).type("text/plain").send("Error building share image");
+  }
+});
+
+// -------------------------
+// Tour alerts ("tell me when you're coming")
+// -------------------------
+const ALERT_RADIUS_OPTIONS = [10, 25, 50];
+const DEFAULT_ALERT_RADIUS = 25;
+
+// Base URL for links in emails sent outside a request (refresh-time alerts)
+function siteBaseUrl() {
+  return PUBLIC_BASE_URL ? PUBLIC_BASE_URL.replace(/\/+$/, "") : `http://localhost:${PORT}`;
+}
+
+// First venue of a town that resolves to a point
+function locateTown(town) {
+  for (const ev of town.events || []) {
+    const point = locateVenue(ev.venueInfo || {});
+    if (point) return point;
+  }
+  return null;
+}
+
+function townNameForSlug(slug) {
+  const known = slugRegistry.get(slug);
+  if (known?.town) return known.town;
+  return slug
+    .split("-")
+    .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
+    .join(" ");
+}
+
+function describeAlertTarget(sub) {
+  if (sub.townSlug) return `when we're coming to ${townNameForSlug(sub.townSlug)}`;
+  if (sub.postcode) return `when we're within ${sub.radiusMiles} miles of ${sub.postcode}`;
+  return "whenever we announce a new town";
+}
+
+/**
+ * Signup form. With a townSlug it watches that town; without one it asks for
+ * an optional postcode + radius (blank postcode = every new town).
+ */
+function buildAlertSignupHtml({ townSlug = "", heading = "Get tour alerts", intro = "" } = {}) {
+  const whereFields = townSlug
+    ? `<input type="hidden" name="townSlug" value="${escapeHtml(townSlug)}">`
+    : `
+      <label>Postcode <small>(optional)</small>
+        <input type="text" name="postcode" autocomplete="postal-code" maxlength="10" placeholder="e.g. PE8 4EU">
+      </label>
+      <label>Within
+        <select name="radius">
+          ${ALERT_RADIUS_OPTIONS.map(
+            (r) => `<option value="${r}"${r === DEFAULT_ALERT_RADIUS ? " selected" : ""}>${r} miles</option>`
+          ).join("")}
+        </select>
+      </label>`;
+
+  return `
+    <form class="alert-signup" method="post" action="/subscribe">
+      <h2>${escapeHtml(heading)}</h2>
+      ${intro ? `<p>${escapeHtml(intro)}</p>` : ""}
+      <div class="alert-signup-row">
+        <label>Email
+          <input type="email" name="email" required autocomplete="email" maxlength="254" placeholder="you@example.com">
+        </label>
+        ${whereFields}
+        <button type="submit" class="town-booknow">Notify me</button>
+      </div>
+      <div class="alert-signup-trap" aria-hidden="true"><label>Leave blank <input type="text" name="website" tabindex="-1" autocomplete="off"></label></div>
+      <p class="alert-signup-small">We'll email you to confirm first. One click to unsubscribe, any time.</p>
+    </form>`;
+}
+
+function sendConfirmEmail(baseUrl, sub) {
+  const confirmUrl = `${baseUrl}/subscribe/confirm?token=${sub.confirmToken}`;
+  const what = describeAlertTarget(sub);
+  return mailer.send({
+    to: sub.email,
+    subject: "Please confirm your Reagal Events tour alerts",
+    text: `Hello!\n\nYou asked us to email you ${what}. Please confirm by opening this link:\n\n${confirmUrl}\n\nIf this wasn't you, just ignore this email and you won't hear from us again.\n\nReagal Events`,
+    html: `<p>Hello!</p><p>You asked us to email you ${escapeHtml(what)}.</p><p><a href="${escapeHtml(
+      confirmUrl
+    )}">Confirm my tour alerts</a></p><p>If this wasn't you, just ignore this email and you won't hear from us again.</p><p>Reagal Events</p>`,
+  });
+}
+
+function sendTownAlertEmail(baseUrl, sub, towns) {
+  const unsubscribeUrl = `${baseUrl}/unsubscribe?token=${sub.unsubscribeToken}`;
+  const lines = towns.map((t) => ({
+    label: `${t.town}: ${toDateLabel(t.startDateISO)} – ${toDateLabel(t.endDateISO)}`,
+    url: `${baseUrl}/circus-in/${t.townSlug}`,
+  }));
+  const subject =
+    towns.length === 1 ? `Reagal Events is coming to ${towns[0].town}!` : `${towns.length} new Reagal Events dates for you`;
+
+  return mailer.send({
+    to: sub.email,
+    subject,
+    headers: {
+      "List-Unsubscribe": `<${unsubscribeUrl}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    },
+    text: `Good news – new dates are on sale:\n\n${lines
+      .map((l) => `• ${l.label}\n  ${l.url}`)
+      .join("\n")}\n\nYou're getting this because you asked us to email you ${describeAlertTarget(
+      sub
+    )}.\nUnsubscribe: ${unsubscribeUrl}\n`,
+    html: `<p>Good news – new dates are on sale:</p><ul>${lines
+      .map((l) => `<li><a href="${escapeHtml(l.url)}">${escapeHtml(l.label)}</a></li>`)
+      .join("")}</ul><p style="font-size:12px;color:#666;">You're getting this because you asked us to email you ${escapeHtml(
+      describeAlertTarget(sub)
+    )}. <a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a></p>`,
+  });
+}
+
+// Email every active subscriber about towns they haven't heard about yet.
+// Skips a run if the previous one is still sending.
+let __alertsInFlight = false;
+
+async function notifySubscribers(townIndex) {
+  if (__alertsInFlight) return;
+  __alertsInFlight = true;
+  try {
+    const baseUrl = siteBaseUrl();
+    for (const sub of subscriptions.active()) {
+      const towns = newTownsFor(sub, townIndex, { locateTown, distanceKm: haversineKm });
+      if (!towns.length) continue;
+      try {
+        await sendTownAlertEmail(baseUrl, sub, towns);
+        await subscriptions.markNotified(sub, towns);
+      } catch (err) {
+        console.warn("Tour alert email failed for subscription", sub.id, err?.message || err);
+      }
+    }
+  } finally {
+    __alertsInFlight = false;
+  }
+}
+
+function renderAlertPage(req, { title, message, status = 200 }, res) {
+  res.status(status).send(
+    renderShell({
+      req,
+      title: `${title} | Reagal Events`,
+      description: message,
+      bodyHtml: `
+        <div class="town-page-box" style="color:#fff; text-align:center;">
+          <h1 style="color:#fff;">${escapeHtml(title)}</h1>
+          <p style="color:#fff;">${escapeHtml(message)}</p>
+          <p><a class="town-booknow" href="/tour-locations">See tour locations</a></p>
+        </div>`,
+      robots: "noindex, nofollow",
+    })
+  );
+}
+
+const subscribeBody = [
+  express.urlencoded({ extended: false, limit: "10kb" }),
+  express.json({ limit: "10kb" }),
+];
+
+app.post("/subscribe", subscribeBody, async (req, res) => {
+  const wantsJson = req.is("application/json") || req.accepts(["html", "json"]) === "json";
+  const reply = (status, title, message) =>
+    wantsJson
+      ? res.status(status).json(status < 400 ? { ok: true, message } : { error: message })
+      : renderAlertPage(req, { title, message, status }, res);
+
+  try {
+    const body = req.body || {};
+    // Bots fill in every field; people never see this one
+    if (body.website) return reply(200, "Check your inbox", "We've sent you an email to confirm.");
+
+    const email = normaliseEmail(body.email);
+    if (!email) return reply(400, "Please check your email", "Please enter a valid email address.");
+
+    const target = {};
+    const townSlug = slugifyTown(body.townSlug || "");
+    if (townSlug) {
+      target.townSlug = townSlug;
+    } else if (String(body.postcode || "").trim()) {
+      const found = postcodeLookup.lookup(body.postcode);
+      if (!found) return reply(400, "Please check your postcode", "We couldn't find that postcode.");
+      const radius = Number(body.radius);
+      target.postcode = found.postcode;
+      target.lat = found.lat;
+      target.lng = found.lng;
+      target.radiusMiles = ALERT_RADIUS_OPTIONS.includes(radius) ? radius : DEFAULT_ALERT_RADIUS;
+    }
+
+    const { subscription, alreadyActive, sendConfirm } = await subscriptions.subscribe({ email, ...target });
+    if (alreadyActive) {
+      return reply(200, "You're already subscribed", `We'll email you ${describeAlertTarget(subscription)}.`);
+    }
+    if (sendConfirm) await sendConfirmEmail(getBaseUrl(req), subscription);
+
+    reply(200, "Check your inbox", `We've sent an email to ${email}. Click the link in it to confirm your alerts.`);
+  } catch (error) {
+    console.error("Error /subscribe:", error.message);
+    reply(500, "Something went wrong", "We couldn't set up your alerts just now. Please try again later.");
+  }
+});
+
+app.get("/subscribe/confirm", async (req, res) => {
+  try {
+    // Towns already on the site aren't news, so they're marked as sent
+    const townIndex = buildTownIndex(await buildGroupedEvents(null), { timeZone: SITE_TIME_ZONE });
+    const sub = await subscriptions.confirm(String(req.query.token || ""), { alreadyListed: townIndex });
+    if (!sub) {
+      return renderAlertPage(
+        req,
+        { title: "Link not recognised", message: "This confirm link has expired or is incomplete.", status: 404 },
+        res
+      );
+    }
+    renderAlertPage(req, { title: "You're subscribed", message: `Thanks! We'll email you ${describeAlertTarget(sub)}.` }, res);
+  } catch (error) {
+    console.error("Error /subscribe/confirm:", error.message);
+    res.status(500).send("Error confirming subscription");
+  }
+});
+
+// GET for the link in each email; POST for one-click unsubscribe (RFC 8058)
+async function handleUnsubscribe(req, res) {
+  try {
+    const sub = await subscriptions.unsubscribe(String(req.query.token || req.body?.token || ""));
+    if (req.method === "POST") return res.status(sub ? 200 : 404).type("text/plain").send(sub ? "Unsubscribed" : "Not found");
+    if (!sub) {
+      return renderAlertPage(
+        req,
+        { title: "Link not recognised", message: "This unsubscribe link is incomplete.", status: 404 },
+        res
+      );
+    }
+    renderAlertPage(req, { title: "You're unsubscribed", message: "You won't get any more tour alerts from us." }, res);
+  } catch (error) {
+    console.error("Error /unsubscribe:", error.message);
+    res.status(500).send("Error unsubscribing");
+  }
+}
+
+app.get("/unsubscribe", handleUnsubscribe);
+app.post("/unsubscribe", express.urlencoded({ extended: false, limit: "2kb" }), handleUnsubscribe);
+
+// -------------------------
+// Push notifications ("we're in your town now" / "last day today")
+// -------------------------
+// Town pages offer "Notify this device" (public/script.js + public/sw.js).
+// A job checks every few minutes for followed towns whose current run has moved
+// on to IN_TOWN_NOW or FINAL_DAY and sends one notification per change, only
+// during PUSH_SEND_HOURS so nobody is woken at midnight when a day rolls over.
+const PUSH_CHECK_INTERVAL_MS = Number(process.env.PUSH_CHECK_INTERVAL_MS || 10 * 60 * 1000);
+const PUSH_SEND_HOURS = { from: 9, until: 20 }; // site time zone
+// Lets a local stand-in push service be used outside production (see utils/webPush.js)
+const PUSH_ALLOW_LOCAL = process.env.NODE_ENV !== "production";
+
+function buildTownPushPayload(town, kind) {
+  const url = `/circus-in/${town.townSlug}`;
+  // Same tag per town, so "last day" replaces an unread "in town now"
+  const tag = `town-${town.townSlug}`;
+
+  if (kind === PUSH_KIND.FINAL_DAY) {
+    return {
+      title: `Last day today in ${town.town}`,
+      body: `Today's shows are your last chance to see Reagal Events in ${town.town}. Tap for times and tickets.`,
+      url,
+      tag,
+    };
+  }
+
+  return {
+    title: isWeekendDay(town.startDay) ? `Opens this weekend in ${town.town}` : `We're in ${town.town} now`,
+    body: `Shows run until ${toDateLabel(town.endDateISO)}. Tap to book your seats.`,
+    url,
+    tag,
+  };
+}
+
+async function sendTownStatusPushes({ now = new Date() } = {}) {
+  const hour = localHour(now, SITE_TIME_ZONE);
+  if (hour < PUSH_SEND_HOURS.from || hour >= PUSH_SEND_HOURS.until) return;
+  if (!pushSender || !pushSubscriptions.all().length) return;
+
+  const townIndex = buildTownIndex(await buildGroupedEvents(null), { timeZone: SITE_TIME_ZONE, now });
+
+  for (const sub of [...pushSubscriptions.all()]) {
+    // Saved before the push-service allow-list, or by hand: never POST there
+    if (!isValidSubscription(sub, { allowLocal: PUSH_ALLOW_LOCAL })) continue;
+    for (const { town, kind } of dueNotificationsFor(sub, townIndex)) {
+      try {
+        const { gone } = await pushSender.send(sub, buildTownPushPayload(town, kind));
+        if (gone) {
+          await pushSubscriptions.unfollow(sub.endpoint);
+          break;
+        }
+        await pushSubscriptions.markSent(sub, town, kind);
+      } catch (err) {
+        console.warn("Push failed for subscription", sub.id, err?.statusCode || "", err?.message || err);
+      }
+    }
+  }
+}
+
+const pushScheduler = createRefreshScheduler({
+  intervalMs: PUSH_CHECK_INTERVAL_MS,
+  refresh: sendTownStatusPushes,
+  onError: (err) => {
+    console.warn("Push notification job failed:", err?.message || err);
+  },
+});
+
+app.get("/api/push/public-key", (req, res) => {
+  if (!pushSender) return res.status(503).json({ error: "Push notifications unavailable" });
+  res.json({ publicKey: pushSender.publicKey });
+});
+
+app.post("/api/push/subscribe", express.json({ limit: "10kb" }), async (req, res) => {
+  try {
+    const { subscription, townSlug } = req.body || {};
+    if (!isValidSubscription(subscription, { allowLocal: PUSH_ALLOW_LOCAL })) {
+      return res.status(400).json({ error: "Invalid push subscription" });
+    }
+
+    // Only towns on the site right now can be followed
+    const slug = slugifyTown(townSlug || "");
+    const townIndex = buildTownIndex(await buildGroupedEvents(null), { timeZone: SITE_TIME_ZONE });
+    const town = townIndex.find((t) => t.townSlug === slug);
+    if (!town) return res.status(404).json({ error: "Unknown town" });
+
+    const sub = await pushSubscriptions.follow(subscription, town);
+    res.json({ ok: true, towns: sub.towns });
+  } catch (error) {
+    console.error("Error /api/push/subscribe:", error.message);
+    res.status(500).json({ error: "Failed to save push subscription" });
+  }
+});
+
+// No townSlug = stop everything for this browser
+app.post("/api/push/unsubscribe", express.json({ limit: "10kb" }), async (req, res) => {
+  try {
+    const { endpoint, townSlug } = req.body || {};
+    if (!endpoint) return res.status(400).json({ error: "Missing endpoint" });
+
+    const slug = townSlug ? slugifyTown(townSlug) : null;
+    const sub = await pushSubscriptions.unfollow(String(endpoint), slug);
+    res.json({ ok: true, towns: sub && slug ? sub.towns : [] });
+  } catch (error) {
+    console.error("Error /api/push/unsubscribe:", error.message);
+    res.status(500).json({ error: "Failed to remove push subscription" });
+  }
+});
+
+// -------------------------
+// Offline fallback (precached by public/sw.js)
+// -------------------------
+// Shown by the service worker for a page that was never visited while online.
+// Saved pages are served with their own "times may have changed" notice.
+app.get("/offline", (req, res) => {
+  res.setHeader("Cache-Control", "no-cache");
+  res.send(
+    renderShell({
+      req,
+      title: "You're offline | Reagal Events",
+      description: "This page isn't available offline.",
+      bodyHtml: `
+        <div class="town-page-box" style="color:#fff; text-align:center;">
+          <h1 style="color:#fff;">You're offline</h1>
+          <p style="color:#fff;">We couldn't load this page and there's no saved copy of it on this device.</p>
+          <p style="color:#fff;">Pages you've opened before, like your town's show times, are still available &ndash;
+            but times may have changed, so please check again when you have signal.</p>
+          <p><a class="town-booknow" href="/">Home</a> <a class="town-booknow" href="/tour-locations">Tour locations</a></p>
+        </div>`,
+      robots: "noindex, nofollow",
+    })
+  );
+});
+
+// -------------------------
+// Show listings (All Shows + the General / Summer / Halloween tour pages)
+// -------------------------
+// One card per town, from the same grouped data as /api/events, rendered
+// here so crawlers and visitors without JS see every date. script.js only
+// wires up the date -> time -> Book Now dropdowns (.event[data-event-times]).
+const LISTING_PAGES = [
+  {
+    path: "/all-shows.html",
+    reference: null,
+    mode: "all",
+    title: "All Shows | Reagal Events",
+    description:
+      "Browse all upcoming Reagal Events shows by town and date. Find your nearest circus tour stop and book tickets online.",
+    headingHtml: `<h1 class="all-shows-title">All Shows</h1>
+      <p class="all-shows-description">Discover all our exciting shows happening near you!</p>`,
+    containerHtml: (cards) => `<div id="events-container">${cards}</div>`,
+    emptyText: "No events found.",
+  },
+  {
+    path: "/general-tour.html",
+    reference: "General",
+    mode: "tour",
+    title: "General Tour | Reagal Events",
+    description:
+      "Find Reagal Events tour information, locations, dates and ticket links for our family-friendly circus shows.",
+    headingHtml: `<h1>General Tour</h1>
+      <p>Details about our touring show.</p>`,
+    containerHtml: (cards) => `<div class="events" id="general-events" style="margin-left:20px; margin-right:20px;">${cards}</div>`,
+    emptyText: "No general tour events are currently available.",
+  },
+  {
+    path: "/summer-season.html",
+    reference: "Summer",
+    mode: "tour",
+    title: "Summer Season | Reagal Events",
+    description: "Summer Season tour dates and tickets from Reagal Events. Family-friendly circus entertainment across the UK.",
+    headingHtml: `<h1>Summer Season</h1>
+      <p>Our summer shows packed with sunshine, laughs and unforgettable moments.</p>`,
+    containerHtml: (cards) => `<div class="events" id="summer-events" style="margin: 0 20px;">${cards}</div>`,
+    emptyText: "No summer season events are currently available.",
+  },
+  {
+    path: "/halloween-circus.html",
+    reference: "Halloween",
+    mode: "tour",
+    title: "Halloween Circus | Reagal Events",
+    description: "Halloween Circus tour dates and tickets from Reagal Events — spooky family fun circus shows across the UK.",
+    headingHtml: `<h1>Halloween Circus</h1>
+      <p>Spooky fun, eerie surprises, and thrilling circus magic under the big top.</p>`,
+    containerHtml: (cards) => `<div class="events" id="halloween-events" style="margin: 0 20px;">${cards}</div>`,
+    emptyText: "No Halloween Circus events are currently available.",
+    bodyClass: "halloween-page",
+  },
+];
+
+// Card markup matches what script.js used to build, so styles.css applies as-is.
+// One card per venue + show in the town (see groupTownShows).
+function buildListingCardHtml(townObj, { mode }) {
+  const shows = groupTownShows(townObj.events);
+  const multiVenue = townVenues(shows).length > 1;
+  return shows.map((show) => buildListingShowCardHtml(townObj, show, { mode, multiVenue })).join("");
+}
+
+function buildListingShowCardHtml(townObj, show, { mode, multiVenue }) {
+  const allDates = show.dates;
+
+  // { "2027-04-02": { label: "02/04/2027", times: [{ label, link }] } }, earliest first
+  const byDay = {};
+  for (const d of allDates) {
+    const key = d.day || localDayKey(new Date(d.startISO), SITE_TIME_ZONE);
+    byDay[key] = byDay[key] || { label: d.date || key, times: [] };
+    const note = availabilityLabel(d.availability);
+    byDay[key].times.push({
+      label: note ? `${d.time} – ${note}` : d.time,
+      link: isBookable(d.availability) ? d.bookNowLink || "" : "",
+    });
+  }
+  const days = Object.entries(byDay);
+  const fromDate = days[0][1].label;
+  const toDate = days[days.length - 1][1].label;
+
+  const townUrl = `/circus-in/${townObj.townSlug}`;
+  const titleText =
+    mode === "all" ? `${show.showName} (${townObj.town} - ${fromDate} to ${toDate})` : show.showName || "Event";
+  const v = show.venueInfo || {};
+  const venueLine = multiVenue ? [v.venueName, venueAddressLine(v)].filter(Boolean).join(", ") : "";
+  const timesJson = JSON.stringify(byDay).replace(/</g, "\\u003c");
+
+  return `
+      <div class="event" data-event-times="${escapeHtml(timesJson)}">
+        ${
+          show.thumbnail
+            ? imagePipeline.pictureHtml(show.thumbnail, {
+                alt: show.showName || "Event",
+                sizes: "(max-width: 768px) 30vw, 240px",
+                attrs: { class: "event-thumbnail", loading: "lazy" },
+                escape: escapeHtml,
+              })
+            : ""
+        }
+        <div class="event-details">
+          <h2 class="event-title">${escapeHtml(titleText)}</h2>
+          ${mode === "tour" ? `<p class="event-town-dates">${escapeHtml(`${townObj.town}: ${fromDate} - ${toDate}`)}</p>` : ""}
+          ${venueLine ? `<p class="event-venue">${escapeHtml(venueLine)}</p>` : ""}
+          <p>${escapeHtml(show.description)}</p>
+          ${buildPriceSummaryHtml(summarisePrices(allDates))}
+          <select class="dropdown event-date" aria-label="Date">
+            <option value="">Select a date</option>
+            ${days
+              .map(([key, day]) => {
+                const allGone = day.times.every((t) => !t.link);
+                return `<option value="${escapeHtml(key)}">${escapeHtml(allGone ? `${day.label} – Sold out` : day.label)}</option>`;
+              })
+              .join("")}
+          </select>
+          <select class="dropdown event-time" aria-label="Time">
+            <option value="">Select a time</option>
+          </select>
+          <a class="book-button" href="${escapeHtml(townUrl)}" data-default-href="${escapeHtml(townUrl)}">Book Now</a>
+          <noscript>
+            <ul class="event-times-list">
+              ${days
+                .flatMap(([, day]) =>
+                  day.times.map(
+                    (t) =>
+                      `<li>${escapeHtml(`${day.label} ${t.label}`)}${
+                        t.link ? ` <a href="${escapeHtml(t.link)}" target="_blank" rel="noopener">Book</a>` : ""
+                      }</li>`
+                  )
+                )
+                .join("")}
+            </ul>
+          </noscript>
+        </div>
+      </div>`;
+}
+
+// "Show times last updated …" when we're serving an older snapshot
+function buildDataAgeNoteHtml() {
+  const age = getEventsDataAge();
+  if (!age || !age.stale) return "";
+  return `<p class="events-updated-note">Show times last updated ${escapeHtml(
+    `${toDateLabel(age.updatedAt)}, ${toTimeLabel(age.updatedAt)}`
+  )}. Please check the booking page for the latest availability.</p>`;
+}
+
+for (const page of LISTING_PAGES) {
+  app.get(page.path, async (req, res) => {
+    try {
+      const groupedEvents = await buildGroupedEvents(page.reference);
+      const towns = buildTownIndex(groupedEvents, { timeZone: SITE_TIME_ZONE });
+      const cards = towns.map((t) => buildListingCardHtml(t, { mode: page.mode })).join("");
+
+      setEventsDataAgeHeaders(res);
+      res.send(
+        renderShell({
+          req,
+          title: page.title,
+          description: page.description,
+          bodyClass: page.bodyClass,
+          bodyHtml: `
+            <section class="page-title-box">
+              ${page.headingHtml}
+            </section>
+            ${page.containerHtml(cards || `<p class="no-events-message">${escapeHtml(page.emptyText)}</p>`)}
+            ${buildDataAgeNoteHtml()}
+          `,
+          jsonLdObjects: towns.flatMap((t) => buildEventJsonLdForTown(req, t)),
+        })
+      );
+    } catch (error) {
+      console.error(`Error ${page.path}:`, error.message);
+      res.status(500).send("Error building show listings");
+    }
+  });
+}
+
+// -------------------------
+// Static content pages
+// -------------------------
+// views/pages/<name>.html: front matter + the body inside <main>, served at
+// /<name>.html (index at /) through the same shell as everything else.
+// Front matter used here, besides title/description/robots/canonical:
+//   bodyClass, mainId   attributes for <body> / <main>
+//   breadcrumb          this page's name in BreadcrumbList JSON-LD
+//   parent              path of the page above it ("/about-us.html")
+//   schema: article     Article JSON-LD (with `image` when given)
+//   faq: true           FAQPage JSON-LD from the page's <details> questions
+
+// "<p>Yes &amp; no</p>" -> "Yes & no"
+function htmlToText(html) {
+  return String(html || "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/\s+/g, " ")
+    .replace(/ ([.,;:!?])/g, "$1") // "<em>fun</em>." -> "fun."
+    .trim();
+}
+
+// Home > parent > page, following each page's `parent`
+function buildBreadcrumbJsonLd(baseUrl, page) {
+  const trail = [];
+  for (let p = page; p && trail.length < 5; p = p.meta.parent ? templates.pageForPath(p.meta.parent) : null) {
+    trail.unshift({ name: p.meta.breadcrumb || p.meta.title, url: `${baseUrl}${p.path}` });
+  }
+  return {
+    "@context": "https://schema.org",
+    "@type": "BreadcrumbList",
+    itemListElement: [{ name: "Home", url: `${baseUrl}/` }, ...trail].map((item, i) => ({
+      "@type": "ListItem",
+      position: i + 1,
+      name: item.name,
+      item: item.url,
+    })),
+  };
+}
+
+// `bodyHtml` is the page body as rendered, so the FAQPage matches what's shown
+function buildStaticPageJsonLd(req, page, bodyHtml) {
+  if (!SEO_FLAGS.enableJsonLd) return [];
+  const baseUrl = getBaseUrl(req);
+  const { meta } = page;
+  const schemas = [];
+
+  if (meta.schema === "article") {
+    schemas.push({
+      "@context": "https://schema.org",
+      "@type": "Article",
+      headline: meta.title,
+      description: meta.description,
+      image: meta.image ? [`${baseUrl}${meta.image}`] : undefined,
+      author: { "@type": "Organization", name: "Reagal Events" },
+      publisher: {
+        "@type": "Organization",
+        name: "Reagal Events",
+        logo: { "@type": "ImageObject", url: `${baseUrl}/favicon-512.png` },
+      },
+      mainEntityOfPage: { "@type": "WebPage", "@id": `${baseUrl}${meta.canonical || page.path}` },
+    });
+  }
+
+  if (meta.breadcrumb) schemas.push(buildBreadcrumbJsonLd(baseUrl, page));
+
+  if (meta.faq === "true" && SEO_FLAGS.enableFaq) {
+    const questions = [...bodyHtml.matchAll(/<details[^>]*>\s*<summary>([\s\S]*?)<\/summary>([\s\S]*?)<\/details>/g)].map(
+      (m) => ({
+        "@type": "Question",
+        name: htmlToText(m[1]),
+        acceptedAnswer: { "@type": "Answer", text: htmlToText(m[2]) },
+      })
+    );
+    if (questions.length) {
+      schemas.push({ "@context": "https://schema.org", "@type": "FAQPage", mainEntity: questions });
+    }
+  }
+
+  return schemas;
+}
+
+function renderStaticPage(req, page) {
+  const { meta } = page;
+  const bodyHtml = templates.renderPage(page, { FAQS: buildFaqListHtml(faqs.forPage(page.name)) });
+  return renderShell({
+    req,
+    title: meta.title,
+    description: meta.description,
+    robots: meta.robots || "index, follow",
+    canonical: meta.canonical || page.path,
+    bodyClass: meta.bodyClass || "",
+    mainId: meta.mainId || "",
+    bodyHtml,
+    jsonLdObjects: buildStaticPageJsonLd(req, page, bodyHtml),
+  });
+}
+
+app.get(["/", "/:page.html"], (req, res, next) => {
+  try {
+    const page = templates.pageForPath(req.path);
+    if (!page) return next();
+    res.setHeader("Cache-Control", "no-cache");
+    res.send(renderStaticPage(req, page));
+  } catch (error) {
+    console.error(`Error ${req.path}:`, error.message);
+    res.status(500).send("Error building page");
+  }
+});
+
+// -------------------------
+// Tour Locations hub page
+// -------------------------
+app.get("/tour-locations", async (req, res) => {
+  try {
+    const groupedEvents = await buildGroupedEvents(null);
+    const townIndex = buildTownIndex(groupedEvents, { comingSoonDays: 28, timeZone: SITE_TIME_ZONE });
+
+    const badge = statusBadgeText;
+
+    const fmtRange = (t) => `${toDateLabel(t.startDateISO)} – ${toDateLabel(t.endDateISO)}`;
+
+    const inTown = townIndex.filter((t) => t.status === "IN_TOWN_NOW" || t.status === "FINAL_DAY");
     const nextStop = townIndex.filter((t) => t.status === "NEXT_STOP");
     const comingSoon = townIndex.filter((t) => t.status === "COMING_SOON");
     const later = townIndex.filter((t) => t.status === "LATER");
 
+    // "Near me" search: results are rendered here too, so the form works without JS
+    let nearestResultsHtml = "";
+    if (req.query.postcode || req.query.lat !== undefined) {
+      const { origin, error } = resolveSearchOrigin(req.query);
+      nearestResultsHtml = error
+        ? `<p class="nearest-empty">${escapeHtml(error)}</p>`
+        : buildNearestResultsHtml(origin, rankTownsByDistance(townIndex, origin));
+    }
+
     const renderTownCard = (t) => `
       <div class="town-page-box" style="margin:14px auto;">
         <h3 style="margin:0 0 6px 0; color:#fff;">Family Friendly Circus in ${escapeHtml(t.town)}</h3>
@@ -1044,6 +2218,14 @@ app.get("/tour-locations", async (req, res) => {
         </p>
       </section>
 
+      <section class="town-page-box">
+        ${buildNearestSearchHtml({
+          action: "/tour-locations",
+          postcode: String(req.query.postcode || ""),
+          resultsHtml: nearestResultsHtml,
+        })}
+      </section>
+
       ${inTown.length ? `<section><h2 style="text-align:center; margin:12px 0;">🟢 In town now</h2>${inTown.map(renderTownCard).join("")}</section>` : ""}
 
       ${nextStop.length ? `<section><h2 style="text-align:center; margin:12px 0;">🟡 Next stop</h2>${nextStop.map(renderTownCard).join("")}</section>` : ""}
@@ -1063,57 +2245,478 @@ app.get("/tour-locations", async (req, res) => {
           : ""
       }
 
+      <section class="town-page-box">
+        ${buildAlertSignupHtml({
+          heading: "Not coming near you yet?",
+          intro: "Get an email when we announce a town near your postcode – or leave it blank to hear about every new town.",
+        })}
+      </section>
+
       <section class="town-page-box" style="margin-bottom:20px;">
         <p style="margin:0; color:#fff;">
           Want all shows in one place?
         </p>
-        <div style="margin-top:10px;">
+        <div style="margin-top:10px; display:flex; flex-wrap:wrap; gap:10px; justify-content:center;">
           <a class="town-booknow" href="/all-shows.html">View All Shows</a>
+          <a class="town-booknow" href="/tour-map">View the tour map</a>
+        </div>
+      </section>
+    `;
+
+    const html = renderShell({
+      req,
+      title: "Tour Locations | Reagal Events",
+      description:
+        "Find tour locations: in town now, next stop, and upcoming towns. Click a location to view dates and book tickets.",
+      bodyHtml,
+      robots: "index, follow",
+      jsonLdObjects: SEO_FLAGS.enableJsonLd
+        ? [
+            {
+              "@context": "https://schema.org",
+              "@type": "CollectionPage",
+              name: "Tour Locations",
+              url: `${getBaseUrl(req)}${stripQuery(req.originalUrl)}`,
+            },
+          ]
+        : [],
+    });
+
+    res.send(html);
+  } catch (e) {
+    console.error(e);
+    res.status(500).send("Error building tour locations page");
+  }
+});
+
+// -------------------------
+// Tour route map
+// -------------------------
+// Every upcoming stop in date order. The list is the page; the Leaflet map is
+// layered on top only when JS (and the CDN) are available.
+const TOUR_MAP_STATUS_COLOURS = {
+  FINAL_DAY: "#e53935",
+  IN_TOWN_NOW: "#43a047",
+  NEXT_STOP: "#fdd835",
+  COMING_SOON: "#fb8c00",
+  LATER: "#8e24aa",
+};
+
+app.get("/tour-map", async (req, res) => {
+  try {
+    const groupedEvents = await buildGroupedEvents(null);
+    const townIndex = buildTownIndex(groupedEvents, { comingSoonDays: 28, timeZone: SITE_TIME_ZONE });
+
+    const stops = townIndex.map((t) => {
+      const venue = (t.events || []).map((ev) => ev.venueInfo || {}).find((v) => locateVenue(v)) || {};
+      const point = locateVenue(venue);
+      return {
+        town: t.town,
+        townSlug: t.townSlug,
+        status: t.status,
+        badge: statusBadgeText(t.status),
+        dateRange: `${toDateLabel(t.startDateISO)} – ${toDateLabel(t.endDateISO)}`,
+        venueName: venue.venueName || "",
+        lat: point ? point.lat : null,
+        lng: point ? point.lng : null,
+      };
+    });
+
+    const mapData = JSON.stringify({
+      colours: TOUR_MAP_STATUS_COLOURS,
+      stops: stops.filter((s) => s.lat !== null),
+    }).replace(/</g, "\\u003c");
+
+    const legendHtml = Object.entries(TOUR_MAP_STATUS_COLOURS)
+      .map(
+        ([status, colour]) =>
+          `<span class="tour-map-legend-item"><span class="tour-map-dot" style="background:${colour};"></span>${escapeHtml(
+            statusBadgeText(status).replace(/^[^\w]+/, "")
+          )}</span>`
+      )
+      .join("");
+
+    const listHtml = stops.length
+      ? `<ol class="tour-map-list">
+          ${stops
+            .map(
+              (s) => `
+            <li>
+              <span class="tour-map-dot" style="background:${TOUR_MAP_STATUS_COLOURS[s.status] || "#999"};"></span>
+              <a href="/circus-in/${escapeHtml(s.townSlug)}"><strong>${escapeHtml(s.town)}</strong></a>
+              <span>${escapeHtml(s.dateRange)}</span>
+              <span>${escapeHtml(s.badge)}</span>
+            </li>`
+            )
+            .join("")}
+        </ol>`
+      : `<p class="no-events-message">No upcoming tour stops are listed right now.</p>`;
+
+    const headExtras = `
+      <link rel="stylesheet" href="/vendor/leaflet/${LEAFLET_VERSION}/leaflet.css"/>
+      <script src="/vendor/leaflet/${LEAFLET_VERSION}/leaflet.js" defer></script>
+      <style>
+        #tour-map { height: clamp(360px, 60vh, 640px); border-radius: 12px; margin: 12px 0; }
+        .tour-map-legend { display:flex; flex-wrap:wrap; gap:14px; justify-content:center; color:#fff; }
+        .tour-map-legend-item { display:inline-flex; align-items:center; gap:6px; font-weight:700; }
+        .tour-map-dot { display:inline-block; width:14px; height:14px; border-radius:50%; border:2px solid #fff; flex:0 0 auto; }
+        .tour-map-list { list-style:none; padding:0; margin:0 auto; max-width:760px; text-align:left; color:#fff; }
+        .tour-map-list li { display:grid; grid-template-columns:auto 1fr auto auto; gap:12px; align-items:center; padding:8px 0; border-bottom:1px solid rgba(255,255,255,0.18); }
+        .tour-map-popup a { font-weight:800; }
+        @media (max-width: 600px) {
+          .tour-map-list li { grid-template-columns:auto 1fr; }
+        }
+      </style>
+    `;
+
+    const bodyHtml = `
+      <section class="town-page-box">
+        <h1 style="margin-top:0;">Tour Map</h1>
+        <p style="margin:10px auto; max-width:760px;">
+          Follow the big top around the country. Every upcoming stop is shown in date order — tap a town for dates and tickets.
+        </p>
+      </section>
+
+      <section class="town-page-box town-wide" id="tour-map-wrap" hidden>
+        <div class="tour-map-legend">${legendHtml}</div>
+        <div id="tour-map" role="region" aria-label="Map of upcoming tour stops"></div>
+      </section>
+
+      <section class="town-page-box">
+        <h2 style="margin-top:0; text-align:center;">Upcoming stops</h2>
+        ${listHtml}
+        <div style="margin-top:14px;">
+          <a class="town-booknow" href="/tour-locations">See all tour locations</a>
         </div>
       </section>
+
+      <script>
+        window.addEventListener("load", function () {
+          var data = ${mapData};
+          if (!window.L || !data.stops.length) return;
+
+          var wrap = document.getElementById("tour-map-wrap");
+          wrap.hidden = false;
+
+          var map = L.map("tour-map", { scrollWheelZoom: false });
+          L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
+            maxZoom: 18,
+            attribution: "&copy; OpenStreetMap contributors",
+          }).addTo(map);
+
+          var points = data.stops.map(function (s) { return [s.lat, s.lng]; });
+          L.polyline(points, { color: "#ffffff", weight: 3, opacity: 0.8, dashArray: "6 8" }).addTo(map);
+
+          data.stops.forEach(function (s) {
+            var popup = document.createElement("div");
+            popup.className = "tour-map-popup";
+            var link = document.createElement("a");
+            link.href = "/circus-in/" + encodeURIComponent(s.townSlug);
+            link.textContent = s.town;
+            popup.appendChild(link);
+            popup.appendChild(document.createElement("br"));
+            popup.appendChild(document.createTextNode(s.dateRange + " · " + s.badge));
+
+            L.circleMarker([s.lat, s.lng], {
+              radius: 9,
+              color: "#ffffff",
+              weight: 2,
+              fillColor: data.colours[s.status] || "#999999",
+              fillOpacity: 0.95,
+            })
+              .bindPopup(popup)
+              .addTo(map);
+          });
+
+          map.fitBounds(L.latLngBounds(points).pad(0.2), { maxZoom: 10 });
+        });
+      </script>
     `;
 
-    const html = renderShell({
-      req,
-      title: "Tour Locations | Reagal Events",
-      description:
-        "Find tour locations: in town now, next stop, and upcoming towns. Click a location to view dates and book tickets.",
-      bodyHtml,
-      robots: "index, follow",
-      jsonLdObjects: SEO_FLAGS.enableJsonLd
-        ? [
-            {
-              "@context": "https://schema.org",
-              "@type": "CollectionPage",
-              name: "Tour Locations",
-              url: `${getBaseUrl(req)}${stripQuery(req.originalUrl)}`,
-            },
-          ]
-        : [],
-    });
+    const html = renderShell({
+      req,
+      title: "Tour Map | Reagal Events",
+      description:
+        "See every upcoming Reagal Events tour stop on a map, in date order, and click through for dates and tickets.",
+      bodyHtml,
+      robots: "index, follow",
+      headExtras,
+    });
+
+    res.send(html);
+  } catch (e) {
+    console.error(e);
+    res.status(500).send("Error building tour map");
+  }
+});
+
+// -------------------------
+// Town page (SEO) + schema + improved layout
+// -------------------------
+// A town we've published before whose run has ended. Stays indexable (it
+// keeps the links it has earned) and points visitors at the next stops.
+function renderFinishedTownPage(req, entry, slug, townIndex) {
+  const townName = entry.town || slug;
+  const lastRun = entry.startDay && entry.endDay ? dayRangeLabel(entry.startDay, entry.endDay) : "";
+  const visitLine = describeVisits(townName, tourHistory.runsForTown(slug), {
+    todayKey: localDayKey(new Date(), SITE_TIME_ZONE),
+  });
+  const hasHistory = tourHistory.runsForTown(slug).length > 0;
+
+  const upcoming = [...townIndex]
+    .sort((a, b) => new Date(a.startDateISO) - new Date(b.startDateISO))
+    .slice(0, 6);
+
+  const nextStopsHtml = upcoming.length
+    ? `<div style="display:flex; flex-wrap:wrap; gap:10px; justify-content:center;">
+        ${upcoming
+          .map(
+            (t) =>
+              `<a class="town-booknow" style="padding:10px 14px;" href="/circus-in/${escapeHtml(t.townSlug)}">${escapeHtml(
+                t.town
+              )} · ${escapeHtml(toDateLabel(t.startDateISO))}</a>`
+          )
+          .join("")}
+      </div>`
+    : `<p style="color:#fff;">New dates are announced soon – see <a href="/all-shows.html">View All Shows</a>.</p>`;
+
+  return renderShell({
+    req,
+    title: `Circus in ${townName} – Thanks for Coming | Reagal Events`,
+    description: `Reagal Events visited ${townName}${lastRun ? ` (${lastRun})` : ""}. See where the circus is heading next and book tickets.`,
+    bodyHtml: `
+      <div class="town-page-box town-wide" style="color:#fff; text-align:center;">
+        <h1 style="color:#fff;">We were in ${escapeHtml(townName)}</h1>
+        <div class="status" style="font-weight:800;">${escapeHtml(statusBadgeText("PAST"))}${
+          lastRun ? ` · ${escapeHtml(lastRun)}` : ""
+        }</div>
+        <p style="color:#fff;">Thank you to everyone who came to see us in ${escapeHtml(
+          townName
+        )}. This run has finished – here's where we're heading next.</p>
+        ${visitLine ? `<p style="color:#fff;">${escapeHtml(visitLine)}</p>` : ""}
+        <h2 style="color:#fff; margin:14px 0 10px 0;">Next stops</h2>
+        ${nextStopsHtml}
+        ${buildAlertSignupHtml({
+          townSlug: slug,
+          heading: `Tell me when you're back in ${townName}`,
+          intro: "We'll email you once, as soon as new dates go on sale.",
+        })}
+        <div style="margin-top:14px; display:flex; flex-wrap:wrap; gap:10px; justify-content:center;">
+          <a class="town-booknow" href="/tour-locations">See all tour locations</a>
+          <a class="town-booknow" href="/calendar.ics" rel="nofollow">Subscribe to tour dates</a>
+          ${hasHistory ? `<a class="town-booknow" href="/circus-in/${escapeHtml(slug)}/history">Our visits to ${escapeHtml(townName)}</a>` : ""}
+        </div>
+      </div>`,
+    robots: "index, follow",
+  });
+}
+
+// One card per venue + show on a town page (see groupTownShows): show name,
+// venue address, thumbnail, prices and its own date -> time -> Book now widget.
+// The times go in data-by-day: { "YYYY-MM-DD": [{ time, label, bookNowLink, startISO }] },
+// keyed by the site-zone day (d.day) so the same date in two years stays apart
+function buildTownShowCardHtml(show, { townName }) {
+  const byDay = {};
+  const dayLabels = {};
+  for (const d of show.dates) {
+    const dayKey = d.day || localDayKey(new Date(d.startISO), SITE_TIME_ZONE);
+    dayLabels[dayKey] = dayLabels[dayKey] || toDateLabel(d.startISO);
+    byDay[dayKey] = byDay[dayKey] || [];
+    const note = availabilityLabel(d.availability);
+    byDay[dayKey].push({
+      time: toTimeLabel(d.startISO),
+      label: note ? `${toTimeLabel(d.startISO)} – ${note}` : toTimeLabel(d.startISO),
+      bookNowLink: isBookable(d.availability) ? d.bookNowLink : "",
+      startISO: d.startISO,
+    });
+  }
+  // show.dates is already earliest-first, so days and times are too
+  const dayKeys = Object.keys(byDay);
+
+  const rangeLine = `${toDateLabel(show.dates[0].startISO)} – ${toDateLabel(show.dates[show.dates.length - 1].startISO)}`;
+  const v = show.venueInfo || {};
+  const venueLine = [v.venueName, venueAddressLine(v)].filter(Boolean).join(", ");
+  const thumbAlt = `${show.showName || "Family-friendly circus"} in ${townName} by Reagal Events`;
+
+  return `
+          <div class="town-page-box town-events town-wide" style="color:#fff;" data-by-day="${escapeHtml(JSON.stringify(byDay))}">
+            <div class="event-flex">
+              <div class="event-left">
+                ${
+                  show.thumbnail
+                    ? imagePipeline.pictureHtml(show.thumbnail, {
+                        alt: thumbAlt,
+                        sizes: "(max-width: 768px) 92vw, 360px",
+                        attrs: { class: "event-thumb", loading: "lazy" },
+                        escape: escapeHtml,
+                      })
+                    : ""
+                }
+              </div>
+
+              <div class="event-right">
+                <h3 style="color:#fff; margin:0 0 6px 0;">${escapeHtml(show.showName || "Circus Show")}</h3>
+                ${
+                  venueLine
+                    ? `<div class="town-venue" style="color:#fff; margin:0 0 6px 0;"><i class="fa-solid fa-location-dot" aria-hidden="true"></i> ${escapeHtml(venueLine)}</div>`
+                    : ""
+                }
+                <div class="town-range" style="color:#fff; margin:0 0 10px 0;">${escapeHtml(rangeLine)}</div>
+                ${buildPriceSummaryHtml(summarisePrices(show.dates))}
+
+                <div class="town-row" style="color:#fff;">
+                  <div class="town-field" style="color:#fff;">
+                    <span style="color:#fff;">Date</span>
+                    <select class="town-date" aria-label="Date">
+                      ${dayKeys
+                        .map((k) => {
+                          const allGone = byDay[k].every((t) => !t.bookNowLink);
+                          const label = allGone ? `${dayLabels[k]} – Sold out` : dayLabels[k];
+                          return `<option value="${escapeHtml(k)}">${escapeHtml(label)}</option>`;
+                        })
+                        .join("")}
+                    </select>
+                  </div>
+
+                  <div class="town-field" style="color:#fff;">
+                    <span style="color:#fff;">Time</span>
+                    <select class="town-time" aria-label="Time"></select>
+                  </div>
+
+                  <a class="town-booknow" href="#" target="_blank" rel="noopener">Book now</a>
+                </div>
+              </div>
+            </div>
+          </div>`;
+}
+
+// Wires every show card on the page; sent once after the cards
+const TOWN_SHOW_CARDS_SCRIPT = `
+          <script>
+            document.querySelectorAll(".town-events[data-by-day]").forEach(function (card) {
+              const byDay = JSON.parse(card.dataset.byDay || "{}");
+              const dateSel = card.querySelector(".town-date");
+              const timeSel = card.querySelector(".town-time");
+              const link = card.querySelector(".town-booknow");
+
+              function repopulateTimes() {
+                const times = byDay[dateSel.value] || [];
+                // Sold out / cancelled times have no link and can't be picked.
+                timeSel.innerHTML = "";
+                times.forEach(function (t) {
+                  const opt = document.createElement("option");
+                  opt.value = t.bookNowLink || "";
+                  opt.disabled = !t.bookNowLink;
+                  opt.textContent = t.label;
+                  timeSel.appendChild(opt);
+                });
+                const firstOpen = times.findIndex(function (t) { return t.bookNowLink; });
+                if (firstOpen >= 0) timeSel.selectedIndex = firstOpen;
+                updateLink();
+              }
+
+              function updateLink() {
+                const open = Boolean(timeSel.value);
+                link.href = timeSel.value || "#";
+                link.textContent = open ? "Book now" : "Sold out";
+                link.classList.toggle("is-disabled", !open);
+                link.setAttribute("aria-disabled", open ? "false" : "true");
+              }
+
+              link.addEventListener("click", function (e) {
+                if (!timeSel.value) e.preventDefault();
+              });
+
+              dateSel.addEventListener("change", repopulateTimes);
+              timeSel.addEventListener("change", updateLink);
+
+              repopulateTimes();
+            });
+          </script>`;
+
+// Labels for the locally kept venue fields (see utils/venueProfiles.js), in page order
+const VENUE_FACT_LABELS = {
+  parking: "Parking",
+  toilets: "Toilets",
+  wheelchair: "Wheelchair access",
+  dogs: "Dogs",
+  busStop: "Nearest bus stop",
+};
+
+function directionsUrl(profile) {
+  const destination = profile.precise
+    ? `${profile.lat},${profile.lng}`
+    : [profile.venueName, profile.postcode].filter(Boolean).join(", ");
+  return `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(destination)}`;
+}
+
+// OpenStreetMap's embeddable map: no API key, no cookies. Only for a real pin,
+// never a postcode-area centroid.
+function venueMapHtml(profile) {
+  if (!profile.precise) return "";
+  const dLat = 0.004;
+  const dLng = 0.007;
+  const bbox = [profile.lng - dLng, profile.lat - dLat, profile.lng + dLng, profile.lat + dLat].map((n) => n.toFixed(5)).join(",");
+  const src = `https://www.openstreetmap.org/export/embed.html?bbox=${bbox}&layer=mapnik&marker=${profile.lat},${profile.lng}`;
+  return `<iframe class="venue-map" src="${escapeHtml(src)}" title="Map of ${escapeHtml(profile.venueName || "the venue")}" loading="lazy" referrerpolicy="no-referrer"></iframe>`;
+}
+
+// "Getting there": address, map, what3words and access details per venue
+function buildGettingThereHtml(profiles) {
+  const named = profiles.filter((p) => p && p.venueName);
+  if (!named.length) return "";
+
+  const venuesHtml = named
+    .map((p) => {
+      const facts = Object.entries(VENUE_FACT_LABELS)
+        .filter(([field]) => p[field])
+        .map(([field, label]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(p[field])}</dd>`)
+        .join("");
+      const address = venueAddressLine(p);
 
-    res.send(html);
-  } catch (e) {
-    console.error(e);
-    res.status(500).send("Error building tour locations page");
-  }
-});
+      return `
+          <div class="venue-profile">
+            <h3>${escapeHtml(p.venueName)}</h3>
+            ${address ? `<p class="venue-address">${escapeHtml(address)}</p>` : ""}
+            ${venueMapHtml(p)}
+            ${facts ? `<dl class="venue-facts">${facts}</dl>` : ""}
+            <p class="venue-links">
+              <a class="town-booknow" href="${escapeHtml(directionsUrl(p))}" target="_blank" rel="noopener">
+                <i class="fa-solid fa-route" aria-hidden="true"></i> Directions
+              </a>
+              ${
+                p.what3words
+                  ? `<a class="town-booknow" href="https://what3words.com/${escapeHtml(encodeURIComponent(p.what3words))}" target="_blank" rel="noopener">///${escapeHtml(p.what3words)}</a>`
+                  : ""
+              }
+            </p>
+          </div>`;
+    })
+    .join("");
+
+  return `
+        <div class="town-page-box town-wide getting-there" id="getting-there">
+          <h2>Getting there</h2>
+          ${venuesHtml}
+        </div>`;
+}
 
-// -------------------------
-// Town page (SEO) + schema + improved layout
-// -------------------------
-// -------------------------
-// Town page (SEO) + schema + improved layout
-// -------------------------
 app.get("/circus-in/:townSlug", async (req, res) => {
   try {
     const groupedEvents = await buildGroupedEvents(null);
-    const townIndex = buildTownIndex(groupedEvents, { comingSoonDays: 28 });
+    const townIndex = buildTownIndex(groupedEvents, { comingSoonDays: 28, timeZone: SITE_TIME_ZONE });
 
     const slug = String(req.params.townSlug || "").toLowerCase();
     const townObj = townIndex.find((t) => t.townSlug === slug);
 
     if (!townObj) {
+      // Renamed -> 301 to the current slug; finished -> "we were here" page
+      const known = slugRegistry.resolve(slug);
+      if (known && known.slug !== slug) {
+        return res.redirect(301, `/circus-in/${encodeURIComponent(known.slug)}`);
+      }
+      if (known) return res.send(renderFinishedTownPage(req, known.entry, slug, townIndex));
+
       const html = renderShell({
         req,
         title: `Family Friendly Circus | Reagal Events`,
@@ -1122,6 +2725,13 @@ app.get("/circus-in/:townSlug", async (req, res) => {
           <div class="town-page-box">
             <h1 style="color:#fff;">Reagal Events</h1>
             <p style="color:#fff;">No upcoming dates are currently listed for this location. Please check <a href="/all-shows.html">View All Shows</a>.</p>
+          </div>
+          <div class="town-page-box">
+            ${buildAlertSignupHtml({
+              townSlug: slug,
+              heading: `Want us in ${townNameForSlug(slug)}?`,
+              intro: "Leave your email and we'll let you know as soon as dates are announced.",
+            })}
           </div>`,
         robots: "noindex, follow",
       });
@@ -1131,22 +2741,12 @@ app.get("/circus-in/:townSlug", async (req, res) => {
 
     const townName = townObj.town;
 
-    const badgeText =
-      townObj.status === "FINAL_DAY"
-        ? "🔴 Final day"
-        : townObj.status === "IN_TOWN_NOW"
-        ? "🟢 In town now"
-        : townObj.status === "COMING_SOON"
-        ? "🟡 Coming soon"
-        : townObj.status === "NEXT_STOP"
-        ? "🟡 Next stop"
-        : "🟣 Later";
+    const badgeText = statusBadgeText(townObj.status);
 
     const sorted = [...townIndex].sort(
       (a, b) => new Date(a.startDateISO) - new Date(b.startDateISO)
     );
-    const thisEnd = new Date(townObj.endDateISO);
-    const nextTown = sorted.find((t) => new Date(t.startDateISO) > thisEnd) || null;
+    const nextTown = sorted.find((t) => t.startDay > townObj.endDay) || null;
 
     // Internal linking: nearby tour locations (helps SEO crawl depth)
     const currentIndex = sorted.findIndex((t) => t.townSlug === townObj.townSlug);
@@ -1173,10 +2773,14 @@ app.get("/circus-in/:townSlug", async (req, res) => {
       `
       : "";
 
-    const primaryVenueInfo = townObj.events?.[0]?.venueInfo || {};
-    const autoDesc = buildAdaptiveTownDescription({
+    // Each venue + show type gets its own card; the copy below names every venue
+    const shows = groupTownShows(townObj.events);
+    const venues = townVenues(shows).map((v) => venueProfiles.profileFor(v));
+    // Admin can pin hand-written copy over the generated description
+    const townCopy = tourOverrides.get().towns[townObj.townSlug] || {};
+    const autoDesc = townCopy.description || buildAdaptiveTownDescription({
       townName: townObj.town,
-      venueInfo: primaryVenueInfo,
+      venues,
       status: townObj.status,
       startDateISO: townObj.startDateISO,
       endDateISO: townObj.endDateISO,
@@ -1187,113 +2791,39 @@ app.get("/circus-in/:townSlug", async (req, res) => {
     const weekendLine = buildWeekendLine(townObj);
     const tourNowNextHtml = buildTourNowNextHtml(townIndex);
 
-    const showYear = new Date(townObj.startDateISO).getFullYear();
+    const todayKey = localDayKey(new Date(), SITE_TIME_ZONE);
+    const visitLine = describeVisits(townName, tourHistory.runsForTown(townObj.townSlug), { todayKey });
+    const hasPastVisits = tourHistory.completedRuns(todayKey, { townSlug: townObj.townSlug }).length > 0;
+
+    const notesHtml = townCopy.notes
+      ? `
+        <div class="town-page-box town-wide town-notes" style="margin-top:14px; color:#fff;">
+          <h2 style="color:#fff; text-align:center; margin:0 0 10px 0;">Good to know in ${escapeHtml(townName)}</h2>
+          ${townCopy.notes
+            .split(/\n\s*\n/)
+            .map((para) => `<p style="color:#fff;">${escapeHtml(para.trim()).replace(/\n/g, "<br>")}</p>`)
+            .join("")}
+        </div>
+      `
+      : "";
+
+    const showYear = townObj.startDay.slice(0, 4);
     const title = `🎪 Circus in ${townName} ${showYear} – Family Touring Show | Reagal Events`;
     const desc = `Family-friendly circus and entertainment in ${townName}. ${badgeText.replace(
       /^[^\w]+/,
       ""
     )} — view dates and book tickets.`;
 
-    const eventsHtml = (() => {
-      const allEvents = townObj.events || [];
-      if (!allEvents.length) return "";
-
-      // Merge ALL TicketSource events for this town into ONE card (same UX as Oundle/General Tour)
-      const byDay = {};
-      for (const ev of allEvents) {
-        for (const d of ev.dates || []) {
-          const dayKey = toDateLabel(d.startISO);
-          byDay[dayKey] = byDay[dayKey] || [];
-          byDay[dayKey].push({
-            time: toTimeLabel(d.startISO),
-            bookNowLink: d.bookNowLink,
-            startISO: d.startISO,
-          });
-        }
-      }
-
-      const dayKeys = Object.keys(byDay).sort(
-        (a, b) =>
-          new Date(byDay[a][0].startISO).getTime() - new Date(byDay[b][0].startISO).getTime()
-      );
-      for (const k of dayKeys) {
-        byDay[k].sort((x, y) => new Date(x.startISO) - new Date(y.startISO));
-      }
-
-      const rangeLine = `${toDateLabel(townObj.startDateISO)} – ${toDateLabel(townObj.endDateISO)}`;
-      const dataJson = JSON.stringify(byDay).replace(/</g, "\\u003c");
-
-      const dateSelectId = `dateSel_0`;
-      const timeSelectId = `timeSel_0`;
-      const linkId = `bookLink_0`;
-
-      const primary = allEvents[0] || {};
-      const displayName = primary.eventName || "Circus Show";
-      const thumb = primary.thumbnail || "";
-      const thumbAlt = thumb ? `Family-friendly circus in ${townName} by Reagal Events` : "";
-
-      return `
-          <div class="town-page-box town-events town-wide" style="color:#fff;">
-            <div class="event-flex">
-              <div class="event-left">
-                ${thumb ? `<img src="${escapeHtml(thumb)}" alt="${escapeHtml(thumbAlt)}" class="event-thumb">` : ""}
-              </div>
-
-              <div class="event-right">
-                <h3 style="color:#fff; margin:0 0 6px 0;">${escapeHtml(displayName)}</h3>
-                <div class="town-range" style="color:#fff; margin:0 0 10px 0;">${escapeHtml(rangeLine)}</div>
-
-                <div class="town-row" style="color:#fff;">
-                  <div class="town-field" style="color:#fff;">
-                    <span style="color:#fff;">Date</span>
-                    <select id="${dateSelectId}">
-                      ${dayKeys
-                        .map((k) => `<option value="${escapeHtml(k)}">${escapeHtml(k)}</option>`)
-                        .join("")}
-                    </select>
-                  </div>
-
-                  <div class="town-field" style="color:#fff;">
-                    <span style="color:#fff;">Time</span>
-                    <select id="${timeSelectId}"></select>
-                  </div>
-
-                  <a id="${linkId}" class="town-booknow" href="#" target="_blank" rel="noopener">Book now</a>
-                </div>
-              </div>
-            </div>
-          </div>
-
-          <script>
-            (function(){
-              const byDay = ${dataJson};
-              const dateSel = document.getElementById("${dateSelectId}");
-              const timeSel = document.getElementById("${timeSelectId}");
-              const link = document.getElementById("${linkId}");
-
-              function repopulateTimes() {
-                const day = dateSel.value;
-                const times = byDay[day] || [];
-                // Times already sorted earliest-first above.
-                timeSel.innerHTML = times.map(t => '<option value="' + (t.bookNowLink || '#') + '">' + t.time + '</option>').join('');
-                updateLink();
-              }
-
-              function updateLink() {
-                link.href = timeSel.value || "#";
-              }
-
-              dateSel.addEventListener("change", repopulateTimes);
-              timeSel.addEventListener("change", updateLink);
-
-              // init
-              repopulateTimes();
-            })();
-          </script>
-      `;
-    })();;
+    const eventsHtml = shows.length
+      ? shows.map((show) => buildTownShowCardHtml(show, { townName })).join("") + TOWN_SHOW_CARDS_SCRIPT
+      : "";
 
-    const { html: faqHtml, schema: faqSchema } = buildFaqBlock(townName, primaryVenueInfo);
+    const { html: faqHtml, schema: faqSchema } = buildFaqBlock({
+      townName,
+      townSlug: townObj.townSlug,
+      references: shows.map((show) => show.reference),
+      venues,
+    });
 
     const jsonLdObjects = [
       ...buildEventJsonLdForTown(req, townObj),
@@ -1326,7 +2856,7 @@ app.get("/circus-in/:townSlug", async (req, res) => {
         .town-hero .tour-now-next .dot { padding: 0 10px; opacity: 0.95; }
         .town-hero .desc { margin: 0; width: 100%; max-width: none; line-height: 1.2; }
         .town-hero .extra { margin: 8px 0 0 0; width: 100%; max-width: none; line-height: 1.2; }
-        .town-hero .btnrow { margin-top: 10px; display: flex; justify-content: center; }
+        .town-hero .btnrow { margin-top: 10px; display: flex; flex-wrap: wrap; gap: 10px; justify-content: center; }
 
         /* event box layout */
         .event-flex { display:flex; gap:18px; align-items:center; justify-content:center; }
@@ -1427,11 +2957,21 @@ app.get("/circus-in/:townSlug", async (req, res) => {
 
           ${weekendLine ? `<p class="extra" style="font-weight:800;">${escapeHtml(weekendLine)}</p>` : ""}
 
+          ${visitLine ? `<p class="extra">${escapeHtml(visitLine)}</p>` : ""}
+
           ${nextTown ? `<p class="extra"><strong>Next stop:</strong> <a href="/circus-in/${escapeHtml(nextTown.townSlug)}">${escapeHtml(nextTown.town)}</a></p>` : ""}
 
           <div class="btnrow">
             <a class="town-booknow" href="/tour-locations">See all tour locations</a>
+            <a class="town-booknow" href="/circus-in/${escapeHtml(townObj.townSlug)}/calendar.ics" rel="nofollow">
+              <i class="fa-regular fa-calendar-plus" aria-hidden="true"></i> Add to calendar
+            </a>
+            ${hasPastVisits ? `<a class="town-booknow" href="/circus-in/${escapeHtml(townObj.townSlug)}/history">Past visits</a>` : ""}
+            <button type="button" class="town-booknow push-follow" data-town-slug="${escapeHtml(townObj.townSlug)}" aria-pressed="false" hidden>
+              <i class="fa-regular fa-bell" aria-hidden="true"></i> <span class="push-follow-label">Notify this device</span>
+            </button>
           </div>
+          <p class="extra push-follow-status" aria-live="polite" hidden></p>
         </div>
       </div>
 
@@ -1439,6 +2979,10 @@ app.get("/circus-in/:townSlug", async (req, res) => {
 
       ${eventsHtml}
 
+      ${buildGettingThereHtml(venues)}
+
+      ${notesHtml}
+
       ${faqHtml}
     `;
 
@@ -1450,6 +2994,7 @@ app.get("/circus-in/:townSlug", async (req, res) => {
       robots: "index, follow",
       headExtras,
       jsonLdObjects,
+      ogImage: townShareImagePath(req, townObj),
     });
 
     res.send(html);
@@ -1459,12 +3004,610 @@ app.get("/circus-in/:townSlug", async (req, res) => {
   }
 });
 
+// -------------------------
+// Tour history
+// -------------------------
+function buildRunListHtml(runs, { showTown = false } = {}) {
+  return `
+    <ul class="history-list">
+      ${runs
+        .map((r) => {
+          const where = [r.venueName, showTown ? "" : r.postcode].filter(Boolean).join(", ");
+          const townLink = showTown
+            ? `<a href="/circus-in/${escapeHtml(r.townSlug)}/history"><strong>${escapeHtml(r.town)}</strong></a> · `
+            : "";
+          return `<li>${townLink}<span class="history-dates">${escapeHtml(
+            dayRangeLabel(r.startDay, r.endDay)
+          )}</span>${r.show ? ` · ${escapeHtml(r.show)}` : ""}${where ? ` <small>at ${escapeHtml(where)}</small>` : ""}</li>`;
+        })
+        .join("")}
+    </ul>`;
+}
+
+const HISTORY_HEAD_EXTRAS = `
+  <style>
+    .history-list { list-style: none; padding: 0; margin: 0 auto; max-width: 900px; text-align: left; }
+    .history-list li { padding: 10px 12px; margin: 6px 0; background: rgba(0,0,0,0.35); border: 1px solid rgba(255,255,255,0.18); border-radius: 10px; color: #fff; }
+    .history-list a { color: #fff; }
+    .history-dates { font-weight: 800; }
+    .history-year { color: #fff; margin: 18px 0 6px 0; }
+  </style>`;
+
+app.get("/circus-in/:townSlug/history", async (req, res) => {
+  try {
+    const slug = String(req.params.townSlug || "").toLowerCase();
+    const known = slugRegistry.resolve(slug);
+    if (known && known.slug !== slug) {
+      return res.redirect(301, `/circus-in/${encodeURIComponent(known.slug)}/history`);
+    }
+
+    const todayKey = localDayKey(new Date(), SITE_TIME_ZONE);
+    const allRuns = tourHistory.runsForTown(slug);
+    const past = tourHistory.completedRuns(todayKey, { townSlug: slug });
+    if (!allRuns.length) {
+      return res.status(404).send(
+        renderShell({
+          req,
+          title: "Tour History | Reagal Events",
+          description: "No visits recorded for this location yet.",
+          bodyHtml: `
+            <div class="town-page-box">
+              <h1 style="color:#fff;">Reagal Events</h1>
+              <p style="color:#fff;">We haven't recorded any visits here yet. See <a href="/tour-archive">where we've been</a>.</p>
+            </div>`,
+          robots: "noindex, follow",
+        })
+      );
+    }
+
+    const groupedEvents = await buildGroupedEvents(null);
+    const townIndex = buildTownIndex(groupedEvents, { comingSoonDays: 28, timeZone: SITE_TIME_ZONE });
+    const live = townIndex.find((t) => t.townSlug === slug) || null;
+
+    const townName = live?.town || allRuns[allRuns.length - 1].town;
+    const visitLine = describeVisits(townName, allRuns, { todayKey });
+
+    const bodyHtml = `
+      <div class="town-page-box town-wide" style="color:#fff; text-align:center;">
+        <h1 style="color:#fff;">Reagal Events in ${escapeHtml(townName)}: past visits</h1>
+        ${visitLine ? `<p style="color:#fff; font-weight:800;">${escapeHtml(visitLine)}</p>` : ""}
+        ${
+          live
+            ? `<p style="color:#fff;">We're back: ${escapeHtml(statusBadgeText(live.status))} · ${escapeHtml(
+                dayRangeLabel(live.startDay, live.endDay)
+              )}</p>
+               <p><a class="town-booknow" href="/circus-in/${escapeHtml(slug)}">See dates &amp; book</a></p>`
+            : ""
+        }
+        ${
+          past.length
+            ? buildRunListHtml(past)
+            : `<p style="color:#fff;">This is our first visit – check back after the show.</p>`
+        }
+        <p style="margin-top:14px;"><a class="town-booknow" href="/tour-archive">Where we've been</a></p>
+      </div>`;
+
+    res.send(
+      renderShell({
+        req,
+        title: `Circus in ${townName} – Past Visits | Reagal Events`,
+        description: visitLine || `Every Reagal Events visit to ${townName}: dates, venues and shows.`,
+        bodyHtml,
+        robots: past.length ? "index, follow" : "noindex, follow",
+        headExtras: HISTORY_HEAD_EXTRAS,
+      })
+    );
+  } catch (error) {
+    console.error("Error /circus-in/:townSlug/history:", error.message);
+    res.status(500).send("Error loading history");
+  }
+});
+
+app.get("/tour-archive", async (req, res) => {
+  try {
+    const todayKey = localDayKey(new Date(), SITE_TIME_ZONE);
+    const past = tourHistory.completedRuns(todayKey);
+
+    const byYear = new Map();
+    for (const r of past) {
+      const year = r.startDay.slice(0, 4);
+      if (!byYear.has(year)) byYear.set(year, []);
+      byYear.get(year).push(r);
+    }
+
+    const yearsHtml = [...byYear.entries()]
+      .map(([year, runs]) => `<h2 class="history-year">${escapeHtml(year)}</h2>${buildRunListHtml(runs, { showTown: true })}`)
+      .join("");
+
+    const bodyHtml = `
+      <div class="town-page-box town-wide" style="color:#fff; text-align:center;">
+        <h1 style="color:#fff;">Where we've been</h1>
+        <p style="color:#fff;">Every town the Reagal Events big top has visited, newest first. Looking for what's next? See our <a href="/tour-locations">tour locations</a>.</p>
+        ${yearsHtml || `<p style="color:#fff;">Our tour archive starts with this season – finished runs will appear here.</p>`}
+      </div>`;
+
+    res.send(
+      renderShell({
+        req,
+        title: "Where We've Been – Tour Archive | Reagal Events",
+        description: "The Reagal Events tour archive: every town, venue and show from past seasons.",
+        bodyHtml,
+        robots: "index, follow",
+        headExtras: HISTORY_HEAD_EXTRAS,
+      })
+    );
+  } catch (error) {
+    console.error("Error /tour-archive:", error.message);
+    res.status(500).send("Error loading tour archive");
+  }
+});
+
+// -------------------------
+// Admin: tour overrides
+// -------------------------
+// Disabled (404) unless ADMIN_PASSWORD is set. HTTP Basic auth (any username)
+// keeps it dependency-free; every form also carries a token derived from the
+// password, so another site can't post here on the back of saved credentials.
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || "";
+
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function adminFormToken() {
+  return crypto.createHmac("sha256", ADMIN_PASSWORD).update("tour-overrides").digest("hex");
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_PASSWORD) return res.status(404).type("text/plain").send("Not found");
+
+  res.setHeader("Cache-Control", "no-store");
+  res.setHeader("X-Robots-Tag", "noindex, nofollow");
+
+  const [scheme, encoded] = String(req.headers.authorization || "").split(" ");
+  const password =
+    scheme === "Basic" && encoded
+      ? Buffer.from(encoded, "base64").toString("utf8").split(":").slice(1).join(":")
+      : "";
+  if (!password || !safeEqual(password, ADMIN_PASSWORD)) {
+    res.setHeader("WWW-Authenticate", 'Basic realm="Reagal Events admin", charset="UTF-8"');
+    return res.status(401).type("text/plain").send("Authentication required");
+  }
+
+  if (req.method === "POST" && !safeEqual(req.body?._token || "", adminFormToken())) {
+    return res.status(403).type("text/plain").send("Form token mismatch – reload /admin and try again");
+  }
+  next();
+}
+
+const adminForm = express.urlencoded({ extended: false, limit: "50kb" });
+
+function adminTokenField() {
+  return `<input type="hidden" name="_token" value="${adminFormToken()}">`;
+}
+
+// Every venue / event in the fetched data, before overrides are applied
+function collectAdminRows(rawGrouped, overrides) {
+  const venues = new Map();
+  const events = [];
+  const hidden = new Set(overrides.hiddenEvents);
+
+  for (const [town, townEvents] of Object.entries(rawGrouped || {})) {
+    for (const ev of townEvents || []) {
+      const v = ev.venueInfo || {};
+      const key = venueOverrideKey(v);
+      if (key && !venues.has(key)) {
+        venues.set(key, {
+          key,
+          venueName: v.venueName || "(no venue name)",
+          postcode: v.postcode || "",
+          rawTown: town,
+          override: overrides.venues[key] || {},
+          profile: venueProfiles.entryFor(v),
+        });
+      }
+      events.push({
+        id: ev.id,
+        eventName: ev.eventName || "(untitled)",
+        reference: ev.reference || "",
+        rawTown: town,
+        range: ev.fromDate && ev.toDate ? `${ev.fromDate} – ${ev.toDate}` : "",
+        hidden: Boolean(ev.id) && hidden.has(String(ev.id)),
+      });
+    }
+  }
+
+  return {
+    venues: [...venues.values()].sort((a, b) => a.rawTown.localeCompare(b.rawTown)),
+    events,
+  };
+}
+
+app.get("/admin", requireAdmin, async (req, res) => {
+  try {
+    await buildGroupedEvents(null); // make sure the dataset is loaded
+    const overrides = tourOverrides.get();
+    const { venues, events } = collectAdminRows(__eventsDataset?.data, overrides);
+    const townIndex = buildTownIndex(await buildGroupedEvents(null), {
+      timeZone: SITE_TIME_ZONE,
+      includePast: true,
+    });
+
+    // Towns on tour plus any with saved copy that no longer match a town
+    const towns = townIndex.map((t) => ({ townSlug: t.townSlug, town: t.town, onTour: true }));
+    for (const slug of Object.keys(overrides.towns)) {
+      if (!towns.some((t) => t.townSlug === slug)) towns.push({ townSlug: slug, town: `${slug} (not on tour)` });
+    }
+
+    const saved = req.query.saved ? `<p class="admin-saved">Saved.</p>` : "";
+
+    const venuesHtml = venues
+      .map(
+        (v) => `
+        <form class="admin-row" method="post" action="/admin/venues">
+          ${adminTokenField()}
+          <input type="hidden" name="venueKey" value="${escapeHtml(v.key)}">
+          <div class="admin-cell">
+            <strong>${escapeHtml(v.venueName)}</strong><br>
+            <small>${escapeHtml(v.postcode)} · TicketSource town: ${escapeHtml(v.rawTown)}</small>
+          </div>
+          <label>Town <input name="town" value="${escapeHtml(v.override.town || "")}" placeholder="${escapeHtml(v.rawTown)}"></label>
+          <label>Slug <input name="townSlug" value="${escapeHtml(v.override.townSlug || "")}" placeholder="${escapeHtml(slugifyTown(v.override.town || v.rawTown))}"></label>
+          <button type="submit" class="town-booknow">Save</button>
+        </form>`
+      )
+      .join("");
+
+    // Saved under the key the entry already has, else the venue's override key
+    const venueDetailsHtml = venues
+      .map(
+        (v) => `
+        <form class="admin-town" method="post" action="/admin/venue-profiles">
+          ${adminTokenField()}
+          <input type="hidden" name="profileKey" value="${escapeHtml(v.profile.key || v.key)}">
+          <h3>${escapeHtml(v.venueName)} <small>${escapeHtml(v.postcode)} · ${escapeHtml(v.override.town || v.rawTown)}</small></h3>
+          <div class="admin-row">
+            <label>what3words <input name="what3words" value="${escapeHtml(v.profile.fields.what3words || "")}" placeholder="filled.count.soap"></label>
+            <label>Latitude <input name="lat" value="${escapeHtml(v.profile.fields.lat ?? "")}" inputmode="decimal"></label>
+            <label>Longitude <input name="lng" value="${escapeHtml(v.profile.fields.lng ?? "")}" inputmode="decimal"></label>
+          </div>
+          ${PROFILE_TEXT_FIELDS.map(
+            (field) => `
+          <label>${escapeHtml(VENUE_FACT_LABELS[field])}
+            <textarea name="${field}" rows="2">${escapeHtml(v.profile.fields[field] || "")}</textarea>
+          </label>`
+          ).join("")}
+          <button type="submit" class="town-booknow">Save</button>
+        </form>`
+      )
+      .join("");
+
+    const eventsHtml = events
+      .map(
+        (ev) => `
+        <form class="admin-row" method="post" action="/admin/events">
+          ${adminTokenField()}
+          <input type="hidden" name="eventId" value="${escapeHtml(ev.id || "")}">
+          <input type="hidden" name="hidden" value="${ev.hidden ? "0" : "1"}">
+          <div class="admin-cell">
+            <strong>${escapeHtml(ev.eventName)}</strong> ${ev.hidden ? `<span class="admin-flag">Hidden</span>` : ""}<br>
+            <small>${escapeHtml(ev.rawTown)} · ${escapeHtml(ev.reference)} · ${escapeHtml(ev.range)}</small>
+          </div>
+          <button type="submit" class="town-booknow"${ev.id ? "" : " disabled title=\"No event id yet – wait for the next refresh\""}>${ev.hidden ? "Show" : "Hide"}</button>
+        </form>`
+      )
+      .join("");
+
+    const townsHtml = towns
+      .map((t) => {
+        const copy = overrides.towns[t.townSlug] || {};
+        return `
+        <form class="admin-town" method="post" action="/admin/towns">
+          ${adminTokenField()}
+          <input type="hidden" name="townSlug" value="${escapeHtml(t.townSlug)}">
+          <h3><a href="/circus-in/${escapeHtml(t.townSlug)}" target="_blank" rel="noopener">${escapeHtml(t.town)}</a> <small>/${escapeHtml(t.townSlug)}</small></h3>
+          ${t.onTour ? `<p><a href="/admin/kit/${escapeHtml(t.townSlug)}">Download poster &amp; social kit</a> <small>(square + story images, A4/A3 posters, QR code, tracked links)</small></p>` : ""}
+          <label>Description (replaces the generated one)
+            <textarea name="description" rows="3">${escapeHtml(copy.description || "")}</textarea>
+          </label>
+          <label>Notes (parking, access, ...)
+            <textarea name="notes" rows="3">${escapeHtml(copy.notes || "")}</textarea>
+          </label>
+          <button type="submit" class="town-booknow">Save</button>
+        </form>`;
+      })
+      .join("");
+
+    const headExtras = `
+      <style>
+        .admin-wrap { max-width: 1100px; margin: 0 auto; color:#fff; }
+        .admin-wrap h2 { margin: 22px 0 8px 0; }
+        .admin-row { display:flex; flex-wrap:wrap; gap:10px; align-items:center; padding:10px 0; border-bottom:1px solid rgba(255,255,255,0.18); }
+        .admin-cell { flex: 1 1 280px; }
+        .admin-row label, .admin-town label { display:flex; flex-direction:column; gap:4px; font-size:14px; }
+        .admin-row input { padding:6px 8px; border-radius:8px; border:1px solid #ccc; }
+        .admin-town { padding:12px 0; border-bottom:1px solid rgba(255,255,255,0.18); display:grid; gap:8px; }
+        .admin-town textarea { width:100%; padding:6px 8px; border-radius:8px; border:1px solid #ccc; font: inherit; }
+        .admin-town h3 { margin:0; }
+        .admin-saved { background: rgba(67,160,71,0.6); padding:8px 12px; border-radius:10px; }
+        .admin-flag { background: rgba(229,57,53,0.8); padding:1px 8px; border-radius:8px; font-size:13px; }
+        .admin-wrap .town-booknow { font-size:15px; padding:8px 14px; cursor:pointer; }
+      </style>`;
+
+    const bodyHtml = `
+      <div class="town-page-box town-wide admin-wrap">
+        <h1>Tour overrides</h1>
+        ${saved}
+        <p>Changes apply straight away to town pages, the sitemap and the API. Leave a field empty to use the TicketSource value. Saved to <code>${escapeHtml(path.relative(__dirname, tourOverrides.file))}</code>.</p>
+
+        <h2 id="venues">Venues → town</h2>
+        ${venuesHtml || "<p>No venues loaded yet.</p>"}
+
+        <h2 id="venue-details">Venue details</h2>
+        <p>Shown under "Getting there" on town pages and used to answer the parking and access FAQs. Leave latitude/longitude empty to use the postcode; the map only appears once they're set. Saved to <code>${escapeHtml(path.relative(__dirname, venueProfiles.file))}</code>.</p>
+        ${venueDetailsHtml || "<p>No venues loaded yet.</p>"}
+
+        <h2 id="events">Events</h2>
+        ${eventsHtml || "<p>No events loaded yet.</p>"}
+
+        <h2 id="towns">Town copy</h2>
+        ${townsHtml || "<p>No towns on tour.</p>"}
+      </div>`;
+
+    res.send(
+      renderShell({
+        req,
+        title: "Tour overrides | Reagal Events admin",
+        description: "Admin",
+        bodyHtml,
+        robots: "noindex, nofollow",
+        headExtras,
+      })
+    );
+  } catch (error) {
+    console.error("Error /admin:", error.message);
+    res.status(500).type("text/plain").send("Error loading admin");
+  }
+});
+
+// Save, drop cached views, then back to the section that was edited
+async function saveOverrides(res, section, mutate) {
+  await tourOverrides.update(mutate);
+  invalidateEventViews();
+  await recordPublishedTowns();
+  res.redirect(303, `/admin?saved=1#${section}`);
+}
+
+app.post("/admin/venues", adminForm, requireAdmin, async (req, res) => {
+  try {
+    const key = String(req.body.venueKey || "").trim().toLowerCase();
+    if (!key) return res.status(400).type("text/plain").send("Missing venue");
+    const town = String(req.body.town || "").trim().slice(0, 80);
+    const townSlug = slugifyTown(req.body.townSlug || "");
+
+    await saveOverrides(res, "venues", (draft) => {
+      if (town || townSlug) draft.venues[key] = { town, townSlug };
+      else delete draft.venues[key];
+    });
+  } catch (error) {
+    console.error("Error POST /admin/venues:", error.message);
+    res.status(500).type("text/plain").send("Failed to save overrides");
+  }
+});
+
+app.post("/admin/venue-profiles", adminForm, requireAdmin, async (req, res) => {
+  try {
+    const key = String(req.body.profileKey || "").trim().toLowerCase();
+    if (!key) return res.status(400).type("text/plain").send("Missing venue");
+    const fields = {};
+    for (const field of ["what3words", "lat", "lng", ...PROFILE_TEXT_FIELDS]) {
+      fields[field] = String(req.body[field] || "");
+    }
+
+    // Empty fields are dropped when saved, and an entry with nothing left goes
+    await venueProfiles.update((draft) => {
+      draft.venues[key] = fields;
+    });
+    res.redirect(303, "/admin?saved=1#venue-details");
+  } catch (error) {
+    console.error("Error POST /admin/venue-profiles:", error.message);
+    res.status(500).type("text/plain").send("Failed to save venue details");
+  }
+});
+
+app.post("/admin/events", adminForm, requireAdmin, async (req, res) => {
+  try {
+    const eventId = String(req.body.eventId || "").trim();
+    if (!eventId) return res.status(400).type("text/plain").send("Missing event id");
+    const hide = req.body.hidden === "1";
+
+    await saveOverrides(res, "events", (draft) => {
+      draft.hiddenEvents = draft.hiddenEvents.filter((id) => id !== eventId);
+      if (hide) draft.hiddenEvents.push(eventId);
+    });
+  } catch (error) {
+    console.error("Error POST /admin/events:", error.message);
+    res.status(500).type("text/plain").send("Failed to save overrides");
+  }
+});
+
+app.post("/admin/towns", adminForm, requireAdmin, async (req, res) => {
+  try {
+    const townSlug = slugifyTown(req.body.townSlug || "");
+    if (!townSlug) return res.status(400).type("text/plain").send("Missing town");
+    const description = String(req.body.description || "").trim().slice(0, 1000);
+    const notes = String(req.body.notes || "").trim().slice(0, 4000);
+
+    await saveOverrides(res, "towns", (draft) => {
+      if (description || notes) draft.towns[townSlug] = { description, notes };
+      else delete draft.towns[townSlug];
+    });
+  } catch (error) {
+    console.error("Error POST /admin/towns:", error.message);
+    res.status(500).type("text/plain").send("Failed to save overrides");
+  }
+});
+
+// -------------------------
+// Admin: town kit
+// -------------------------
+// Everything we used to make by hand before a new town, as one zip: square
+// and story images for Facebook / TikTok, A4 and A3 posters with every
+// performance, the QR code on those posters, and tracked links for each.
+const KIT_CHANNELS = [
+  { label: "Facebook post", source: "facebook", medium: "social" },
+  { label: "TikTok / Instagram link", source: "tiktok", medium: "social" },
+  { label: "Poster QR code", source: "poster", medium: "qr" },
+];
+
+// Town page with campaign tracking, e.g. utm_campaign=oundle-2027
+function townCampaignUrl(baseUrl, townObj, { source, medium }) {
+  const params = new URLSearchParams({
+    utm_source: source,
+    utm_medium: medium,
+    utm_campaign: `${townObj.townSlug}-${townObj.startDay.slice(0, 4)}`,
+  });
+  return `${baseUrl}/circus-in/${encodeURIComponent(townObj.townSlug)}?${params}`;
+}
+
+// "Fri 2 Apr"
+function posterDayLabel(iso) {
+  return new Date(iso).toLocaleDateString("en-GB", {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    timeZone: SITE_TIME_ZONE,
+  });
+}
+
+// One block per show with its days and each day's times; cancelled
+// performances are left off. Show headings only when there's more than one.
+function posterSchedule(shows) {
+  return shows
+    .map((show) => {
+      const days = new Map();
+      for (const d of show.dates) {
+        if (d.availability === AVAILABILITY.CANCELLED) continue;
+        const key = localDayKey(new Date(d.startISO), SITE_TIME_ZONE);
+        if (!days.has(key)) days.set(key, { label: posterDayLabel(d.startISO), times: [] });
+        days.get(key).times.push(toTimeLabel(d.startISO));
+      }
+      return {
+        heading: shows.length > 1 ? [show.showName, show.venueInfo?.venueName].filter(Boolean).join(" – ") : "",
+        days: [...days.values()].map((day) => ({ label: day.label, times: day.times.join(" · ") })),
+      };
+    })
+    .filter((block) => block.days.length);
+}
+
+async function buildTownKit(req, townObj) {
+  const baseUrl = getBaseUrl(req);
+  const slug = townObj.townSlug;
+  const links = KIT_CHANNELS.map((channel) => ({ ...channel, url: townCampaignUrl(baseUrl, townObj, channel) }));
+  const qrUrl = links.find((l) => l.source === "poster").url;
+  const displayUrl = `${baseUrl.replace(/^https?:\/\//, "")}/circus-in/${slug}`;
+
+  // One visit per kit: the town's current or next run, like its share card
+  const inRun = (d) => {
+    const day = localDayKey(new Date(d.startISO), SITE_TIME_ZONE);
+    return day >= townObj.startDay && day <= townObj.endDay;
+  };
+  const shows = groupTownShows(townObj.events)
+    .map((show) => ({ ...show, dates: show.dates.filter(inRun) }))
+    .filter((show) => show.dates.length);
+  const venues = townVenues(shows).map((v) => [v.venueName, venueAddressLine(v)].filter(Boolean).join(", "));
+  const card = { ...townShareCard(req, townObj), footer: displayUrl };
+  const dates = card.dates;
+
+  const qr = await buildQrCode(qrUrl);
+  const square = await shareImages.image(card, "square");
+  const story = await shareImages.image(card, "story");
+  const posters = [];
+  for (const size of Object.keys(PAGE_SIZES)) {
+    posters.push({
+      name: `${slug}-poster-${size.toLowerCase()}.pdf`,
+      data: await buildPosterPdf({
+        size,
+        bannerFile: path.join(__dirname, "public", "banner1.jpg"),
+        title: card.title,
+        dates,
+        venues,
+        schedule: posterSchedule(shows),
+        displayUrl,
+        qrPng: qr.png,
+      }),
+    });
+  }
+
+  const readme = [
+    `Reagal Events – ${townObj.town}`,
+    dates,
+    ...venues,
+    "",
+    "Tracked links (use the one for where you're posting):",
+    ...links.map((l) => `${l.label}: ${l.url}`),
+    "",
+    "Suggested caption:",
+    `${card.title}, ${dates}${venues.length === 1 ? ` at ${shows[0].venueInfo?.venueName || "our big top"}` : ""}. Book your tickets: ${links[0].url}`,
+    "",
+  ].join("\n");
+
+  return buildZip([
+    { name: `${slug}-square.png`, data: await fs.promises.readFile(square.file) },
+    { name: `${slug}-story.png`, data: await fs.promises.readFile(story.file) },
+    ...posters,
+    { name: `${slug}-qr.png`, data: qr.png },
+    { name: `${slug}-qr.svg`, data: qr.svg },
+    { name: "links.txt", data: readme },
+  ]);
+}
+
+app.get("/admin/kit/:townSlug", requireAdmin, async (req, res) => {
+  try {
+    const townIndex = buildTownIndex(await buildGroupedEvents(null), {
+      comingSoonDays: 28,
+      timeZone: SITE_TIME_ZONE,
+      includePast: true,
+    });
+    const slug = String(req.params.townSlug || "").toLowerCase();
+    const townObj = townIndex.find((t) => t.townSlug === slug);
+    if (!townObj) return res.status(404).type("text/plain").send("No dates for this town");
+
+    const zip = await buildTownKit(req, townObj);
+    res.setHeader("Content-Disposition", `attachment; filename="reagal-events-${townObj.townSlug}-kit.zip"`);
+    res.type("application/zip").send(zip);
+  } catch (error) {
+    console.error("Error /admin/kit/:townSlug:", error.message);
+    res.status(500).type("text/plain").send("Error building town kit");
+  }
+});
 
 // Fallback
 app.get("*", (req, res) => {
-  res.sendFile(path.join(__dirname, "public", "index.html"));
+  res.send(renderStaticPage(req, templates.page("index")));
 });
 
-app.listen(PORT, () => {
-  console.log(`Server is running on http://localhost:${PORT}`);
-});
\ No newline at end of file
+// Only listen when run directly, so the app can be required by tests/tools.
+// Everything that touches disk or runs in the background lives here, so
+// requiring this module (tests) only builds the app
+function startServer({ port = PORT } = {}) {
+  pushSender = createSitePushSender();
+  eventsScheduler.start();
+  pushScheduler.start({ immediate: false });
+  const server = app.listen(port, () => {
+    console.log(`Server is running on http://localhost:${port} (events: ${eventProvider.name})`);
+  });
+
+  // Blur placeholders for the banner and gallery, one at a time in the background
+  imagePipeline.warm(["/banner1.jpg", ...gallery.manifest().map((img) => img.src)]);
+  return server;
+}
+
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = app;
+module.exports.startServer = startServer;
\ No newline at end of file
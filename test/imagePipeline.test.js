@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createImagePipeline } = require("../utils/imagePipeline");
+
+function pipeline(t) {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "reagal-img-"));
+  t.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+  return createImagePipeline({ publicDir: path.join(__dirname, "..", "public"), cacheDir, remoteHosts: ["images.example.com"] });
+}
+
+test("remote images on allowed hosts get /img srcsets", (t) => {
+  const images = pipeline(t);
+  const srcset = images.srcsetFor("https://cdn.images.example.com/a.jpg", { width: 800 });
+  assert.match(srcset, /^\/img\/320\/webp\?src=https%3A%2F%2Fcdn\.images\.example\.com%2Fa\.jpg 320w/);
+});
+
+test("remote images on other hosts keep the plain <img>", (t) => {
+  const images = pipeline(t);
+  for (const src of ["https://elsewhere.test/a.jpg", "http://images.example.com/a.jpg"]) {
+    assert.equal(images.srcsetFor(src, { width: 800 }), "");
+    const html = images.pictureHtml(src, { alt: "Poster" });
+    assert.doesNotMatch(html, /<picture|<source|\/img\//);
+    assert.match(html, /^<img src="[^"]+" alt="Poster"/);
+  }
+});
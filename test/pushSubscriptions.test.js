@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildTownIndex } = require("../utils/townEngine");
+const { PUSH_KIND, dueNotificationsFor, isValidSubscription } = require("../utils/pushSubscriptions");
+
+// Peterborough in April and again at Halloween
+const grouped = {
+  Peterborough: [
+    {
+      venueInfo: { venueName: "East of England Arena" },
+      dates: ["2027-04-09", "2027-04-10", "2027-04-11", "2027-10-29", "2027-10-30", "2027-10-31"].map((day) => ({
+        startISO: `${day}T14:00:00Z`,
+      })),
+    },
+  ],
+};
+
+function dueAt(now, sent = {}) {
+  const townIndex = buildTownIndex(grouped, { now: new Date(now), timeZone: "Europe/London" });
+  return dueNotificationsFor({ towns: ["peterborough"], sent }, townIndex);
+}
+
+test("a followed town in its current run is due, with that run's dates", () => {
+  const [due] = dueAt("2027-04-10T12:00:00Z");
+
+  assert.equal(due.kind, PUSH_KIND.IN_TOWN);
+  assert.equal(due.town.startDay, "2027-04-09");
+  assert.equal(due.town.endDay, "2027-04-11");
+});
+
+test("nothing is due between two runs in the same town", () => {
+  assert.deepEqual(dueAt("2027-06-01T12:00:00Z", { "peterborough|IN_TOWN_NOW": "2027-04-11" }), []);
+  assert.deepEqual(dueAt("2027-06-01T12:00:00Z"), []);
+});
+
+test("the next run is due again even though the first one was sent", () => {
+  const due = dueAt("2027-10-29T12:00:00Z", {
+    "peterborough|IN_TOWN_NOW": "2027-04-11",
+    "peterborough|FINAL_DAY": "2027-04-11",
+  });
+
+  assert.deepEqual(
+    due.map((d) => [d.kind, d.town.endDay]),
+    [[PUSH_KIND.IN_TOWN, "2027-10-31"]]
+  );
+  assert.deepEqual(dueAt("2027-10-29T12:00:00Z", { "peterborough|IN_TOWN_NOW": "2027-10-31" }), []);
+});
+
+// -------------------------
+// Subscription endpoints
+// -------------------------
+const keys = { p256dh: "BNc...", auth: "tBH..." };
+const valid = (endpoint, opts) => isValidSubscription({ endpoint, keys }, opts);
+
+test("endpoints on the browsers' push services are accepted", () => {
+  assert.equal(valid("https://fcm.googleapis.com/fcm/send/abc123"), true);
+  assert.equal(valid("https://updates.push.services.mozilla.com/wpush/v2/abc123"), true);
+  assert.equal(valid("https://web.push.apple.com/QGx1c2VyL2FiYw"), true);
+  assert.equal(valid("https://wns2-par02p.notify.windows.com/w/?token=abc"), true);
+});
+
+test("an arbitrary host is rejected, however it's dressed up", () => {
+  assert.equal(valid("https://attacker.example/collect"), false);
+  assert.equal(valid("https://169.254.169.254/latest/meta-data/"), false);
+  assert.equal(valid("https://fcm.googleapis.com.attacker.example/fcm/send/abc"), false);
+  assert.equal(valid("https://evilpush.apple.com.example/x"), false);
+  assert.equal(valid("https://fcm.googleapis.com:8443/fcm/send/abc"), false);
+  assert.equal(valid("https://user@fcm.googleapis.com/fcm/send/abc"), false);
+  assert.equal(valid("http://fcm.googleapis.com/fcm/send/abc"), false);
+});
+
+test("a localhost stand-in is only accepted when allowLocal is set", () => {
+  assert.equal(valid("http://localhost:4001/push/abc"), false);
+  assert.equal(valid("http://localhost:4001/push/abc", { allowLocal: true }), true);
+  assert.equal(valid("http://10.0.0.5/push/abc", { allowLocal: true }), false);
+});
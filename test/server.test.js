@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Everything the app writes goes to a temp dir; events come from fixtures/events
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "reagal-server-"));
+// Removed on exit: the first refresh records towns in the background
+process.on("exit", () => fs.rmSync(dataDir, { recursive: true, force: true }));
+Object.assign(process.env, {
+  EVENT_SOURCE: "fixtures",
+  EVENTS_SNAPSHOT_DIR: path.join(dataDir, "events"),
+  ADMIN_OVERRIDES_FILE: path.join(dataDir, "overrides.json"),
+  SLUG_REGISTRY_FILE: path.join(dataDir, "slugs.json"),
+  TOUR_HISTORY_FILE: path.join(dataDir, "history.json"),
+  SUBSCRIPTIONS_FILE: path.join(dataDir, "subscriptions.json"),
+  MAIL_OUTBOX_DIR: path.join(dataDir, "outbox"),
+  PUSH_SUBSCRIPTIONS_FILE: path.join(dataDir, "push-subscriptions.json"),
+  PUSH_KEYS_FILE: path.join(dataDir, "vapid-keys.json"),
+  VENUE_PROFILES_FILE: path.join(dataDir, "venues.json"),
+  FAQS_FILE: path.join(dataDir, "faqs.json"),
+  IMAGE_CACHE_DIR: path.join(dataDir, "images"),
+  SHARE_IMAGE_CACHE_DIR: path.join(dataDir, "share"),
+});
+
+const app = require("../server");
+
+let server;
+let base;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+test("requiring the app doesn't generate push keys", () => {
+  assert.equal(fs.existsSync(process.env.PUSH_KEYS_FILE), false);
+});
+
+test("/api/events serves the fixture events grouped by town", async () => {
+  const res = await fetch(`${base}/api/events`);
+  assert.equal(res.status, 200);
+
+  const grouped = await res.json();
+  const towns = Object.keys(grouped);
+  assert.ok(towns.length > 0);
+  for (const town of towns) {
+    assert.ok(Array.isArray(grouped[town]) && grouped[town].length > 0);
+    for (const ev of grouped[town]) assert.equal(typeof ev.eventName, "string");
+  }
+});
+
+test("/api/events with an unknown reference is empty", async () => {
+  const res = await fetch(`${base}/api/events?reference=no-such-reference`);
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), {});
+});
+
+test("footer icons and Organization sameAs list the same profiles", async () => {
+  const html = await (await fetch(`${base}/about-us.html`)).text();
+  const footer = html.slice(html.indexOf("<footer"));
+  const icons = [...footer.matchAll(/class="social-icon" href="([^"]+)"/g)].map((m) => m[1]);
+
+  const org = [...html.matchAll(/<script type="application\/ld\+json">(.*?)<\/script>/g)]
+    .map((m) => JSON.parse(m[1]))
+    .find((obj) => obj["@type"] === "Organization");
+
+  assert.ok(icons.length > 0);
+  assert.deepEqual(org.sameAs, icons);
+});
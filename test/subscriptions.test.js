@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createSubscriptionStore } = require("../utils/subscriptions");
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reagal-subs-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "subscriptions.json");
+}
+
+test("overlapping subscribes both succeed and both are saved", async (t) => {
+  const file = tempFile(t);
+  const store = createSubscriptionStore({ file });
+
+  const results = await Promise.allSettled([
+    store.subscribe({ email: "a@example.com", townSlug: "oundle" }),
+    store.subscribe({ email: "b@example.com", townSlug: "corby" }),
+    store.subscribe({ email: "c@example.com" }),
+  ]);
+
+  assert.deepEqual(
+    results.map((r) => r.status),
+    ["fulfilled", "fulfilled", "fulfilled"]
+  );
+  const saved = JSON.parse(fs.readFileSync(file, "utf8")).subscriptions;
+  assert.deepEqual(saved.map((s) => s.email).sort(), ["a@example.com", "b@example.com", "c@example.com"]);
+  assert.deepEqual(
+    fs.readdirSync(path.dirname(file)).filter((name) => name.endsWith(".tmp")),
+    []
+  );
+});
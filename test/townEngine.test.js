@@ -0,0 +1,267 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { STATUS, buildTownIndex, localDayKey } = require("../utils/townEngine");
+
+// -------------------------
+// Helpers
+// -------------------------
+// One event at one venue with a performance at each "YYYY-MM-DDTHH:MM" (UTC)
+function event(venueName, starts, extra = {}) {
+  return {
+    eventName: "Reagal Circus",
+    venueInfo: { venueName, postcode: "" },
+    dates: starts.map((start) => ({ startISO: `${start}:00Z` })),
+    ...extra,
+  };
+}
+
+// Two shows a day, 14:00 and 17:00 UTC, for every day from..to
+function daily(venueName, from, to) {
+  const starts = [];
+  for (let d = new Date(`${from}T00:00:00Z`); d <= new Date(`${to}T00:00:00Z`); d.setUTCDate(d.getUTCDate() + 1)) {
+    const day = d.toISOString().slice(0, 10);
+    starts.push(`${day}T14:00`, `${day}T17:00`);
+  }
+  return event(venueName, starts);
+}
+
+function index(grouped, now, opts = {}) {
+  return buildTownIndex(grouped, { now: new Date(now), timeZone: "Europe/London", ...opts });
+}
+
+function bySlug(towns) {
+  return Object.fromEntries(towns.map((t) => [t.townSlug, t]));
+}
+
+// -------------------------
+// Statuses
+// -------------------------
+test("a lone town goes NEXT_STOP, IN_TOWN_NOW, FINAL_DAY, then PAST", () => {
+  const grouped = { Oundle: [daily("Fairground Field", "2027-07-02", "2027-07-08")] };
+  const at = (now, opts) => index(grouped, now, opts)[0];
+
+  assert.equal(at("2027-05-01T12:00:00Z").status, STATUS.NEXT_STOP);
+  assert.equal(at("2027-07-03T12:00:00Z").status, STATUS.IN_TOWN_NOW);
+  assert.equal(at("2027-07-08T09:00:00Z").status, STATUS.FINAL_DAY);
+  assert.equal(at("2027-07-09T12:00:00Z"), undefined);
+  assert.equal(at("2027-07-09T12:00:00Z", { includePast: true }).status, STATUS.PAST);
+});
+
+test("COMING_SOON and LATER depend on comingSoonDays", () => {
+  const grouped = {
+    Oundle: [daily("Fairground Field", "2027-07-02", "2027-07-04")],
+    Corby: [daily("West Glebe", "2027-07-16", "2027-07-18")],
+    Kettering: [daily("Wicksteed Park", "2027-09-10", "2027-09-12")],
+  };
+  const towns = bySlug(index(grouped, "2027-06-25T12:00:00Z", { comingSoonDays: 28 }));
+
+  assert.equal(towns.oundle.status, STATUS.NEXT_STOP);
+  assert.equal(towns.corby.status, STATUS.COMING_SOON);
+  assert.equal(towns.kettering.status, STATUS.LATER);
+});
+
+test("days are calendar days in the configured time zone", () => {
+  // 23:30 UTC on 24 Jul is 00:30 on 25 Jul in London (BST)
+  const grouped = { Skegness: [event("Seafront", ["2027-07-24T23:30", "2027-07-26T14:00"])] };
+  const [town] = index(grouped, "2027-07-01T12:00:00Z");
+
+  assert.equal(town.startDay, "2027-07-25");
+  assert.equal(town.startDateISO, "2027-07-25T00:30:00+01:00");
+
+  const [utc] = index(grouped, "2027-07-01T12:00:00Z", { timeZone: "UTC" });
+  assert.equal(utc.startDay, "2027-07-24");
+});
+
+test("'today' turns over at local midnight, not UTC midnight", () => {
+  const grouped = { Oundle: [daily("Fairground Field", "2027-07-02", "2027-07-08")] };
+
+  // 23:30 UTC on 7 Jul is already 8 Jul in London
+  assert.equal(localDayKey(new Date("2027-07-07T23:30:00Z"), "Europe/London"), "2027-07-08");
+  assert.equal(index(grouped, "2027-07-07T23:30:00Z")[0].status, STATUS.FINAL_DAY);
+});
+
+// -------------------------
+// Shows that finish after midnight
+// -------------------------
+test("the last show running past midnight keeps the run on FINAL_DAY until it ends", () => {
+  // 22:30 BST on 8 Jul, finishing 00:45 BST on 9 Jul
+  const late = {
+    eventName: "Late Night Circus",
+    venueInfo: { venueName: "Fairground Field" },
+    dates: [
+      { startISO: "2027-07-07T19:00:00Z" },
+      { startISO: "2027-07-08T21:30:00Z", endISO: "2027-07-08T23:45:00Z" },
+    ],
+  };
+  const grouped = { Oundle: [late] };
+
+  const during = index(grouped, "2027-07-08T23:15:00Z")[0]; // 00:15 BST, 9 Jul
+  assert.equal(during.status, STATUS.FINAL_DAY);
+  assert.equal(during.endDay, "2027-07-08");
+
+  assert.equal(index(grouped, "2027-07-08T23:50:00Z").length, 0); // 00:50 BST, show over
+});
+
+test("without an endISO a late show is assumed to run showDurationMinutes", () => {
+  const grouped = { Oundle: [event("Fairground Field", ["2027-07-08T22:00"])] }; // 23:00 BST
+
+  // 00:30 BST: inside the default 150 minutes, outside a 60-minute show
+  assert.equal(index(grouped, "2027-07-08T23:30:00Z")[0].status, STATUS.FINAL_DAY);
+  assert.equal(index(grouped, "2027-07-08T23:30:00Z", { showDurationMinutes: 60 }).length, 0);
+});
+
+// -------------------------
+// Overlapping towns and NEXT_STOP
+// -------------------------
+test("a town starting before the current run ends stays COMING_SOON; NEXT_STOP is the one after", () => {
+  const grouped = {
+    Oundle: [daily("Fairground Field", "2027-07-01", "2027-07-11")],
+    Peterborough: [daily("East of England Arena", "2027-07-06", "2027-07-08")],
+    Corby: [daily("West Glebe", "2027-07-15", "2027-07-18")],
+  };
+  const towns = bySlug(index(grouped, "2027-07-03T12:00:00Z"));
+
+  assert.equal(towns.oundle.status, STATUS.IN_TOWN_NOW);
+  assert.equal(towns.peterborough.status, STATUS.COMING_SOON);
+  assert.equal(towns.corby.status, STATUS.NEXT_STOP);
+});
+
+test("in two towns at once, NEXT_STOP follows the soonest-ending run", () => {
+  const grouped = {
+    Oundle: [daily("Fairground Field", "2027-07-01", "2027-07-20")],
+    Peterborough: [daily("East of England Arena", "2027-07-02", "2027-07-06")],
+    Corby: [daily("West Glebe", "2027-07-09", "2027-07-11")],
+  };
+  const towns = bySlug(index(grouped, "2027-07-03T12:00:00Z"));
+
+  assert.equal(towns.oundle.status, STATUS.IN_TOWN_NOW);
+  assert.equal(towns.peterborough.status, STATUS.IN_TOWN_NOW);
+  assert.equal(towns.corby.status, STATUS.NEXT_STOP);
+});
+
+test("between towns, NEXT_STOP is the first town to start", () => {
+  const grouped = {
+    Corby: [daily("West Glebe", "2027-08-09", "2027-08-11")],
+    Oundle: [daily("Fairground Field", "2027-07-20", "2027-07-25")],
+  };
+  const towns = index(grouped, "2027-07-03T12:00:00Z");
+
+  assert.deepEqual(
+    towns.map((t) => [t.townSlug, t.status]),
+    [
+      ["oundle", STATUS.NEXT_STOP],
+      ["corby", STATUS.LATER],
+    ]
+  );
+});
+
+// -------------------------
+// Final weekend
+// -------------------------
+test("finalWeekend is set from Friday when the run ends by Sunday", () => {
+  const endsSunday = { Oundle: [daily("Fairground Field", "2027-06-28", "2027-07-04")] };
+  const endsWednesday = { Oundle: [daily("Fairground Field", "2027-06-28", "2027-07-07")] };
+
+  assert.equal(index(endsSunday, "2027-07-01T12:00:00Z")[0].finalWeekend, false); // Thursday
+  assert.equal(index(endsSunday, "2027-07-02T12:00:00Z")[0].finalWeekend, true); // Friday
+  assert.equal(index(endsSunday, "2027-07-03T12:00:00Z")[0].finalWeekend, true); // Saturday
+  assert.equal(index(endsSunday, "2027-07-04T12:00:00Z")[0].status, STATUS.FINAL_DAY); // Sunday
+  assert.equal(index(endsWednesday, "2027-07-02T12:00:00Z")[0].finalWeekend, false);
+});
+
+// -------------------------
+// Multi-venue towns
+// -------------------------
+test("a town's venues and spellings make one entry covering every date", () => {
+  const grouped = {
+    "St Ives": [daily("The Meadow", "2027-07-02", "2027-07-04")],
+    "St. Ives": [daily("Riverside Park", "2027-07-06", "2027-07-08")],
+  };
+  const towns = index(grouped, "2027-06-01T12:00:00Z");
+
+  assert.equal(towns.length, 1);
+  assert.equal(towns[0].townSlug, "st-ives");
+  assert.equal(towns[0].venueCount, 2);
+  assert.equal(towns[0].startDay, "2027-07-02");
+  assert.equal(towns[0].endDay, "2027-07-08");
+  assert.equal(towns[0].events.length, 2);
+});
+
+test("an event's townSlug override sets the slug", () => {
+  const grouped = { "Peterborough (East)": [{ ...daily("Arena", "2027-07-02", "2027-07-04"), townSlug: "Peterborough" }] };
+  assert.equal(index(grouped, "2027-06-01T12:00:00Z")[0].townSlug, "peterborough");
+});
+
+// -------------------------
+// Towns visited more than once
+// -------------------------
+// Peterborough in April and again at Halloween, Skegness over the summer
+const twoVisits = {
+  Peterborough: [
+    daily("East of England Arena", "2027-04-09", "2027-04-11"),
+    daily("East of England Arena", "2027-10-29", "2027-10-31"),
+  ],
+  Skegness: [daily("Seafront", "2027-07-24", "2027-08-01")],
+};
+
+test("a gap in a town's dates splits it into separate runs", () => {
+  const [peterborough] = index(twoVisits, "2027-03-01T12:00:00Z");
+
+  assert.deepEqual(
+    peterborough.runs.map((r) => [r.startDay, r.endDay]),
+    [
+      ["2027-04-09", "2027-04-11"],
+      ["2027-10-29", "2027-10-31"],
+    ]
+  );
+  assert.equal(peterborough.startDay, "2027-04-09");
+  assert.equal(peterborough.endDay, "2027-04-11");
+});
+
+test("during the first run the town shows that run's dates", () => {
+  const towns = bySlug(index(twoVisits, "2027-04-10T12:00:00Z"));
+
+  assert.equal(towns.peterborough.status, STATUS.IN_TOWN_NOW);
+  assert.equal(towns.peterborough.finalWeekend, true);
+  assert.equal(towns.peterborough.endDay, "2027-04-11");
+  assert.equal(towns.skegness.status, STATUS.NEXT_STOP);
+});
+
+test("between runs the town is waiting for its next run, and the next town is NEXT_STOP", () => {
+  const towns = bySlug(index(twoVisits, "2027-06-01T12:00:00Z"));
+
+  assert.equal(towns.peterborough.status, STATUS.LATER);
+  assert.equal(towns.peterborough.finalWeekend, false);
+  assert.equal(towns.peterborough.startDay, "2027-10-29");
+  assert.equal(towns.peterborough.endDay, "2027-10-31");
+  assert.deepEqual(
+    towns.peterborough.runs.map((r) => r.status),
+    [STATUS.PAST, STATUS.LATER]
+  );
+  assert.equal(towns.skegness.status, STATUS.NEXT_STOP);
+
+  // Sorted by the run each town is on now
+  assert.deepEqual(
+    index(twoVisits, "2027-06-01T12:00:00Z").map((t) => t.townSlug),
+    ["skegness", "peterborough"]
+  );
+});
+
+test("after the summer run the second visit becomes NEXT_STOP", () => {
+  const towns = bySlug(index(twoVisits, "2027-08-10T12:00:00Z"));
+
+  assert.equal(towns.skegness, undefined);
+  assert.equal(towns.peterborough.status, STATUS.NEXT_STOP);
+  assert.equal(towns.peterborough.startDay, "2027-10-29");
+});
+
+test("dates within RUN_GAP_DAYS of each other stay one run", () => {
+  const grouped = {
+    Oundle: [daily("Fairground Field", "2027-07-02", "2027-07-04"), daily("Fairground Field", "2027-07-16", "2027-07-18")],
+  };
+  const [oundle] = index(grouped, "2027-07-10T12:00:00Z");
+
+  assert.equal(oundle.runs.length, 1);
+  assert.equal(oundle.status, STATUS.IN_TOWN_NOW);
+  assert.equal(oundle.endDay, "2027-07-18");
+});
@@ -0,0 +1,53 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// -------------------------
+// Atomic file writes
+// -------------------------
+// Write-then-rename, so a crash mid-write never leaves a truncated file. Every
+// write has its own temp file, and writes to the same file are queued so they
+// land one at a time in call order: the last call's content is what stays.
+// The JSON stores (subscriptions, overrides, history...) all save through here.
+
+const queues = new Map(); // resolved path -> tail of its write queue
+
+async function writeNow(file, data) {
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  try {
+    await fs.promises.writeFile(tmp, data);
+    await fs.promises.rename(tmp, file);
+  } catch (err) {
+    await fs.promises.unlink(tmp).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * @param {string} file
+ * @param {string|Buffer} data
+ * @returns {Promise<void>} resolves once this write is in place
+ */
+function writeFileAtomic(file, data) {
+  const key = path.resolve(file);
+  const run = (queues.get(key) || Promise.resolve()).then(() => writeNow(key, data));
+  const tail = run.catch(() => {});
+  queues.set(key, tail);
+  tail.then(() => {
+    if (queues.get(key) === tail) queues.delete(key);
+  });
+  return run;
+}
+
+// `value` is serialised straight away, so later changes to it don't leak into
+// a write that is still waiting its turn
+function writeJsonAtomic(file, value, { pretty = true } = {}) {
+  const body = pretty ? JSON.stringify(value, null, 2) + "\n" : JSON.stringify(value);
+  return writeFileAtomic(file, body);
+}
+
+module.exports = {
+  writeFileAtomic,
+  writeJsonAtomic,
+};
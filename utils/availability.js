@@ -0,0 +1,121 @@
+// -------------------------
+// Per-performance availability
+// -------------------------
+// Providers describe ticket availability in slightly different ways, so each
+// date's attributes are normalised into one small shape:
+//
+//   { state, remaining, previousStart }
+//
+//   state            "available" | "few_left" | "sold_out" | "cancelled"
+//   remaining        tickets left, or null when the provider doesn't say
+//   previousStart    original start (Date) of a rescheduled performance, else null
+//
+// Recognised attributes (TicketSource dates and fixtures):
+//   cancelled / status: "cancelled"          -> cancelled
+//   sold_out / status: "sold_out"            -> sold_out
+//   available: false                         -> sold_out
+//   remaining / tickets_remaining / capacity_remaining (number)
+//   previous_start / original_start          -> rescheduled from
+
+const AVAILABILITY = {
+  AVAILABLE: "available",
+  FEW_LEFT: "few_left",
+  SOLD_OUT: "sold_out",
+  CANCELLED: "cancelled",
+};
+
+const DEFAULT_FEW_LEFT_THRESHOLD = 20;
+
+function firstNumber(...values) {
+  for (const v of values) {
+    if (v === null || v === undefined || v === "") continue;
+    const n = Number(v);
+    if (Number.isFinite(n)) return Math.max(0, Math.floor(n));
+  }
+  return null;
+}
+
+/**
+ * @param {Object} attributes date attributes from the provider
+ * @param {Object} [opts]
+ * @param {number} [opts.fewLeftThreshold] "few left" at or below this many tickets (default 20)
+ */
+function normaliseAvailability(attributes = {}, { fewLeftThreshold = DEFAULT_FEW_LEFT_THRESHOLD } = {}) {
+  const status = String(attributes.status || "").toLowerCase().replace(/[\s-]+/g, "_");
+  const remaining = firstNumber(
+    attributes.remaining,
+    attributes.tickets_remaining,
+    attributes.capacity_remaining
+  );
+  const previous = attributes.previous_start || attributes.original_start || null;
+  const previousDate = previous ? new Date(previous) : null;
+
+  let state = AVAILABILITY.AVAILABLE;
+  if (attributes.cancelled === true || status === "cancelled" || status === "canceled") {
+    state = AVAILABILITY.CANCELLED;
+  } else if (
+    attributes.sold_out === true ||
+    status === "sold_out" ||
+    attributes.available === false ||
+    remaining === 0
+  ) {
+    state = AVAILABILITY.SOLD_OUT;
+  } else if (remaining !== null && remaining <= fewLeftThreshold) {
+    state = AVAILABILITY.FEW_LEFT;
+  }
+
+  return {
+    state,
+    remaining,
+    previousStart: previousDate && !Number.isNaN(previousDate.getTime()) ? previousDate : null,
+  };
+}
+
+function isBookable(state) {
+  return state === AVAILABILITY.AVAILABLE || state === AVAILABILITY.FEW_LEFT || !state;
+}
+
+// Short label for dropdowns; "" when there's nothing worth saying
+function availabilityLabel(state) {
+  switch (state) {
+    case AVAILABILITY.FEW_LEFT:
+      return "Few left";
+    case AVAILABILITY.SOLD_OUT:
+      return "Sold out";
+    case AVAILABILITY.CANCELLED:
+      return "Cancelled";
+    default:
+      return "";
+  }
+}
+
+// -------------------------
+// schema.org mapping
+// -------------------------
+// One Event covers several performances, so it takes the most hopeful state:
+// in stock if any performance is, limited if the bookable ones are all nearly
+// full, sold out only when nothing is left to book.
+function schemaAvailability(dates = []) {
+  const states = dates.map((d) => d.availability || AVAILABILITY.AVAILABLE);
+  if (states.includes(AVAILABILITY.AVAILABLE)) return "https://schema.org/InStock";
+  if (states.includes(AVAILABILITY.FEW_LEFT)) return "https://schema.org/LimitedAvailability";
+  return "https://schema.org/SoldOut";
+}
+
+function schemaEventStatus(dates = []) {
+  if (dates.length && dates.every((d) => d.availability === AVAILABILITY.CANCELLED)) {
+    return "https://schema.org/EventCancelled";
+  }
+  if (dates.some((d) => d.previousStartISO)) return "https://schema.org/EventRescheduled";
+  return "https://schema.org/EventScheduled";
+}
+
+module.exports = {
+  AVAILABILITY,
+  DEFAULT_FEW_LEFT_THRESHOLD,
+  normaliseAvailability,
+  isBookable,
+  availabilityLabel,
+  schemaAvailability,
+  schemaEventStatus,
+};
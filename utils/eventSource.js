@@ -0,0 +1,222 @@
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+
+// -------------------------
+// Event providers
+// -------------------------
+// Every provider exposes the same calls and returns TicketSource-shaped
+// resources ({ id, attributes, links }), so buildGroupedEvents never needs to
+// know where the data came from:
+//   listEvents(reference)        -> [event]
+//   listVenues(event)            -> [venue]
+//   listDates(event)             -> [date]
+//   listTicketTypes(event, date) -> [ticket type] (name + price, see utils/prices.js)
+
+const TICKETSOURCE_API_URL = "https://api.ticketsource.io/events";
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "..", "fixtures", "events");
+
+function pLimit(concurrency) {
+  let activeCount = 0;
+  const queue = [];
+  const next = () => {
+    activeCount--;
+    if (queue.length > 0) queue.shift()();
+  };
+  const run = (fn, resolve, reject) => {
+    activeCount++;
+    Promise.resolve()
+      .then(fn)
+      .then((val) => {
+        resolve(val);
+        next();
+      })
+      .catch((err) => {
+        reject(err);
+        next();
+      });
+  };
+  return (fn) =>
+    new Promise((resolve, reject) => {
+      if (activeCount < concurrency) run(fn, resolve, reject);
+      else queue.push(run.bind(null, fn, resolve, reject));
+    });
+}
+
+function isRetryableAxiosError(err) {
+  const status = err?.response?.status;
+  if (!status) return true; // network/DNS/timeout
+  return status === 429 || (status >= 500 && status <= 599);
+}
+
+// -------------------------
+// TicketSource (live API)
+// -------------------------
+function createTicketSourceProvider({
+  apiKey,
+  apiUrl = TICKETSOURCE_API_URL,
+  ticketTypesUrl = "",
+  timeoutMs = 12000,
+  concurrency = 6,
+  maxRetries = 2,
+} = {}) {
+  // Fail fast in production if key is missing (prevents silent breakage)
+  if (!apiKey) {
+    const msg =
+      "Missing TICKETSOURCE_API_KEY env var. Set it in Render (and in .env locally if needed).";
+    if (process.env.NODE_ENV === "production") {
+      throw new Error(msg);
+    } else {
+      console.warn(`[WARN] ${msg}`);
+    }
+  }
+
+  const limit = pLimit(Math.max(1, concurrency));
+  const headers = { Authorization: `Bearer ${apiKey}` };
+
+  async function getWithRetry(url, config = {}, attempt = 0) {
+    try {
+      return await axios.get(url, { timeout: timeoutMs, headers, ...config });
+    } catch (err) {
+      if (attempt >= maxRetries || !isRetryableAxiosError(err)) throw err;
+
+      const retryAfter = Number(err?.response?.headers?.["retry-after"] || 0);
+      const backoff = retryAfter
+        ? retryAfter * 1000
+        : [600, 1400, 2600][attempt] || 2600;
+
+      await new Promise((r) => setTimeout(r, backoff));
+      return getWithRetry(url, config, attempt + 1);
+    }
+  }
+
+  async function listEvents(reference = null) {
+    const allEvents = [];
+    let nextUrl = apiUrl;
+
+    while (nextUrl) {
+      const params = reference ? { reference } : {};
+      const response = await getWithRetry(nextUrl, { params });
+      allEvents.push(...response.data.data);
+      nextUrl = response.data.links?.next || null;
+    }
+
+    return allEvents;
+  }
+
+  // Ticket types hang off each date. Payloads without the link only get prices
+  // when `ticketTypesUrl` is configured ("{dateId}" is replaced); otherwise
+  // they're skipped, with one warning rather than guessing an endpoint.
+  let warnedNoTicketTypesUrl = false;
+  function ticketTypesUrlFor(date) {
+    if (date?.links?.ticket_types) return date.links.ticket_types;
+    if (!date?.id) return null;
+    if (ticketTypesUrl) return ticketTypesUrl.replace("{dateId}", encodeURIComponent(date.id));
+    if (!warnedNoTicketTypesUrl) {
+      warnedNoTicketTypesUrl = true;
+      console.warn("[WARN] TicketSource dates carry no ticket_types link and TS_TICKET_TYPES_URL is not set; prices are skipped.");
+    }
+    return null;
+  }
+
+  return {
+    name: "ticketsource",
+    listEvents,
+    listVenues: (event) => limit(() => getWithRetry(event.links.venues)).then((r) => r.data.data),
+    listDates: (event) => limit(() => getWithRetry(event.links.dates)).then((r) => r.data.data),
+    listTicketTypes: (event, date) => {
+      const url = ticketTypesUrlFor(date);
+      if (!url) return Promise.resolve([]);
+      return limit(() => getWithRetry(url)).then((r) => r.data.data || []);
+    },
+  };
+}
+
+// -------------------------
+// Fixtures (local JSON files)
+// -------------------------
+// Each *.json file in the directory holds one event, or an array of events, in
+// TicketSource shape with its venues and dates inlined:
+//   { "id": "...", "attributes": { "name", "reference", ... },
+//     "venues": [{ "attributes": { "name", "address": { ... } } }],
+//     "dates": [{ "attributes": { "start": "2027-04-02T14:00:00+01:00" },
+//                 "links": { "book_now": "https://..." } }],
+//     "ticket_types": [{ "attributes": { "name": "Adult", "price": 14 } }] }
+// Ticket types can sit on the event (every date) or on a single date.
+// Files are re-read on every listEvents() call so edits show up without a restart.
+function createFixtureProvider({ dir = DEFAULT_FIXTURES_DIR } = {}) {
+  function loadEvents() {
+    let files;
+    try {
+      files = fs.readdirSync(dir).filter((f) => f.toLowerCase().endsWith(".json")).sort();
+    } catch (err) {
+      throw new Error(`Event fixtures directory not readable: ${dir} (${err.message})`);
+    }
+
+    const events = [];
+    for (const file of files) {
+      const raw = fs.readFileSync(path.join(dir, file), "utf8");
+      let parsed;
+      try {
+        parsed = JSON.parse(raw);
+      } catch (err) {
+        throw new Error(`Invalid JSON in event fixture ${file}: ${err.message}`);
+      }
+      const list = Array.isArray(parsed) ? parsed : [parsed];
+      list.forEach((ev, i) => {
+        events.push({ ...ev, id: ev.id || `${path.basename(file, ".json")}-${i}` });
+      });
+    }
+    return events;
+  }
+
+  async function listEvents(reference = null) {
+    const ref = reference ? String(reference).toLowerCase() : null;
+    const events = loadEvents();
+    if (!ref) return events;
+    return events.filter((ev) => ev.attributes?.reference?.toLowerCase() === ref);
+  }
+
+  return {
+    name: "fixtures",
+    listEvents,
+    listVenues: async (event) => event.venues || [],
+    listDates: async (event) => event.dates || [],
+    listTicketTypes: async (event, date) => date?.ticket_types || event.ticket_types || [],
+  };
+}
+
+/**
+ * Pick the event provider from env:
+ * - EVENT_SOURCE=ticketsource (default) uses the live API (TICKETSOURCE_API_KEY, TS_* knobs;
+ *   TS_TICKET_TYPES_URL, e.g. "https://…/dates/{dateId}/ticket-types", for dates without the link)
+ * - EVENT_SOURCE=fixtures reads JSON files from EVENT_FIXTURES_DIR (default fixtures/events)
+ */
+function createEventProvider(env = process.env) {
+  const source = String(env.EVENT_SOURCE || "ticketsource").trim().toLowerCase();
+
+  if (source === "ticketsource") {
+    return createTicketSourceProvider({
+      apiKey: env.TICKETSOURCE_API_KEY,
+      ticketTypesUrl: String(env.TS_TICKET_TYPES_URL || "").trim(),
+      timeoutMs: Number(env.TS_TIMEOUT_MS || 12000),
+      concurrency: Number(env.TS_CONCURRENCY || 6),
+      maxRetries: Number(env.TS_MAX_RETRIES || 2),
+    });
+  }
+
+  if (source === "fixtures") {
+    const dir = env.EVENT_FIXTURES_DIR
+      ? path.resolve(env.EVENT_FIXTURES_DIR)
+      : DEFAULT_FIXTURES_DIR;
+    return createFixtureProvider({ dir });
+  }
+
+  throw new Error(`Unknown EVENT_SOURCE "${source}" (expected "ticketsource" or "fixtures").`);
+}
+
+module.exports = {
+  createEventProvider,
+  createTicketSourceProvider,
+  createFixtureProvider,
+};
@@ -0,0 +1,45 @@
+const fs = require("fs");
+const path = require("path");
+const { writeJsonAtomic } = require("./atomicWrite");
+
+// -------------------------
+// On-disk snapshots of grouped events
+// -------------------------
+// One file per key holding { key, ts, data }, so a restart can warm the
+// in-memory dataset from the last good fetch. server.js only saves "__all__"
+// (the one dataset; reference views are derived from it in memory).
+
+function snapshotFile(dir, key) {
+  const safe = String(key).toLowerCase().replace(/[^a-z0-9_-]+/g, "_");
+  return path.join(dir, `${safe}.json`);
+}
+
+function loadEventSnapshots(dir) {
+  const cache = new Map();
+
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter((f) => f.endsWith(".json"));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn("Events snapshot dir not readable:", dir, err.message);
+    return cache;
+  }
+
+  for (const file of files) {
+    try {
+      const snap = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      if (!snap || !snap.key || !snap.ts || typeof snap.data !== "object") continue;
+      cache.set(snap.key, { ts: snap.ts, data: snap.data });
+    } catch (err) {
+      console.warn("Skipping unreadable events snapshot:", file, err.message);
+    }
+  }
+
+  return cache;
+}
+
+async function saveEventSnapshot(dir, key, entry) {
+  await writeJsonAtomic(snapshotFile(dir, key), { key, ts: entry.ts, data: entry.data }, { pretty: false });
+}
+
+module.exports = { loadEventSnapshots, saveEventSnapshot };
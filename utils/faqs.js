@@ -0,0 +1,150 @@
+const fs = require("fs");
+const { slugifyTown } = require("./townEngine");
+
+// -------------------------
+// FAQs
+// -------------------------
+// Questions and answers are content in data/faqs.json, each scoped to where
+// it applies:
+//   {
+//     "faqs": [
+//       { "id": "booking", "q": "Do I need to book?", "a": "We recommend ..." },
+//       { "q": "Is the Halloween show scary for under-5s?", "a": "...", "reference": "Halloween" },
+//       { "q": "Is there parking at Skegness?", "a": "...", "town": "skegness" },
+//       { "q": "...", "a": "...", "venue": "<venue id | postcode | venue name>" }
+//     ]
+//   }
+// No scope = every town page. `reference` = towns with that show type,
+// `town` = one town slug, `venue` = towns where that venue is on.
+// `a` is inline HTML (links are fine); the FAQPage schema gets its text.
+// `on` limits an entry to town pages and/or static pages by name, e.g.
+// ["towns", "plan-your-visit"]; without it an entry shows everywhere.
+//
+// `id` (default: made from the question) lets a narrower scope replace a
+// broader one: a town's "parking" answer wins over a global "parking" one.
+// Town pages also pass in answers generated from live data (the venue
+// address, parking from the venue profile...) under the same kind of ids;
+// those replace global entries and give way to reference, town and venue ones.
+// The file is re-read when it changes.
+
+const SCOPE_RANK = { global: 0, generated: 1, reference: 2, town: 3, venue: 4 };
+
+function normaliseKey(key) {
+  return String(key || "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+// "Is there parking at Skegness?" -> "is-there-parking-at-skegness"
+function faqId(question) {
+  return String(question || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function cleanFaq(raw = {}) {
+  const q = String(raw.q || "").trim();
+  const a = String(raw.a || "").trim();
+  if (!q || !a) return null;
+
+  const faq = { id: faqId(raw.id || q), q, a, scope: "global" };
+  if (raw.venue) {
+    faq.scope = "venue";
+    faq.venue = normaliseKey(raw.venue);
+  } else if (raw.town) {
+    faq.scope = "town";
+    faq.town = slugifyTown(raw.town);
+  } else if (raw.reference) {
+    faq.scope = "reference";
+    faq.reference = String(raw.reference).trim().toLowerCase();
+  }
+  if (Array.isArray(raw.on)) faq.on = raw.on.map((name) => String(name).trim()).filter(Boolean);
+  return faq;
+}
+
+// One entry per id, the most specific winning. Listed most specific first
+// (within a scope, in file order), or just in file order.
+function resolveFaqs(entries, { fileOrder = false } = {}) {
+  const byId = new Map();
+  entries.forEach((faq, index) => {
+    const rank = SCOPE_RANK[faq.scope];
+    const known = byId.get(faq.id);
+    if (!known || rank > known.rank) byId.set(faq.id, { faq, rank, index });
+  });
+  return [...byId.values()]
+    .sort((x, y) => (fileOrder ? 0 : y.rank - x.rank) || x.index - y.index)
+    .map((x) => x.faq);
+}
+
+/**
+ * @param {Object} opts
+ * @param {string} opts.file data/faqs.json
+ */
+function createFaqStore({ file }) {
+  let cache = { mtimeMs: null, faqs: [] };
+
+  function all() {
+    let mtimeMs;
+    try {
+      ({ mtimeMs } = fs.statSync(file));
+    } catch (err) {
+      if (err.code !== "ENOENT") console.warn("FAQs file not readable:", file, err.message);
+      return [];
+    }
+    if (cache.mtimeMs === mtimeMs) return cache.faqs;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(file, "utf8"));
+      cache = { mtimeMs, faqs: (data.faqs || []).map(cleanFaq).filter(Boolean) };
+    } catch (err) {
+      // Keep serving the last good copy while the file is being fixed
+      console.warn("FAQs file not readable:", file, err.message);
+    }
+    return cache.faqs;
+  }
+
+  const shownOn = (faq, name) => !faq.on || faq.on.includes(name);
+
+  /**
+   * The FAQs for one town page.
+   * @param {Object} opts
+   * @param {string} opts.townSlug
+   * @param {string[]} [opts.references] show types on in the town ("General", "Halloween"...)
+   * @param {Object[]} [opts.venues] venueInfo for each venue in the town
+   * @param {Object[]} [opts.generated] { id, q, a } answers built from live data
+   * @returns {Array<{ id: string, q: string, a: string }>}
+   */
+  function forTown({ townSlug, references = [], venues = [], generated = [] }) {
+    const refs = new Set(references.map((r) => String(r || "").toLowerCase()).filter(Boolean));
+    const venueKeys = new Set(
+      venues.flatMap((v) => [v.venueId, v.postcode, v.venueName]).map(normaliseKey).filter(Boolean)
+    );
+
+    const matching = all().filter((faq) => {
+      if (!shownOn(faq, "towns")) return false;
+      if (faq.scope === "venue") return venueKeys.has(faq.venue);
+      if (faq.scope === "town") return faq.town === townSlug;
+      if (faq.scope === "reference") return refs.has(faq.reference);
+      return true;
+    });
+
+    const live = generated.map((x) => ({ ...x, id: faqId(x.id || x.q), scope: "generated" }));
+    return resolveFaqs([...matching, ...live]);
+  }
+
+  /**
+   * The FAQs for a static page (see {{{FAQS}}} in views/pages): global and
+   * per-show entries, never town or venue ones.
+   */
+  function forPage(name) {
+    return resolveFaqs(
+      all().filter((faq) => (faq.scope === "global" || faq.scope === "reference") && shownOn(faq, name)),
+      { fileOrder: true }
+    );
+  }
+
+  return { file, all, forTown, forPage };
+}
+
+module.exports = {
+  createFaqStore,
+};
@@ -0,0 +1,214 @@
+const fs = require("fs");
+const path = require("path");
+const { readImageSize } = require("./imageSize");
+
+// -------------------------
+// Gallery manifest
+// -------------------------
+// Built by scanning the image folders under public/, so adding a photo is just
+// dropping a descriptively named file in the right folder:
+//   public/gallery/                  the main gallery (albums from keywords)
+//   public/about-us/<section>/       the about pages (album from the folder)
+//
+// The same photo copied into several folders (same file name and size) is one
+// entry with every folder's albums; the first folder in GALLERY_FOLDERS gives
+// its src.
+//
+// Each entry: { id, src, caption, alt, albums: [...], width, height }.
+// Captions come from the file name; data/gallery.json (edited by hand) can
+// correct a caption, give better alt text, change albums or hide a photo:
+//   { "images": { "<file name without extension>": {
+//       "caption": "...", "alt": "...", "albums": ["animals"], "hidden": true } } }
+
+const GALLERY_ALBUMS = [
+  { id: "animals", label: "Our animals" },
+  { id: "heritage", label: "Our heritage" },
+  { id: "transport", label: "Trucks & transport" },
+  { id: "life-on-the-road", label: "Life on the road" },
+  { id: "who-we-are", label: "Who we are" },
+];
+
+const GALLERY_FOLDERS = [
+  { dir: "gallery", albums: [] },
+  { dir: "about-us/our-beautiful-animals", albums: ["animals"] },
+  { dir: "about-us/our-heritage", albums: ["heritage"] },
+  { dir: "about-us/our-trucks-and-transport", albums: ["transport"] },
+  { dir: "about-us/life-on-the-road", albums: ["life-on-the-road"] },
+  { dir: "about-us/who-we-are", albums: ["who-we-are"] },
+];
+
+// Albums a photo joins from words in its file name, wherever it lives
+const ALBUM_KEYWORDS = {
+  animals: /\b(horses?|pon(y|ies)|donkey|camel|dogs?|stallions?|cob|mouse)\b/,
+  transport: /\b(trucks?|trailers?|wagons?|transport|erf)\b/,
+  "life-on-the-road": /\b(build up|packing|crew|digger|stakes|lacing|rainbow|snowfall)\b/,
+};
+
+const IMAGE_EXTENSIONS = new Set([".webp", ".jpg", ".jpeg", ".png"]);
+
+// Words that keep their capitals in a caption
+const PROPER_WORDS = new Map(
+  [
+    "Reagal", "Roberts", "Bros", "Rosaire", "Elvis", "Lola", "Carolyn", "John", "Jana", "Peter", "Sandow",
+    "Amanda", "Paul", "Toby", "Jonco", "Gypsy", "Tuna", "Frosty", "Cookie", "Teddy", "Buzz", "Gizmo", "George",
+    "Warren", "Angel", "Bojilov", "Cammilla", "Spider", "Austin", "Jacko", "Fosset", "Mama", "Miss", "Mayor",
+    "Skegness", "Peterborough", "Halloween", "Shetland", "Andalusian", "Rollason", "ERF",
+  ].map((w) => [w.toLowerCase(), w])
+);
+
+// Names made of ordinary words
+const PROPER_PHRASES = [
+  [/\bwonder circus\b/gi, "Wonder Circus"],
+  [/\bbig night out\b/gi, "Big Night Out"],
+  [/\breagal events\b/gi, "Reagal Events"],
+  [/\brosaire circus\b/gi, "Rosaire Circus"],
+];
+
+/**
+ * "miss-carolyn-roberts-on-horse-back.webp" -> "Miss Carolyn Roberts on horse back"
+ */
+function captionFromFileName(fileName) {
+  const words = path
+    .basename(fileName, path.extname(fileName))
+    .replace(/[-_]+/g, " ")
+    .trim()
+    .split(/\s+/)
+    .map((w) => {
+      const lower = w.toLowerCase();
+      return PROPER_WORDS.get(lower) || lower;
+    });
+
+  let caption = words.join(" ");
+  for (const [re, replacement] of PROPER_PHRASES) caption = caption.replace(re, replacement);
+  return caption.charAt(0).toUpperCase() + caption.slice(1);
+}
+
+function albumsFromFileName(fileName) {
+  const words = path.basename(fileName, path.extname(fileName)).replace(/[-_]+/g, " ").toLowerCase();
+  return Object.keys(ALBUM_KEYWORDS).filter((album) => ALBUM_KEYWORDS[album].test(words));
+}
+
+function readOverrides(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8")).images || {};
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn("Gallery overrides not readable:", file, err.message);
+    return {};
+  }
+}
+
+/**
+ * Scan the folders and build the manifest (hidden photos left out).
+ * @returns {Array} entries in folder order, then by file name
+ */
+function buildGalleryManifest({ publicDir, overridesFile, folders = GALLERY_FOLDERS }) {
+  const overrides = overridesFile ? readOverrides(overridesFile) : {};
+  const byId = new Map();
+  const knownAlbums = new Set(GALLERY_ALBUMS.map((a) => a.id));
+
+  for (const folder of folders) {
+    let files;
+    try {
+      files = fs.readdirSync(path.join(publicDir, folder.dir));
+    } catch (err) {
+      if (err.code !== "ENOENT") console.warn("Gallery folder not readable:", folder.dir, err.message);
+      continue;
+    }
+
+    for (const file of files.sort()) {
+      if (!IMAGE_EXTENSIONS.has(path.extname(file).toLowerCase())) continue;
+      const full = path.join(publicDir, folder.dir, file);
+      const { size } = fs.statSync(full);
+      const baseId = path.basename(file, path.extname(file)).toLowerCase();
+      const albums = [...folder.albums, ...albumsFromFileName(file)];
+
+      const existing = byId.get(baseId);
+      if (existing && existing.bytes === size) {
+        existing.albums = [...new Set([...existing.albums, ...albums])];
+        continue;
+      }
+
+      // Same name, different photo: keep both
+      let id = baseId;
+      for (let n = 2; byId.has(id); n++) id = `${baseId}-${n}`;
+
+      const dims = readImageSize(full) || {};
+      byId.set(id, {
+        id,
+        src: `/${folder.dir}/${file}`,
+        bytes: size,
+        albums,
+        width: dims.width || null,
+        height: dims.height || null,
+      });
+    }
+  }
+
+  const manifest = [];
+  for (const entry of byId.values()) {
+    const fix = overrides[entry.id] || {};
+    if (fix.hidden) continue;
+
+    const caption = String(fix.caption || "").trim() || captionFromFileName(entry.src);
+    const albums = Array.isArray(fix.albums) ? fix.albums : entry.albums;
+    manifest.push({
+      id: entry.id,
+      src: entry.src,
+      caption,
+      alt: String(fix.alt || "").trim() || caption,
+      albums: [...new Set(albums)].filter((a) => knownAlbums.has(a)),
+      width: entry.width,
+      height: entry.height,
+    });
+  }
+  return manifest;
+}
+
+/**
+ * Cached manifest, rebuilt every `ttlMs` so new files and edits to the
+ * overrides file show up without a restart.
+ */
+function createGallery({ publicDir, overridesFile, ttlMs = 10 * 60 * 1000 }) {
+  let cache = { ts: 0, manifest: null };
+
+  function manifest() {
+    if (!cache.manifest || Date.now() - cache.ts > ttlMs) {
+      cache = { ts: Date.now(), manifest: buildGalleryManifest({ publicDir, overridesFile }) };
+    }
+    return cache.manifest;
+  }
+
+  /**
+   * One page of the manifest.
+   * @param {Object} opts
+   * @param {string} [opts.album] only photos in this album
+   * @param {number} [opts.page] 1-based
+   * @param {number} [opts.limit] photos per page
+   */
+  function query({ album = null, page = 1, limit = 24 } = {}) {
+    const all = manifest();
+    const images = album ? all.filter((img) => img.albums.includes(album)) : all;
+    const pages = Math.max(1, Math.ceil(images.length / limit));
+    const current = Math.min(Math.max(1, page), pages);
+
+    return {
+      album,
+      total: images.length,
+      page: current,
+      pages,
+      limit,
+      albums: GALLERY_ALBUMS.map((a) => ({ ...a, count: all.filter((img) => img.albums.includes(a.id)).length })),
+      images: images.slice((current - 1) * limit, current * limit),
+    };
+  }
+
+  return { manifest, query };
+}
+
+module.exports = {
+  GALLERY_ALBUMS,
+  GALLERY_FOLDERS,
+  buildGalleryManifest,
+  captionFromFileName,
+  createGallery,
+};
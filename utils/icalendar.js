@@ -0,0 +1,87 @@
+// -------------------------
+// iCalendar (RFC 5545) builder
+// -------------------------
+// Minimal VCALENDAR/VEVENT writer for the tour feeds. Times are written in UTC
+// ("...Z"), so no VTIMEZONE block is needed and every calendar app agrees on
+// the instant.
+
+function escapeIcsText(str) {
+  return String(str || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// 20270402T130000Z
+function formatIcsDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// Lines longer than 75 octets are folded with CRLF + space (never splitting a UTF-8 character)
+function foldLine(line) {
+  const out = [];
+  let current = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const len = Buffer.byteLength(ch, "utf8");
+    const limit = out.length ? 74 : 75; // continuation lines start with a space
+    if (bytes + len > limit) {
+      out.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += ch;
+    bytes += len;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+/**
+ * @param {Object} cal
+ * @param {string} cal.name          calendar name shown when subscribing
+ * @param {string} [cal.description]
+ * @param {string} [cal.timeZone]    hint for clients (X-WR-TIMEZONE)
+ * @param {Array}  cal.events        [{ uid, start, end, summary, description, location, url, cancelled }]
+ * @param {Date}   [cal.now]         DTSTAMP for every VEVENT
+ * @returns {string} the .ics body (CRLF line endings)
+ */
+function buildCalendar({ name, description = "", timeZone = "", events = [], now = new Date() }) {
+  const stamp = formatIcsDate(now);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Reagal Events//Tour Calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    ...(description ? [`X-WR-CALDESC:${escapeIcsText(description)}`] : []),
+    ...(timeZone ? [`X-WR-TIMEZONE:${timeZone}`] : []),
+    // Ask subscribed calendars to re-poll a few times a day
+    "REFRESH-INTERVAL;VALUE=DURATION:PT6H",
+    "X-PUBLISHED-TTL:PT6H",
+  ];
+
+  for (const ev of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${ev.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatIcsDate(ev.start)}`,
+      `DTEND:${formatIcsDate(ev.end)}`,
+      `SUMMARY:${escapeIcsText(ev.summary)}`,
+      ...(ev.location ? [`LOCATION:${escapeIcsText(ev.location)}`] : []),
+      ...(ev.description ? [`DESCRIPTION:${escapeIcsText(ev.description)}`] : []),
+      ...(ev.url ? [`URL:${ev.url}`] : []),
+      ev.cancelled ? "STATUS:CANCELLED" : "STATUS:CONFIRMED",
+      "TRANSP:OPAQUE",
+      "END:VEVENT"
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = { buildCalendar, escapeIcsText, formatIcsDate };
@@ -0,0 +1,354 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const axios = require("axios");
+const { readImageSize, imageSizeFromBuffer } = require("./imageSize");
+
+// -------------------------
+// Responsive images
+// -------------------------
+// On-demand resizing behind /img/<width>/<format>?src=<source>:
+//   source  a file under public/ ("/banner1.jpg") or an https URL on an
+//           allowed host (TicketSource event thumbnails)
+//   width   one of IMAGE_WIDTHS (never enlarged past the original)
+//   format  webp or avif
+// Every variant is written to cacheDir once and served from disk after that.
+// Only one resize runs at a time so a cold cache can't swamp a small instance.
+//
+// Pages get markup from srcsetFor() / pictureHtml(): srcset + sizes, the
+// original's width/height (no layout shift) and a ~16px blurred copy inlined
+// as the background until the real image arrives. Placeholders are made in the
+// background and kept in cacheDir/placeholders.json; until one exists the
+// markup just goes without.
+
+const IMAGE_WIDTHS = [320, 640, 960, 1280, 1920];
+
+const IMAGE_FORMATS = {
+  webp: { mime: "image/webp", encode: (img) => img.webp({ quality: 72, effort: 4 }) },
+  avif: { mime: "image/avif", encode: (img) => img.avif({ quality: 50, effort: 2 }) },
+};
+
+const SOURCE_EXTENSIONS = new Set([".jpg", ".jpeg", ".png", ".webp"]);
+const PLACEHOLDER_WIDTH = 16;
+const REMOTE_MAX_BYTES = 15 * 1024 * 1024;
+const REMOTE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const RETRY_AFTER_MS = 10 * 60 * 1000; // a source that failed isn't retried for this long
+
+// A bad or missing source: the route answers with err.statusCode
+function sourceError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function sha1(str) {
+  return crypto.createHash("sha1").update(str).digest("hex");
+}
+
+function isRemote(src) {
+  return /^https?:\/\//i.test(String(src || ""));
+}
+
+/**
+ * "/img/640/webp?src=%2Fbanner1.jpg"
+ */
+function imageUrl(src, width, format = "webp") {
+  return `/img/${width}/${format}?src=${encodeURIComponent(src)}`;
+}
+
+/**
+ * @param {Object} opts
+ * @param {string} opts.publicDir
+ * @param {string} opts.cacheDir where variants, remote originals and placeholders live
+ * @param {string[]} [opts.remoteHosts] hosts (and their subdomains) that may be proxied
+ */
+function createImagePipeline({ publicDir, cacheDir, remoteHosts = [] }) {
+  const root = path.resolve(publicDir);
+  const placeholderFile = path.join(cacheDir, "placeholders.json");
+  const hosts = remoteHosts.map((h) => String(h).trim().toLowerCase()).filter(Boolean);
+
+  // src -> { key, width, height, placeholder }
+  const meta = new Map();
+  const inFlight = new Map();
+  const failedAt = new Map();
+  let queue = Promise.resolve();
+  let saveTimer = null;
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(placeholderFile, "utf8"));
+    for (const [src, m] of Object.entries(saved.images || {})) meta.set(src, m);
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn("Image placeholders not readable:", placeholderFile, err.message);
+  }
+
+  // One sharp job at a time
+  function enqueue(job) {
+    const run = queue.then(job, job);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  // Same key -> one promise, however many requests ask at once
+  function once(key, job) {
+    if (!inFlight.has(key)) {
+      inFlight.set(
+        key,
+        job().finally(() => inFlight.delete(key))
+      );
+    }
+    return inFlight.get(key);
+  }
+
+  function saveMetaSoon() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      const images = {};
+      for (const [src, m] of meta) if (m.placeholder) images[src] = m;
+      const tmp = `${placeholderFile}.${process.pid}.tmp`;
+      try {
+        fs.mkdirSync(cacheDir, { recursive: true });
+        fs.writeFileSync(tmp, JSON.stringify({ images }) + "\n", "utf8");
+        fs.renameSync(tmp, placeholderFile);
+      } catch (err) {
+        console.warn("Could not save image placeholders:", err.message);
+      }
+    }, 2000);
+    saveTimer.unref?.();
+  }
+
+  function isAllowedHost(hostname) {
+    const host = hostname.toLowerCase();
+    return hosts.some((h) => host === h || host.endsWith(`.${h}`));
+  }
+
+  // "/banner1.jpg" -> absolute path inside public/, or null
+  function localFile(src) {
+    if (typeof src !== "string" || !src.startsWith("/") || src.startsWith("//")) return null;
+    let rel;
+    try {
+      rel = decodeURIComponent(src.split(/[?#]/)[0]);
+    } catch (err) {
+      return null;
+    }
+    if (rel.split("/").some((part) => part.startsWith("."))) return null;
+    if (!SOURCE_EXTENSIONS.has(path.extname(rel).toLowerCase())) return null;
+
+    const file = path.resolve(root, `.${rel}`);
+    if (!file.startsWith(root + path.sep)) return null;
+    return file;
+  }
+
+  // Whether /img would serve resized copies of `src` (same checks as resolveSource)
+  function canResize(src) {
+    if (!isRemote(src)) return Boolean(localFile(src));
+    try {
+      const url = new URL(src);
+      return url.protocol === "https:" && isAllowedHost(url.hostname);
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Where the original lives on disk, plus a key that changes when it does.
+   * Remote originals are downloaded into cacheDir first.
+   */
+  async function resolveSource(src) {
+    if (isRemote(src)) {
+      let url;
+      try {
+        url = new URL(src);
+      } catch (err) {
+        throw sourceError("Invalid image URL");
+      }
+      if (url.protocol !== "https:" || !isAllowedHost(url.hostname)) {
+        throw sourceError("Image host not allowed");
+      }
+
+      const file = path.join(cacheDir, "remote", sha1(url.href));
+      const stat = await fs.promises.stat(file).catch(() => null);
+      if (!stat || Date.now() - stat.mtimeMs > REMOTE_TTL_MS) {
+        await once(`remote:${file}`, () => downloadRemote(url.href, file));
+      }
+      return { file, key: sha1(url.href) };
+    }
+
+    const file = localFile(src);
+    if (!file) throw sourceError("Invalid image path");
+    const stat = await fs.promises.stat(file).catch(() => null);
+    if (!stat || !stat.isFile()) throw sourceError("Image not found", 404);
+    return { file, key: sha1(`${src}|${stat.size}|${stat.mtimeMs}`) };
+  }
+
+  async function downloadRemote(url, file) {
+    const res = await axios.get(url, {
+      responseType: "arraybuffer",
+      timeout: 10000,
+      maxContentLength: REMOTE_MAX_BYTES,
+      maxRedirects: 0, // a redirect could leave the allowed hosts
+      validateStatus: () => true,
+    });
+    if (res.status !== 200) throw sourceError(`Image host responded ${res.status}`, 502);
+
+    const buf = Buffer.from(res.data);
+    if (!imageSizeFromBuffer(buf)) throw sourceError("Not an image", 502);
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, buf);
+    await fs.promises.rename(tmp, file);
+  }
+
+  /**
+   * Path of the resized copy on disk (made on first request).
+   * @returns {Promise<{ file: string, mime: string }>}
+   */
+  async function variant({ src, width, format }) {
+    const spec = IMAGE_FORMATS[format];
+    if (!spec) throw sourceError("Unsupported format");
+    if (!IMAGE_WIDTHS.includes(width)) throw sourceError("Unsupported width");
+
+    const source = await resolveSource(src);
+    const out = path.join(cacheDir, "variants", `${source.key}-${width}.${format}`);
+    if (fs.existsSync(out)) return { file: out, mime: spec.mime };
+
+    await once(out, () =>
+      enqueue(async () => {
+        const sharp = require("sharp");
+        const buf = await spec.encode(sharp(source.file).rotate().resize({ width, withoutEnlargement: true })).toBuffer();
+        await fs.promises.mkdir(path.dirname(out), { recursive: true });
+        const tmp = `${out}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, buf);
+        await fs.promises.rename(tmp, out);
+      })
+    );
+    return { file: out, mime: spec.mime };
+  }
+
+  /**
+   * Width, height and blur placeholder for `src`, making them if needed.
+   * Resolves null when the image can't be read.
+   */
+  async function prepare(src) {
+    if (Date.now() - (failedAt.get(src) || 0) < RETRY_AFTER_MS) return null;
+    try {
+      const source = await resolveSource(src);
+      const known = meta.get(src);
+      if (known && known.key === source.key && known.placeholder) return known;
+
+      return await once(`meta:${src}`, () =>
+        enqueue(async () => {
+          const sharp = require("sharp");
+          const dims = readImageSize(source.file) || {};
+          const tiny = await sharp(source.file)
+            .rotate()
+            .resize({ width: PLACEHOLDER_WIDTH })
+            .blur(1)
+            .webp({ quality: 40 })
+            .toBuffer();
+          const m = {
+            key: source.key,
+            width: dims.width || null,
+            height: dims.height || null,
+            placeholder: `data:image/webp;base64,${tiny.toString("base64")}`,
+          };
+          meta.set(src, m);
+          saveMetaSoon();
+          return m;
+        })
+      );
+    } catch (err) {
+      failedAt.set(src, Date.now());
+      if (!err.statusCode) console.warn("Image placeholder failed:", src, err.message);
+      return null;
+    }
+  }
+
+  // Make placeholders for `srcs` in the background (startup warm-up)
+  function warm(srcs) {
+    return srcs.reduce((p, src) => p.then(() => prepare(src)), Promise.resolve());
+  }
+
+  /**
+   * What's known about `src` right now, without waiting: width/height (read
+   * from the file header for local images) and the placeholder if it has been
+   * made. Queues the placeholder when it hasn't.
+   */
+  function describe(src) {
+    const known = meta.get(src);
+    let width = known?.width || null;
+    let height = known?.height || null;
+
+    const file = isRemote(src) ? null : localFile(src);
+    if (file && !width) {
+      try {
+        const dims = readImageSize(file);
+        if (dims) ({ width, height } = dims);
+      } catch (err) {
+        return { width: null, height: null, placeholder: null };
+      }
+    }
+
+    if (!known?.placeholder && canResize(src)) prepare(src);
+    return { width, height, placeholder: known?.placeholder || null };
+  }
+
+  /**
+   * "/img/320/webp?src=… 320w, /img/640/webp?src=… 640w, …" up to the
+   * original's width (every width when it isn't known yet). Empty for sources
+   * /img won't take, so the browser just loads `src` itself.
+   */
+  function srcsetFor(src, { format = "webp", width = null } = {}) {
+    if (!canResize(src)) return "";
+    const natural = width || describe(src).width;
+    const widths = natural ? IMAGE_WIDTHS.filter((w) => w < natural) : IMAGE_WIDTHS.slice();
+    const cap = natural && IMAGE_WIDTHS.find((w) => w >= natural);
+    const entries = widths.map((w) => `${imageUrl(src, w, format)} ${w}w`);
+    if (cap) entries.push(`${imageUrl(src, cap, format)} ${natural}w`);
+    return entries.join(", ");
+  }
+
+  /**
+   * <picture> with AVIF and WebP sources; the <img> keeps the original as a
+   * fallback. `attrs` are extra <img> attributes (class, loading, fetchpriority…).
+   * Sources /img won't take get the plain <img>.
+   */
+  function pictureHtml(src, { alt = "", sizes = "100vw", attrs = {}, escape } = {}) {
+    const esc = escape || ((s) => String(s));
+    const info = describe(src);
+    const imgAttrs = {
+      src,
+      alt,
+      ...(info.width && info.height ? { width: info.width, height: info.height } : {}),
+      decoding: "async",
+      ...attrs,
+    };
+    if (info.placeholder) {
+      imgAttrs.style = `${imgAttrs.style ? `${imgAttrs.style};` : ""}background:url(${info.placeholder}) center/cover no-repeat`;
+    }
+
+    const img = Object.entries(imgAttrs)
+      .filter(([, v]) => v !== undefined && v !== null && v !== false)
+      .map(([k, v]) => `${k}="${esc(v)}"`)
+      .join(" ");
+    if (!canResize(src)) return `<img ${img}>`;
+
+    const sources = ["avif", "webp"]
+      .map(
+        (format) =>
+          `<source type="${IMAGE_FORMATS[format].mime}" srcset="${esc(srcsetFor(src, { format, width: info.width }))}" sizes="${esc(sizes)}">`
+      )
+      .join("");
+    return `<picture>${sources}<img ${img}></picture>`;
+  }
+
+  return { variant, prepare, warm, describe, srcsetFor, pictureHtml };
+}
+
+module.exports = {
+  IMAGE_WIDTHS,
+  IMAGE_FORMATS,
+  createImagePipeline,
+  imageUrl,
+};
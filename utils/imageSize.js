@@ -0,0 +1,68 @@
+const fs = require("fs");
+
+// -------------------------
+// Image dimensions from file headers
+// -------------------------
+// Enough of WebP (lossy, lossless, extended), PNG and JPEG to read width and
+// height without an image library. Only the start of the file is read.
+
+const HEADER_BYTES = 128 * 1024; // JPEG SOF can sit behind a large EXIF block
+
+function webpSize(buf) {
+  const chunk = buf.toString("ascii", 12, 16);
+  if (chunk === "VP8 " && buf.length >= 30) {
+    return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === "VP8L" && buf.length >= 25) {
+    const bits = buf.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === "VP8X" && buf.length >= 30) {
+    return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+function jpegSize(buf) {
+  let i = 2;
+  while (i + 9 < buf.length) {
+    if (buf[i] !== 0xff) return null;
+    const marker = buf[i + 1];
+    // SOF0–SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buf.readUInt16BE(i + 7), height: buf.readUInt16BE(i + 5) };
+    }
+    i += 2 + buf.readUInt16BE(i + 2);
+  }
+  return null;
+}
+
+/**
+ * @param {Buffer} buf the start of an image file
+ * @returns {{ width: number, height: number } | null}
+ */
+function imageSizeFromBuffer(buf) {
+  if (buf.length >= 16 && buf.toString("ascii", 0, 4) === "RIFF" && buf.toString("ascii", 8, 12) === "WEBP") {
+    return webpSize(buf);
+  }
+  if (buf.length >= 24 && buf.readUInt32BE(0) === 0x89504e47) {
+    return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  }
+  if (buf.length >= 4 && buf[0] === 0xff && buf[1] === 0xd8) {
+    return jpegSize(buf);
+  }
+  return null;
+}
+
+function readImageSize(file) {
+  const fd = fs.openSync(file, "r");
+  try {
+    const buf = Buffer.alloc(HEADER_BYTES);
+    const bytes = fs.readSync(fd, buf, 0, HEADER_BYTES, 0);
+    return imageSizeFromBuffer(buf.subarray(0, bytes));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = { readImageSize, imageSizeFromBuffer };
@@ -0,0 +1,82 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// -------------------------
+// Mailers
+// -------------------------
+// Every mailer exposes the same call, so subscriptions never need to know
+// how mail leaves the building:
+//   send({ to, subject, text, html, headers }) -> Promise
+//
+// MAIL_TRANSPORT=smtp    nodemailer over SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+// MAIL_TRANSPORT=outbox  one JSON file per message in MAIL_OUTBOX_DIR (default .cache/outbox)
+// Defaults to smtp when SMTP_HOST is set, otherwise the outbox.
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, "..", ".cache", "outbox");
+
+function createSmtpMailer({ host, port = 587, secure = false, user = "", pass = "", from }) {
+  // Loaded lazily so the outbox works without nodemailer installed
+  const nodemailer = require("nodemailer");
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: ({ to, subject, text, html, headers }) =>
+      transport.sendMail({ from, to, subject, text, html, headers }),
+  };
+}
+
+function createOutboxMailer({ dir = DEFAULT_OUTBOX_DIR, from }) {
+  return {
+    name: "outbox",
+    async send({ to, subject, text, html, headers }) {
+      const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const file = path.join(dir, `${stamp}-${crypto.randomBytes(3).toString("hex")}.json`);
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(
+        file,
+        JSON.stringify({ from, to, subject, headers, text, html }, null, 2) + "\n",
+        "utf8"
+      );
+      return { file };
+    },
+  };
+}
+
+function createMailer(env = process.env) {
+  const from = env.MAIL_FROM || "Reagal Events <no-reply@reagalevents.com>";
+  const transport = String(env.MAIL_TRANSPORT || (env.SMTP_HOST ? "smtp" : "outbox"))
+    .trim()
+    .toLowerCase();
+
+  if (transport === "smtp") {
+    if (!env.SMTP_HOST) throw new Error("MAIL_TRANSPORT=smtp needs SMTP_HOST.");
+    const port = Number(env.SMTP_PORT || 587);
+    return createSmtpMailer({
+      host: env.SMTP_HOST,
+      port,
+      secure: env.SMTP_SECURE ? env.SMTP_SECURE === "true" : port === 465,
+      user: env.SMTP_USER || "",
+      pass: env.SMTP_PASS || "",
+      from,
+    });
+  }
+
+  if (transport === "outbox") {
+    if (env.NODE_ENV === "production") {
+      console.warn("[WARN] Mail is going to the file outbox; set SMTP_HOST to deliver it.");
+    }
+    const dir = env.MAIL_OUTBOX_DIR ? path.resolve(env.MAIL_OUTBOX_DIR) : DEFAULT_OUTBOX_DIR;
+    return createOutboxMailer({ dir, from });
+  }
+
+  throw new Error(`Unknown MAIL_TRANSPORT "${transport}" (expected "smtp" or "outbox").`);
+}
+
+module.exports = { createMailer, createSmtpMailer, createOutboxMailer };
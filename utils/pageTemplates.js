@@ -0,0 +1,156 @@
+const fs = require("fs");
+const path = require("path");
+
+// -------------------------
+// Page templates
+// -------------------------
+// One shell for every HTML page: views/layout.html, with the pieces it shares
+// (Google tag, header/nav, footer) in views/partials/. renderShell() in
+// server.js fills it for server-rendered pages; the static content pages are
+// views/pages/<name>.html and are served at /<name>.html (index.html at /).
+//
+// Template syntax:
+//   {{NAME}}     value, HTML-escaped
+//   {{{NAME}}}   value as-is (markup built by the server)
+//   {{> name}}   views/partials/name.html, filled with the same values
+//
+// A page file is front matter, then the HTML that goes inside <main>:
+//   ---
+//   title: About Us | Reagal Events
+//   description: Learn about Reagal Events...
+//   robots: noindex, nofollow        (default "index, follow")
+//   canonical: /about-us.html        (default the page's own URL)
+//   ---
+//   <section class="page-title-box">...
+// Other keys are passed through for server.js to use (bodyClass, breadcrumb…).
+// The body can use the same tags, filled by renderPage() (e.g. {{{FAQS}}}).
+
+const NAME_RE = /^[a-z0-9][a-z0-9-]*$/;
+const MAX_PARTIAL_DEPTH = 5;
+
+// {{> partial}} | {{{RAW}}} | {{ESCAPED}}
+const TAG_RE = /\{\{>\s*([\w-]+)\s*\}\}|\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g;
+
+function templateError(file, message) {
+  return new Error(`${path.basename(file)}: ${message}`);
+}
+
+/**
+ * "---\ntitle: X\n---\n<p>…" -> { meta: { title: "X" }, body: "<p>…" }
+ * One "key: value" per line; blank lines and "# comments" are skipped.
+ */
+function parseFrontMatter(text, file = "page") {
+  const src = String(text).replace(/^\uFEFF/, "");
+  const m = src.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!m) return { meta: {}, body: src };
+
+  const meta = {};
+  for (const line of m[1].split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith("#")) continue;
+    const kv = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+    if (!kv) throw templateError(file, `bad front matter line "${line}"`);
+    meta[kv[1]] = kv[2].trim();
+  }
+  return { meta, body: src.slice(m[0].length) };
+}
+
+// "index" -> "/", "about-us" -> "/about-us.html"
+function pagePath(name) {
+  return name === "index" ? "/" : `/${name}.html`;
+}
+
+/**
+ * @param {Object} opts
+ * @param {string} opts.viewsDir holds layout.html, partials/ and pages/
+ * @param {(s: any) => string} opts.escape HTML escaper for {{NAME}}
+ */
+function createTemplates({ viewsDir, escape }) {
+  // file -> { mtimeMs, text }; re-read whenever the file changes on disk
+  const files = new Map();
+
+  function read(file) {
+    const { mtimeMs } = fs.statSync(file);
+    const cached = files.get(file);
+    if (cached && cached.mtimeMs === mtimeMs) return cached.text;
+    const text = fs.readFileSync(file, "utf8");
+    files.set(file, { mtimeMs, text });
+    return text;
+  }
+
+  // One pass, so values are never scanned for tags themselves
+  function fill(template, vars, file, depth) {
+    return template.replace(TAG_RE, (_, partialName, rawKey, key) => {
+      if (partialName) {
+        if (depth >= MAX_PARTIAL_DEPTH) throw templateError(file, `partials nested too deep at "${partialName}"`);
+        const partial = path.join(viewsDir, "partials", `${partialName}.html`);
+        if (!fs.existsSync(partial)) throw templateError(file, `unknown partial "${partialName}"`);
+        return fill(read(partial), vars, partial, depth + 1);
+      }
+      const value = vars[rawKey || key];
+      if (value == null) return "";
+      return rawKey ? String(value) : escape(value);
+    });
+  }
+
+  /**
+   * views/<name>.html with its partials and `vars` filled in.
+   */
+  function render(name, vars = {}) {
+    const file = path.join(viewsDir, `${name}.html`);
+    return fill(read(file), vars, file, 0);
+  }
+
+  /**
+   * A static page by name ("about-us"), or null when there isn't one.
+   * @returns {{ name: string, path: string, meta: Object, body: string } | null}
+   */
+  function page(name) {
+    if (!NAME_RE.test(String(name || ""))) return null;
+    const file = path.join(viewsDir, "pages", `${name}.html`);
+    if (!fs.existsSync(file)) return null;
+
+    const { meta, body } = parseFrontMatter(read(file), file);
+    if (!meta.title || !meta.description) throw templateError(file, "title and description are required");
+    return { name, path: pagePath(name), meta, body };
+  }
+
+  /**
+   * A page's body with `vars` filled in.
+   */
+  function renderPage(page, vars = {}) {
+    return fill(page.body, vars, path.join(viewsDir, "pages", `${page.name}.html`), 0);
+  }
+
+  /**
+   * The page served at a URL path ("/", "/about-us.html"), or null.
+   */
+  function pageForPath(urlPath) {
+    if (urlPath === "/") return page("index");
+    const m = String(urlPath || "").match(/^\/([^/]+)\.html$/);
+    return m && m[1] !== "index" ? page(m[1]) : null;
+  }
+
+  // Every static page, by name
+  function pages() {
+    let names;
+    try {
+      names = fs.readdirSync(path.join(viewsDir, "pages"));
+    } catch (err) {
+      if (err.code !== "ENOENT") console.warn("Pages folder not readable:", err.message);
+      return [];
+    }
+    return names
+      .filter((f) => f.endsWith(".html"))
+      .map((f) => page(f.slice(0, -".html".length)))
+      .filter(Boolean)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  return { render, page, renderPage, pageForPath, pages };
+}
+
+module.exports = {
+  createTemplates,
+  pagePath,
+  parseFrontMatter,
+};
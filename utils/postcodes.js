@@ -0,0 +1,168 @@
+const fs = require("fs");
+const path = require("path");
+
+// -------------------------
+// Offline UK postcode -> lat/long
+// -------------------------
+// No live geocoding: postcodes resolve to the centroid of their outcode
+// ("PE8" for "PE8 4EU"), falling back to the postcode area ("PE") when the
+// outcode isn't in the dataset. That's plenty for "which stop is nearest".
+//
+// data/outcode-centroids.json ships with the touring heartland at outcode
+// level and every UK postcode area. Point OUTCODE_CENTROIDS_FILE at a fuller
+// dataset to widen coverage, either the same JSON shape
+//   { "outcodes": { "PE8": [lat, lng] }, "areas": { "PE": [lat, lng] } }
+// or a CSV with postcode/outcode, latitude and longitude columns.
+
+const DEFAULT_CENTROIDS_FILE = path.join(__dirname, "..", "data", "outcode-centroids.json");
+
+const OUTCODE_RE = /^[A-Z]{1,2}\d[A-Z\d]?$/;
+const INCODE_RE = /^\d[A-Z]{2}$/;
+
+function parsePostcode(input) {
+  const compact = String(input || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  if (!compact) return null;
+
+  // Full postcode: outcode + 3-char incode ("PE84EU" -> "PE8" + "4EU")
+  if (compact.length >= 5 && INCODE_RE.test(compact.slice(-3)) && OUTCODE_RE.test(compact.slice(0, -3))) {
+    const outcode = compact.slice(0, -3);
+    return { outcode, area: outcode.match(/^[A-Z]+/)[0], postcode: `${outcode} ${compact.slice(-3)}` };
+  }
+
+  // Outcode on its own ("PE8")
+  if (OUTCODE_RE.test(compact)) {
+    return { outcode: compact, area: compact.match(/^[A-Z]+/)[0], postcode: compact };
+  }
+
+  return null;
+}
+
+function parseCentroidsCsv(raw) {
+  const lines = raw.split(/\r?\n/).filter((l) => l.trim());
+  const header = (lines.shift() || "").toLowerCase().split(",").map((h) => h.trim().replace(/"/g, ""));
+  const col = (...names) => header.findIndex((h) => names.includes(h));
+  const iCode = col("outcode", "postcode", "postcode_district");
+  const iLat = col("latitude", "lat");
+  const iLng = col("longitude", "lng", "lon", "long");
+  if (iCode < 0 || iLat < 0 || iLng < 0) {
+    throw new Error("Centroids CSV needs outcode/postcode, latitude and longitude columns");
+  }
+
+  const outcodes = {};
+  for (const line of lines) {
+    const cells = line.split(",").map((c) => c.trim().replace(/"/g, ""));
+    const lat = Number(cells[iLat]);
+    const lng = Number(cells[iLng]);
+    const code = String(cells[iCode] || "").toUpperCase().replace(/\s+/g, "");
+    if (code && Number.isFinite(lat) && Number.isFinite(lng)) outcodes[code] = [lat, lng];
+  }
+  return { outcodes, areas: {} };
+}
+
+function loadCentroids(file) {
+  const raw = fs.readFileSync(file, "utf8");
+  const data = file.toLowerCase().endsWith(".csv") ? parseCentroidsCsv(raw) : JSON.parse(raw);
+  return { outcodes: data.outcodes || {}, areas: data.areas || {} };
+}
+
+/**
+ * @param {Object} [opts]
+ * @param {string} [opts.file] centroid dataset (JSON or CSV); the bundled one is
+ *   always loaded too so areas still resolve when a custom file lacks them
+ */
+function createPostcodeLookup({ file = "" } = {}) {
+  const base = loadCentroids(DEFAULT_CENTROIDS_FILE);
+  const extra = file ? loadCentroids(path.resolve(file)) : { outcodes: {}, areas: {} };
+  const outcodes = { ...base.outcodes, ...extra.outcodes };
+  const areas = { ...base.areas, ...extra.areas };
+
+  // -> { lat, lng, outcode, postcode, precision: "outcode" | "area" } or null
+  function lookup(input) {
+    const parsed = parsePostcode(input);
+    if (!parsed) return null;
+
+    if (outcodes[parsed.outcode]) {
+      const [lat, lng] = outcodes[parsed.outcode];
+      return { lat, lng, ...parsed, precision: "outcode" };
+    }
+    if (areas[parsed.area]) {
+      const [lat, lng] = areas[parsed.area];
+      return { lat, lng, ...parsed, precision: "area" };
+    }
+    return null;
+  }
+
+  return { lookup };
+}
+
+// -------------------------
+// Venue locations
+// -------------------------
+// Manual overrides win over the postcode lookup, for venues whose postcode
+// lands in the wrong place (big rural outcodes, new-build sites, seafronts).
+// File shape: { "venues": { "<venue id | postcode | venue name>": { "lat": 0, "lng": 0 } } }
+function loadVenueOverrides(file) {
+  if (!file) return {};
+  try {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    const out = {};
+    for (const [key, value] of Object.entries(data.venues || {})) {
+      const point = parseLatLng(value?.lat, value?.lng);
+      if (point) out[normaliseVenueKey(key)] = point;
+    }
+    return out;
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn("Venue coordinates file not readable:", file, err.message);
+    return {};
+  }
+}
+
+function normaliseVenueKey(key) {
+  return String(key || "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+function createVenueLocator({ lookup, overridesFile = "" }) {
+  const overrides = loadVenueOverrides(overridesFile);
+
+  // venueInfo from pickVenueInfo -> { lat, lng, source: "override" | "outcode" | "area" } or null
+  return function locateVenue(venueInfo = {}) {
+    const parsed = parsePostcode(venueInfo.postcode);
+    const keys = [venueInfo.venueId, parsed?.postcode, venueInfo.postcode, venueInfo.venueName]
+      .filter(Boolean)
+      .map(normaliseVenueKey);
+
+    for (const key of keys) {
+      if (overrides[key]) return { ...overrides[key], source: "override" };
+    }
+
+    const found = venueInfo.postcode ? lookup(venueInfo.postcode) : null;
+    return found ? { lat: found.lat, lng: found.lng, source: found.precision } : null;
+  };
+}
+
+function parseLatLng(lat, lng) {
+  const la = Number(lat);
+  const ln = Number(lng);
+  if (!Number.isFinite(la) || !Number.isFinite(ln)) return null;
+  if (la < -90 || la > 90 || ln < -180 || ln > 180) return null;
+  return { lat: la, lng: ln };
+}
+
+// Great-circle distance in km
+function haversineKm(a, b) {
+  const R = 6371;
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+module.exports = {
+  createPostcodeLookup,
+  createVenueLocator,
+  parsePostcode,
+  parseLatLng,
+  haversineKm,
+};
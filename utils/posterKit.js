@@ -0,0 +1,176 @@
+const fs = require("fs");
+
+// -------------------------
+// Printable posters + QR codes
+// -------------------------
+// The print half of the admin town kit (see "Admin: town kit" in server.js):
+// a QR code for the town page and a one-page PDF poster with every
+// performance, laid out the same on A4 and A3 (A3 is just scaled up).
+//
+// A poster schedule is one block per show:
+//   [{ heading: "Reagal Circus – Fairground Field", days: [{ label: "Fri 2 Apr", times: "14:00 · 17:00" }] }]
+// with every string already formatted by the caller.
+
+// PDF points
+const PAGE_SIZES = {
+  A4: [595.28, 841.89],
+  A3: [841.89, 1190.55],
+};
+
+const COLOURS = {
+  page: "#2a0f3d",
+  accent: "#f9c74f",
+  panel: "#ffffff",
+  text: "#1d0b29",
+};
+
+const MIN_SCHEDULE_FONT = 7;
+const READABLE_FONT = 10;
+
+/**
+ * @param {string} url
+ * @returns {Promise<{ png: Buffer, svg: string }>}
+ */
+async function buildQrCode(url) {
+  const QRCode = require("qrcode");
+  const opts = { errorCorrectionLevel: "M", margin: 2 };
+  const [png, svg] = await Promise.all([
+    QRCode.toBuffer(url, { ...opts, type: "png", width: 1024 }),
+    QRCode.toString(url, { ...opts, type: "svg" }),
+  ]);
+  return { png, svg };
+}
+
+// Schedule rows as [{ kind: "heading" | "day", ... }]
+function scheduleRows(schedule) {
+  const rows = [];
+  for (const block of schedule) {
+    if (block.heading) rows.push({ kind: "heading", text: block.heading });
+    for (const day of block.days) rows.push({ kind: "day", label: day.label, times: day.times });
+  }
+  return rows;
+}
+
+// Font size and column count that fit `rows` into the panel: one column
+// until the text would drop below READABLE_FONT, then two, then three
+function fitSchedule(rows, { height, maxFont }) {
+  let fit;
+  for (const columns of [1, 2, 3]) {
+    const perColumn = Math.ceil(rows.length / columns);
+    const size = Math.max(MIN_SCHEDULE_FONT, Math.min(maxFont, height / (perColumn * 1.6)));
+    fit = { columns, perColumn, size };
+    if (size >= READABLE_FONT) break;
+  }
+  return fit;
+}
+
+/**
+ * @param {Object} poster
+ * @param {"A4"|"A3"} poster.size
+ * @param {string} poster.bannerFile image across the top (JPEG or PNG)
+ * @param {string} poster.title "Circus in Oundle"
+ * @param {string} poster.dates "02 Apr – 04 Apr 2027"
+ * @param {string[]} poster.venues "Fairground Field, Benefield Road, PE8 4EU"
+ * @param {Array} poster.schedule see above
+ * @param {string} poster.displayUrl printed under the QR code
+ * @param {Buffer} poster.qrPng
+ * @returns {Promise<Buffer>} the PDF
+ */
+function buildPosterPdf({ size = "A4", bannerFile, title, dates, venues = [], schedule = [], displayUrl, qrPng }) {
+  const PDFDocument = require("pdfkit");
+  const [width, height] = PAGE_SIZES[size] || PAGE_SIZES.A4;
+  const k = width / PAGE_SIZES.A4[0]; // A4 layout, scaled
+  const margin = 36 * k;
+  const inner = width - margin * 2;
+
+  const doc = new PDFDocument({ size: [width, height], margin: 0, info: { Title: `${title} – ${dates}`, Author: "Reagal Events" } });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  doc.rect(0, 0, width, height).fill(COLOURS.page);
+
+  // Banner across the top, at its own proportions
+  let y = 0;
+  if (bannerFile && fs.existsSync(bannerFile)) {
+    const img = doc.openImage(bannerFile);
+    const bannerHeight = (width / img.width) * img.height;
+    doc.image(img, 0, 0, { width, height: bannerHeight });
+    y = bannerHeight;
+  }
+
+  y += 28 * k;
+  doc.font("Helvetica-Bold").fontSize(40 * k).fillColor("#ffffff");
+  doc.text(title, margin, y, { width: inner, align: "center" });
+  y = doc.y + 6 * k;
+
+  doc.font("Helvetica-Bold").fontSize(22 * k).fillColor(COLOURS.accent);
+  doc.text(dates, margin, y, { width: inner, align: "center" });
+  y = doc.y + 8 * k;
+
+  doc.font("Helvetica").fontSize(12 * k).fillColor("#ffffff");
+  for (const venue of venues) {
+    doc.text(venue, margin, y, { width: inner, align: "center" });
+    y = doc.y + 2 * k;
+  }
+
+  // Footer first, so the schedule panel gets whatever height is left
+  const qrSize = 120 * k;
+  const footerTop = height - margin - qrSize;
+  if (qrPng) doc.image(qrPng, width - margin - qrSize, footerTop, { width: qrSize, height: qrSize });
+  const footerTextWidth = inner - qrSize - 16 * k;
+  doc.font("Helvetica-Bold").fontSize(26 * k).fillColor("#ffffff");
+  doc.text("Book your tickets online", margin, footerTop + 24 * k, { width: footerTextWidth });
+  doc.font("Helvetica-Bold").fontSize(16 * k).fillColor(COLOURS.accent);
+  doc.text(displayUrl, margin, doc.y + 6 * k, { width: footerTextWidth });
+  doc.font("Helvetica").fontSize(11 * k).fillColor("#ffffff");
+  doc.text("Or scan the code with your phone camera.", margin, doc.y + 6 * k, { width: footerTextWidth });
+
+  // Schedule panel, as tall as its rows need up to the space that's left
+  const panelTop = y + 14 * k;
+  const panelPad = 16 * k;
+  const maxPanelHeight = footerTop - 20 * k - panelTop;
+  const rows = scheduleRows(schedule);
+  const fit = rows.length ? fitSchedule(rows, { height: maxPanelHeight - panelPad * 2, maxFont: 15 * k }) : null;
+  const lineHeight = fit ? fit.size * 1.6 : 0;
+  const panelHeight = fit ? Math.min(maxPanelHeight, fit.perColumn * lineHeight + panelPad * 2) : 0;
+  if (panelHeight) doc.roundedRect(margin, panelTop, inner, panelHeight, 12 * k).fill(COLOURS.panel);
+
+  if (fit) {
+    const columnWidth = (inner - panelPad * 2) / fit.columns;
+    const rowWidth = columnWidth - 10 * k;
+    // Times line up after the widest day label
+    doc.font("Helvetica-Bold").fontSize(fit.size);
+    const labelWidth =
+      Math.max(...rows.filter((r) => r.kind === "day").map((r) => doc.widthOfString(r.label)), 0) + fit.size;
+
+    rows.forEach((row, i) => {
+      const column = Math.floor(i / fit.perColumn);
+      const x = margin + panelPad + column * columnWidth;
+      const rowY = panelTop + panelPad + (i % fit.perColumn) * lineHeight;
+      const opts = { lineBreak: false, ellipsis: true };
+
+      if (row.kind === "heading") {
+        doc.font("Helvetica-Bold").fontSize(fit.size).fillColor(COLOURS.page).text(row.text, x, rowY, { ...opts, width: rowWidth });
+        return;
+      }
+      doc.font("Helvetica-Bold").fontSize(fit.size).fillColor(COLOURS.text).text(row.label, x, rowY, { ...opts, width: labelWidth });
+      doc.font("Helvetica").fontSize(fit.size).fillColor(COLOURS.text).text(row.times, x + labelWidth, rowY, {
+        ...opts,
+        width: Math.max(1, rowWidth - labelWidth),
+      });
+    });
+  }
+
+  doc.end();
+  return done;
+}
+
+module.exports = {
+  PAGE_SIZES,
+  buildQrCode,
+  buildPosterPdf,
+};
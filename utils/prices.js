@@ -0,0 +1,97 @@
+// -------------------------
+// Ticket prices
+// -------------------------
+// Ticket types come back as { attributes: { name, price, ... } }, with the
+// price in one of a few shapes depending on the provider:
+//   price: 14 | "14.00"                      major units (pounds)
+//   price: { amount: 14, currency: "GBP" }
+//   amount: 14, currency: "GBP"
+// Everything is normalised to [{ name, price, currency }] with price as a
+// number in major units. Free tickets (price 0) are kept; unpriced ones aren't.
+
+const DEFAULT_CURRENCY = "GBP";
+
+function toAmount(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(String(value).replace(/[^0-9.\-]/g, ""));
+  return Number.isFinite(n) && n >= 0 ? Math.round(n * 100) / 100 : null;
+}
+
+function normaliseTicketTypes(ticketTypes = [], { currency = DEFAULT_CURRENCY } = {}) {
+  const out = [];
+  for (const tt of ticketTypes || []) {
+    const a = tt?.attributes || tt || {};
+    const priceObj = a.price && typeof a.price === "object" ? a.price : null;
+    const price = toAmount(priceObj ? priceObj.amount : a.price ?? a.amount);
+    if (price === null) continue;
+
+    out.push({
+      name: String(a.name || a.description || "Ticket").trim(),
+      price,
+      currency: String(priceObj?.currency || a.currency || currency).toUpperCase(),
+    });
+  }
+  return out.sort((x, y) => x.price - y.price);
+}
+
+/**
+ * Roll the prices of several performances up into one summary.
+ *
+ * @param {Array} dates date entries carrying `prices` ([{ name, price, currency }])
+ * @returns {Object|null} { low, high, currency, types: [{ name, low, high }] },
+ *   or null when no performance has a price
+ */
+function summarisePrices(dates = []) {
+  const byName = new Map();
+  let low = Infinity;
+  let high = -Infinity;
+  let currency = null;
+
+  for (const d of dates || []) {
+    for (const p of d.prices || []) {
+      // One currency per summary; anything else would make "from" meaningless
+      currency = currency || p.currency;
+      if (p.currency !== currency) continue;
+
+      low = Math.min(low, p.price);
+      high = Math.max(high, p.price);
+      const t = byName.get(p.name) || { name: p.name, low: p.price, high: p.price };
+      t.low = Math.min(t.low, p.price);
+      t.high = Math.max(t.high, p.price);
+      byName.set(p.name, t);
+    }
+  }
+
+  if (!currency) return null;
+  return {
+    low,
+    high,
+    currency,
+    types: [...byName.values()].sort((a, b) => a.low - b.low || a.name.localeCompare(b.name)),
+  };
+}
+
+// "£14" / "£12.50"
+function formatPrice(amount, currency = DEFAULT_CURRENCY) {
+  const whole = Number.isInteger(amount);
+  return new Intl.NumberFormat("en-GB", {
+    style: "currency",
+    currency,
+    minimumFractionDigits: whole ? 0 : 2,
+    maximumFractionDigits: 2,
+  }).format(amount);
+}
+
+function formatPriceRange(low, high, currency = DEFAULT_CURRENCY) {
+  return low === high
+    ? formatPrice(low, currency)
+    : `${formatPrice(low, currency)} – ${formatPrice(high, currency)}`;
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  normaliseTicketTypes,
+  summarisePrices,
+  formatPrice,
+  formatPriceRange,
+};
@@ -0,0 +1,185 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const { STATUS } = require("./townEngine");
+const { writeJsonAtomic } = require("./atomicWrite");
+
+// -------------------------
+// Push subscriptions per town
+// -------------------------
+// One entry per browser (keyed by its push endpoint) with the towns it follows:
+//   { id, endpoint, keys: { p256dh, auth }, towns: ["oundle"], sent: {}, createdAt }
+//
+// `sent` maps "<townSlug>|<kind>" to the endDay of the run it was sent for.
+// Only a town's current run (one of buildTownIndex's `runs` that is
+// IN_TOWN_NOW or FINAL_DAY) calls for a notification, and it counts as sent
+// while that run goes on (recorded endDay >= the run's startDay), so each run
+// gets one "in town now" and one "last day today", nothing is sent between
+// runs, and a return visit months later starts over.
+
+const PUSH_KIND = {
+  IN_TOWN: STATUS.IN_TOWN_NOW,
+  FINAL_DAY: STATUS.FINAL_DAY,
+};
+
+const MAX_TOWNS_PER_SUBSCRIPTION = 50;
+
+function sentKey(townSlug, kind) {
+  return `${townSlug}|${kind}`;
+}
+
+function wasSent(sub, town, kind) {
+  const endDay = sub.sent?.[sentKey(town.townSlug, kind)];
+  return Boolean(endDay) && endDay >= town.startDay;
+}
+
+// What a town's status calls for right now (null if nothing)
+function kindForStatus(status) {
+  if (status === STATUS.FINAL_DAY) return PUSH_KIND.FINAL_DAY;
+  if (status === STATUS.IN_TOWN_NOW) return PUSH_KIND.IN_TOWN;
+  return null;
+}
+
+// The town narrowed to the run we're in now: { ...town, ...run }, or null
+// between runs
+function currentVisit(town) {
+  const run = (town.runs || [town]).find((r) => kindForStatus(r.status));
+  return run ? { ...town, ...run } : null;
+}
+
+// The browsers' push services. We POST to whatever endpoint a subscription
+// names, so only these hosts are accepted (anything else would let a visitor
+// point the server at a host of their choosing).
+const PUSH_SERVICE_HOSTS = [
+  "fcm.googleapis.com", // Chrome, Edge, Opera, Samsung Internet
+  "android.googleapis.com", // older Chrome subscriptions
+  "updates.push.services.mozilla.com", // Firefox (autopush)
+  "web.push.apple.com", // Safari
+];
+const PUSH_SERVICE_DOMAINS = [
+  ".push.services.mozilla.com",
+  ".push.apple.com",
+  ".notify.windows.com", // legacy Edge (WNS)
+];
+
+function isPushServiceHost(hostname) {
+  const host = hostname.toLowerCase();
+  return PUSH_SERVICE_HOSTS.includes(host) || PUSH_SERVICE_DOMAINS.some((domain) => host.endsWith(domain));
+}
+
+// A known push service over https; `allowLocal` also lets a stand-in on
+// localhost through (never in production: we'd POST wherever we're told)
+function isValidSubscription(subscription, { allowLocal = false } = {}) {
+  const keys = subscription?.keys || {};
+  if (!keys.p256dh || !keys.auth) return false;
+  let url;
+  try {
+    url = new URL(String(subscription.endpoint || ""));
+  } catch (err) {
+    return false;
+  }
+  if (url.href.length > 2048) return false;
+  if (url.protocol === "https:") {
+    return !url.port && !url.username && !url.password && isPushServiceHost(url.hostname);
+  }
+  return allowLocal && url.protocol === "http:" && ["localhost", "127.0.0.1", "[::1]"].includes(url.hostname);
+}
+
+function createPushSubscriptionStore({ file }) {
+  let subscriptions = [];
+
+  try {
+    subscriptions = JSON.parse(fs.readFileSync(file, "utf8")).subscriptions || [];
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn("Push subscriptions file not readable:", file, err.message);
+  }
+
+  async function save() {
+    await writeJsonAtomic(file, { subscriptions });
+  }
+
+  /**
+   * Follow `town` (a town index entry) from this browser. Whatever the town's
+   * status already calls for is marked as sent: someone subscribing from the
+   * page while we're in town already knows, and hears about the last day.
+   */
+  async function follow(subscription, town) {
+    const endpoint = String(subscription.endpoint);
+    let sub = subscriptions.find((s) => s.endpoint === endpoint);
+    if (!sub) {
+      sub = {
+        id: crypto.randomBytes(8).toString("hex"),
+        endpoint,
+        keys: {},
+        towns: [],
+        sent: {},
+        createdAt: new Date().toISOString(),
+      };
+      subscriptions.push(sub);
+    }
+
+    // Browsers can rotate keys for the same endpoint
+    sub.keys = { p256dh: String(subscription.keys.p256dh), auth: String(subscription.keys.auth) };
+    if (!sub.towns.includes(town.townSlug)) {
+      sub.towns = [...sub.towns, town.townSlug].slice(-MAX_TOWNS_PER_SUBSCRIPTION);
+    }
+    const visit = currentVisit(town);
+    const kind = visit && kindForStatus(visit.status);
+    if (kind && !wasSent(sub, visit, kind)) sub.sent[sentKey(town.townSlug, kind)] = visit.endDay;
+
+    await save();
+    return sub;
+  }
+
+  // Stop following one town, or everything when townSlug is null
+  async function unfollow(endpoint, townSlug = null) {
+    const sub = subscriptions.find((s) => s.endpoint === String(endpoint));
+    if (!sub) return null;
+
+    if (townSlug) sub.towns = sub.towns.filter((slug) => slug !== townSlug);
+    if (!townSlug || !sub.towns.length) {
+      subscriptions = subscriptions.filter((s) => s !== sub);
+    } else {
+      for (const key of Object.keys(sub.sent)) {
+        if (key.startsWith(`${townSlug}|`)) delete sub.sent[key];
+      }
+    }
+    await save();
+    return sub;
+  }
+
+  function all() {
+    return subscriptions;
+  }
+
+  async function markSent(sub, town, kind) {
+    sub.sent[sentKey(town.townSlug, kind)] = town.endDay;
+    // "Last day" implies "in town": never send the opener after it
+    if (kind === PUSH_KIND.FINAL_DAY) sub.sent[sentKey(town.townSlug, PUSH_KIND.IN_TOWN)] = town.endDay;
+    await save();
+  }
+
+  return { file, follow, unfollow, all, markSent };
+}
+
+/**
+ * Notifications this subscription is due, from a town index:
+ * [{ town, kind }] for every followed town whose current run has moved on;
+ * `town` carries that run's dates and status.
+ */
+function dueNotificationsFor(sub, townIndex) {
+  const due = [];
+  for (const town of townIndex || []) {
+    if (!sub.towns.includes(town.townSlug)) continue;
+    const visit = currentVisit(town);
+    const kind = visit && kindForStatus(visit.status);
+    if (kind && !wasSent(sub, visit, kind)) due.push({ town: visit, kind });
+  }
+  return due;
+}
+
+module.exports = {
+  PUSH_KIND,
+  createPushSubscriptionStore,
+  dueNotificationsFor,
+  isValidSubscription,
+};
@@ -0,0 +1,48 @@
+// -------------------------
+// Interval refresh with single-flight
+// -------------------------
+// Runs `refresh` every `intervalMs`. Overlapping calls (a timer tick while a
+// request is still waiting on a cold start, or a slow refresh running past the
+// next tick) share the in-flight promise instead of starting another fan-out.
+
+function createRefreshScheduler({ intervalMs, refresh, onError = () => {} }) {
+  let inFlight = null;
+  let timer = null;
+
+  function runNow() {
+    if (inFlight) return inFlight;
+    inFlight = Promise.resolve()
+      .then(refresh)
+      .finally(() => {
+        inFlight = null;
+      });
+    return inFlight;
+  }
+
+  function tick() {
+    runNow().catch(onError);
+  }
+
+  function start({ immediate = true } = {}) {
+    if (timer) return;
+    if (immediate) tick();
+    timer = setInterval(tick, Math.max(1000, intervalMs));
+    // Never keep the process alive just for the refresh timer
+    if (typeof timer.unref === "function") timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    start,
+    stop,
+    runNow,
+    isRunning: () => Boolean(timer),
+    isRefreshing: () => Boolean(inFlight),
+  };
+}
+
+module.exports = { createRefreshScheduler };
@@ -0,0 +1,210 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// -------------------------
+// Share images
+// -------------------------
+// PNG cards for links shared on Facebook & co: the brand banner with a town's
+// name, dates and status badge drawn under it (sharp, with the text as an SVG
+// overlay). A card is written to cacheDir once per version, a hash of
+// everything drawn on it, so it's remade when the dates or the status change.
+// Pages put the version in the image URL too, because Facebook caches
+// og:image by URL.
+// The same card comes square and story-shaped for the admin town kit.
+//
+// A card: { slug, title, dates, badge, tone, footer }
+//   title   "Circus in Oundle"
+//   dates   "02 Apr – 05 Apr 2027"
+//   badge   "Final weekend in Oundle"
+//   tone    badge colour, one of BADGE_TONES
+//   footer  small print along the bottom ("reagalevents.com")
+
+// safeBottom: share of the height kept clear where apps draw over the image
+const SHARE_FORMATS = {
+  og: { width: 1200, height: 630 },
+  square: { width: 1080, height: 1080 },
+  story: { width: 1080, height: 1920, safeBottom: 0.14 },
+};
+
+const BADGE_TONES = {
+  red: "#e53935",
+  green: "#43a047",
+  yellow: "#f9a825",
+  purple: "#8e24aa",
+  grey: "#616161",
+};
+
+const FONT_FAMILY = "'DejaVu Sans', 'Liberation Sans', Arial, Helvetica, sans-serif";
+const CARD_VERSION = 1; // bump when the layout changes, so every card is remade
+
+const SLUG_RE = /^[a-z0-9][a-z0-9-]*$/;
+
+function cardError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function escapeXml(str) {
+  return String(str ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Largest size (up to `max`) at which `text` fits `width`; bold sans averages
+// a little over half an em per character
+function fitFontSize(text, width, max) {
+  const chars = Math.max(1, String(text || "").length);
+  return Math.floor(Math.min(max, width / (chars * 0.6)));
+}
+
+/**
+ * The overlay for a `width` x `height` card: a dark fade up from the bottom,
+ * then badge, title and dates stacked above the footer.
+ */
+function cardSvg(card, { width, height, safeBottom = 0 }) {
+  const pad = Math.round(width * 0.06);
+  const textWidth = width - pad * 2;
+
+  const footerSize = Math.round(width * 0.022);
+  const datesSize = fitFontSize(card.dates, textWidth, Math.round(width * 0.042));
+  const titleSize = fitFontSize(card.title, textWidth, Math.round(width * 0.075));
+  const badgeSize = fitFontSize(card.badge, textWidth - width * 0.04, Math.round(width * 0.03));
+
+  // Bottom up: footer, dates, title, badge
+  let y = height - pad - Math.round(height * safeBottom);
+  const footerY = y;
+  y -= card.footer ? footerSize * 2.2 : 0;
+  const datesY = y;
+  y -= datesSize * 1.5;
+  const titleY = y;
+  y -= titleSize * 1.25;
+
+  const badgeHeight = Math.round(badgeSize * 1.8);
+  const badgeWidth = Math.min(textWidth, Math.round(String(card.badge || "").length * badgeSize * 0.62 + badgeSize * 1.6));
+  const badgeTop = Math.round(y - badgeHeight);
+  const fadeTop = Math.max(0, badgeTop - pad * 2);
+
+  const text = (value, size, yPos, extra = "") =>
+    `<text x="${pad}" y="${Math.round(yPos)}" font-family="${FONT_FAMILY}" font-size="${size}" fill="#fff" ${extra}>${escapeXml(value)}</text>`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <defs>
+    <linearGradient id="fade" x1="0" y1="0" x2="0" y2="1">
+      <stop offset="0" stop-color="#000" stop-opacity="0"/>
+      <stop offset="0.45" stop-color="#000" stop-opacity="0.55"/>
+      <stop offset="1" stop-color="#000" stop-opacity="0.85"/>
+    </linearGradient>
+  </defs>
+  <rect x="0" y="${fadeTop}" width="${width}" height="${height - fadeTop}" fill="url(#fade)"/>
+  ${
+    card.badge
+      ? `<rect x="${pad}" y="${badgeTop}" width="${badgeWidth}" height="${badgeHeight}" rx="${Math.round(badgeHeight / 2)}" fill="${BADGE_TONES[card.tone] || BADGE_TONES.purple}"/>
+  <text x="${pad + Math.round(badgeSize * 0.8)}" y="${badgeTop + Math.round(badgeHeight * 0.68)}" font-family="${FONT_FAMILY}" font-size="${badgeSize}" font-weight="700" fill="#fff">${escapeXml(card.badge)}</text>`
+      : ""
+  }
+  ${text(card.title, titleSize, titleY, 'font-weight="800"')}
+  ${card.dates ? text(card.dates, datesSize, datesY, 'font-weight="600"') : ""}
+  ${card.footer ? text(card.footer, footerSize, footerY, 'fill-opacity="0.85"') : ""}
+</svg>`;
+}
+
+/**
+ * @param {Object} opts
+ * @param {string} opts.publicDir
+ * @param {string} opts.cacheDir where the PNGs are kept
+ * @param {string} [opts.background] image under public/ the text goes over
+ */
+function createShareImages({ publicDir, cacheDir, background = "/banner1.jpg" }) {
+  const backgroundFile = path.join(path.resolve(publicDir), background);
+  const inFlight = new Map();
+  let queue = Promise.resolve();
+
+  // One sharp job at a time
+  function enqueue(job) {
+    const run = queue.then(job, job);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  // Changes whenever anything drawn on the card does, the background included
+  function versionFor(card, format = "og") {
+    let bg = "";
+    try {
+      const stat = fs.statSync(backgroundFile);
+      bg = `${stat.size}|${stat.mtimeMs}`;
+    } catch (err) {
+      bg = "missing";
+    }
+    const { slug, title, dates, badge, tone, footer } = card;
+    return crypto
+      .createHash("sha1")
+      .update(JSON.stringify([CARD_VERSION, format, bg, slug, title, dates, badge, tone, footer]))
+      .digest("hex")
+      .slice(0, 12);
+  }
+
+  async function write(card, format, out) {
+    const sharp = require("sharp");
+    const size = SHARE_FORMATS[format];
+    // The banner is much wider than any card, so it goes across the top in
+    // full, over a blurred copy stretched to fill the rest
+    const [backdrop, strip] = await Promise.all([
+      sharp(backgroundFile).rotate().resize(size.width, size.height, { fit: "cover" }).blur(24).toBuffer(),
+      sharp(backgroundFile).rotate().resize({ width: size.width }).toBuffer(),
+    ]);
+    const buf = await sharp(backdrop)
+      .composite([
+        { input: strip, top: 0, left: 0 },
+        { input: Buffer.from(cardSvg(card, size)), top: 0, left: 0 },
+      ])
+      .png({ compressionLevel: 9 })
+      .toBuffer();
+
+    await fs.promises.mkdir(path.dirname(out), { recursive: true });
+    const tmp = `${out}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, buf);
+    await fs.promises.rename(tmp, out);
+
+    // Older versions of this card are never asked for again
+    const prefix = `${card.slug}-${format}-`;
+    const names = await fs.promises.readdir(path.dirname(out)).catch(() => []);
+    await Promise.all(
+      names
+        .filter((name) => name.startsWith(prefix) && name !== path.basename(out))
+        .map((name) => fs.promises.unlink(path.join(path.dirname(out), name)).catch(() => {}))
+    );
+  }
+
+  /**
+   * The card as a PNG on disk, made on first request.
+   * @returns {Promise<{ file: string, version: string }>}
+   */
+  async function image(card, format = "og") {
+    if (!SHARE_FORMATS[format]) throw cardError("Unsupported format");
+    if (!SLUG_RE.test(String(card.slug || ""))) throw cardError("Invalid card slug");
+
+    const version = versionFor(card, format);
+    const out = path.join(cacheDir, `${card.slug}-${format}-${version}.png`);
+    if (fs.existsSync(out)) return { file: out, version };
+
+    if (!inFlight.has(out)) {
+      inFlight.set(
+        out,
+        enqueue(() => write(card, format, out)).finally(() => inFlight.delete(out))
+      );
+    }
+    await inFlight.get(out);
+    return { file: out, version };
+  }
+
+  return { versionFor, image };
+}
+
+module.exports = {
+  SHARE_FORMATS,
+  createShareImages,
+};
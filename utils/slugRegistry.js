@@ -0,0 +1,113 @@
+const fs = require("fs");
+const { writeJsonAtomic } = require("./atomicWrite");
+
+// -------------------------
+// Town slug registry
+// -------------------------
+// Every /circus-in/:townSlug we have ever published, with its last-known
+// dates, so a slug never simply 404s:
+//   - still on tour         -> served as normal
+//   - renamed (same events now published under another slug) -> 301 there
+//   - finished              -> "we were here" page, listed in the sitemap
+//
+// File shape:
+//   { "slugs": { "oundle": { town, startDay, endDay, firstSeen, lastSeen,
+//                            eventIds: [...], redirectTo: null } } }
+//
+// Renames are detected by event id: TicketSource keeps an event's id when its
+// venue's town line (or an admin override) changes, so a retired slug whose
+// events now sit under another slug has been renamed. Once recorded, a
+// redirect sticks until the old slug is published again.
+
+const MAX_EVENT_IDS = 50;
+const MAX_REDIRECT_HOPS = 5;
+
+// Slugs that only exist because data was missing; never worth remembering
+const IGNORED_SLUGS = new Set(["unknown-town"]);
+
+function createSlugRegistry({ file }) {
+  let slugs = {};
+
+  try {
+    slugs = JSON.parse(fs.readFileSync(file, "utf8")).slugs || {};
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn("Slug registry not readable:", file, err.message);
+  }
+
+  async function save() {
+    await writeJsonAtomic(file, { slugs });
+  }
+
+  /**
+   * Record the towns currently published (a town index from buildTownIndex)
+   * and work out redirects for slugs that have dropped out. Writes the file
+   * only when something changed.
+   *
+   * @returns {Promise<boolean>} whether the registry changed
+   */
+  async function record(townIndex, { now = new Date() } = {}) {
+    const before = JSON.stringify(slugs);
+    const nowISO = new Date(now).toISOString();
+    const live = new Map();
+
+    for (const t of townIndex || []) {
+      if (!t.townSlug || IGNORED_SLUGS.has(t.townSlug)) continue;
+      const ids = (t.events || []).map((ev) => ev.id).filter(Boolean).map(String);
+      live.set(t.townSlug, new Set(ids));
+
+      const prev = slugs[t.townSlug] || {};
+      const prevIds = prev.eventIds || [];
+      slugs[t.townSlug] = {
+        town: t.town,
+        startDay: t.startDay,
+        endDay: t.endDay,
+        firstSeen: prev.firstSeen || nowISO,
+        // Only bump lastSeen when the run itself changes, so an idle refresh
+        // doesn't rewrite the file every few minutes
+        lastSeen: prev.startDay === t.startDay && prev.endDay === t.endDay && prev.lastSeen ? prev.lastSeen : nowISO,
+        eventIds: [...new Set([...ids, ...prevIds])].slice(0, MAX_EVENT_IDS),
+        redirectTo: null,
+      };
+    }
+
+    for (const [slug, entry] of Object.entries(slugs)) {
+      if (live.has(slug)) continue;
+      const ids = entry.eventIds || [];
+      for (const [liveSlug, liveIds] of live) {
+        if (ids.some((id) => liveIds.has(id))) {
+          entry.redirectTo = liveSlug;
+          break;
+        }
+      }
+    }
+
+    if (JSON.stringify(slugs) === before) return false;
+    await save();
+    return true;
+  }
+
+  // { slug, entry } at the end of any redirect chain, or null if unknown
+  function resolve(slug) {
+    let current = slug;
+    const seen = new Set();
+    for (let hop = 0; hop <= MAX_REDIRECT_HOPS; hop++) {
+      const entry = slugs[current];
+      if (!entry) return null;
+      if (!entry.redirectTo || seen.has(entry.redirectTo)) return { slug: current, entry };
+      seen.add(current);
+      current = entry.redirectTo;
+    }
+    return { slug: current, entry: slugs[current] || null };
+  }
+
+  // Slugs that still serve a page of their own (live or finished, not redirected)
+  function publishedSlugs() {
+    return Object.entries(slugs)
+      .filter(([, entry]) => !entry.redirectTo)
+      .map(([slug, entry]) => ({ slug, ...entry }));
+  }
+
+  return { file, record, resolve, publishedSlugs, get: (slug) => slugs[slug] || null };
+}
+
+module.exports = { createSlugRegistry };
@@ -0,0 +1,180 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const { writeJsonAtomic } = require("./atomicWrite");
+
+// -------------------------
+// "Tell me when you're coming" subscriptions
+// -------------------------
+// One JSON file of subscribers, each watching one of:
+//   { townSlug }                     a single town (e.g. from a finished town page)
+//   { postcode, lat, lng, radiusMiles } anywhere within a radius
+//   {}                               every new town (the newsletter)
+//
+// Double opt-in: a subscription starts "pending" and only receives alerts once
+// its confirm link is followed. Every subscriber also gets an unsubscribe
+// token for the link in each email. `notified` holds the runs already sent
+// ("<townSlug>|<startDay>|<endDay>"); a town only counts as new again once it
+// starts after the run we told them about, so each run is announced once even
+// though its startDay moves forward as dates pass.
+//
+// This file holds email addresses: keep it out of git (the default lives under
+// .cache/) and on a persistent disk in production.
+
+const STATUS = {
+  PENDING: "pending",
+  ACTIVE: "active",
+  UNSUBSCRIBED: "unsubscribed",
+};
+
+const EMAIL_RE = /^[^\s@<>()[\]\\,;:"]+@[^\s@<>()[\]\\,;:"]+\.[a-z]{2,}$/i;
+const MAX_NOTIFIED = 200;
+const CONFIRM_RESEND_MS = 10 * 60 * 1000; // don't re-send a confirm email more often than this
+
+function normaliseEmail(email) {
+  const e = String(email || "").trim().toLowerCase();
+  return e.length <= 254 && EMAIL_RE.test(e) ? e : null;
+}
+
+function token() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+function runKey(town) {
+  return `${town.townSlug}|${town.startDay}|${town.endDay}`;
+}
+
+function alreadyNotified(notified, town) {
+  return notified.some((key) => {
+    const [slug, , endDay] = key.split("|");
+    return slug === town.townSlug && endDay >= town.startDay;
+  });
+}
+
+// Same thing being watched? (so re-subscribing doesn't create duplicates)
+function sameTarget(a, b) {
+  if (a.townSlug || b.townSlug) return a.townSlug === b.townSlug;
+  if (a.postcode || b.postcode) return a.postcode === b.postcode && a.radiusMiles === b.radiusMiles;
+  return true;
+}
+
+function createSubscriptionStore({ file }) {
+  let subscriptions = [];
+
+  try {
+    subscriptions = JSON.parse(fs.readFileSync(file, "utf8")).subscriptions || [];
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn("Subscriptions file not readable:", file, err.message);
+  }
+
+  function save() {
+    return writeJsonAtomic(file, { subscriptions });
+  }
+
+  /**
+   * Add (or re-arm) a subscription. An existing pending one for the same email
+   * and target is reused so its confirm link keeps working; an unsubscribed
+   * one goes back to pending and has to confirm again.
+   *
+   * `sendConfirm` is false when the subscription is already active or a
+   * confirm email went out in the last few minutes, so the form can't be used
+   * to flood someone's inbox.
+   *
+   * @returns {Promise<{ subscription, alreadyActive: boolean, sendConfirm: boolean }>}
+   */
+  async function subscribe({ email, townSlug = null, postcode = null, lat = null, lng = null, radiusMiles = null }) {
+    const target = { townSlug, postcode, lat, lng, radiusMiles };
+    const existing = subscriptions.find((s) => s.email === email && sameTarget(s, target));
+    const now = Date.now();
+
+    if (existing && existing.status === STATUS.ACTIVE) {
+      return { subscription: existing, alreadyActive: true, sendConfirm: false };
+    }
+
+    if (existing) {
+      const recentlySent = existing.confirmSentAt && now - Date.parse(existing.confirmSentAt) < CONFIRM_RESEND_MS;
+      Object.assign(existing, target, {
+        status: STATUS.PENDING,
+        confirmToken: existing.confirmToken || token(),
+        confirmSentAt: recentlySent ? existing.confirmSentAt : new Date(now).toISOString(),
+      });
+      await save();
+      return { subscription: existing, alreadyActive: false, sendConfirm: !recentlySent };
+    }
+
+    const subscription = {
+      id: crypto.randomBytes(8).toString("hex"),
+      email,
+      ...target,
+      status: STATUS.PENDING,
+      confirmToken: token(),
+      unsubscribeToken: token(),
+      createdAt: new Date(now).toISOString(),
+      confirmSentAt: new Date(now).toISOString(),
+      confirmedAt: null,
+      notified: [],
+    };
+    subscriptions.push(subscription);
+    await save();
+    return { subscription, alreadyActive: false, sendConfirm: true };
+  }
+
+  // `alreadyListed` runs (on the site right now) are marked as sent, so the
+  // first alert is for something genuinely new
+  async function confirm(confirmToken, { alreadyListed = [] } = {}) {
+    const sub = subscriptions.find((s) => s.confirmToken && s.confirmToken === confirmToken);
+    if (!sub) return null;
+    if (sub.status !== STATUS.ACTIVE) {
+      sub.status = STATUS.ACTIVE;
+      sub.confirmedAt = new Date().toISOString();
+      sub.notified = [...new Set([...sub.notified, ...alreadyListed.map(runKey)])].slice(-MAX_NOTIFIED);
+      await save();
+    }
+    return sub;
+  }
+
+  async function unsubscribe(unsubscribeToken) {
+    const sub = subscriptions.find((s) => s.unsubscribeToken === unsubscribeToken);
+    if (!sub) return null;
+    if (sub.status !== STATUS.UNSUBSCRIBED) {
+      sub.status = STATUS.UNSUBSCRIBED;
+      await save();
+    }
+    return sub;
+  }
+
+  function active() {
+    return subscriptions.filter((s) => s.status === STATUS.ACTIVE);
+  }
+
+  async function markNotified(sub, towns) {
+    sub.notified = [...new Set([...sub.notified, ...towns.map(runKey)])].slice(-MAX_NOTIFIED);
+    await save();
+  }
+
+  return { file, subscribe, confirm, unsubscribe, active, markNotified };
+}
+
+/**
+ * Towns in `townIndex` this subscriber hasn't been told about yet.
+ * @param {Function} locateTown town -> { lat, lng } or null (for radius subscriptions)
+ * @param {Function} distanceKm  ({lat,lng}, {lat,lng}) -> km
+ */
+function newTownsFor(sub, townIndex, { locateTown, distanceKm }) {
+  const sent = sub.notified || [];
+  return (townIndex || []).filter((t) => {
+    if (alreadyNotified(sent, t)) return false;
+    if (sub.townSlug) return t.townSlug === sub.townSlug;
+    if (sub.postcode) {
+      const point = locateTown(t);
+      return Boolean(point) && distanceKm(sub, point) <= sub.radiusMiles * 1.609344;
+    }
+    return true;
+  });
+}
+
+module.exports = {
+  SUBSCRIPTION_STATUS: STATUS,
+  createSubscriptionStore,
+  newTownsFor,
+  normaliseEmail,
+};
@@ -0,0 +1,159 @@
+const fs = require("fs");
+const { dayNumber, RUN_GAP_DAYS } = require("./townEngine");
+const { writeJsonAtomic } = require("./atomicWrite");
+
+// -------------------------
+// Tour history
+// -------------------------
+// The live data only holds today onwards, so every run we publish is recorded
+// here as it's seen and kept after it finishes:
+//   { "runs": [{ townSlug, town, venueName, postcode, show, reference,
+//                startDay, endDay, eventId }] }
+//
+// A run is one event in one town. Each refresh widens its recorded range
+// (past dates drop out of the feed, so startDay only ever moves earlier here).
+// The same event id seen again more than RUN_GAP_DAYS later (a reused event
+// next season) starts a new run. Runs from before the site kept history can be
+// added to the file by hand in the same shape; eventId is optional.
+
+function createTourHistory({ file }) {
+  let runs = [];
+
+  try {
+    runs = JSON.parse(fs.readFileSync(file, "utf8")).runs || [];
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn("Tour history not readable:", file, err.message);
+  }
+
+  async function save() {
+    await writeJsonAtomic(file, { runs });
+  }
+
+  function findRun(eventId, startDay, endDay) {
+    const start = dayNumber(startDay);
+    const end = dayNumber(endDay);
+    return runs.find(
+      (r) =>
+        r.eventId === eventId &&
+        start <= dayNumber(r.endDay) + RUN_GAP_DAYS &&
+        end >= dayNumber(r.startDay) - RUN_GAP_DAYS
+    );
+  }
+
+  /**
+   * Record every event in a town index (buildTownIndex output).
+   * @returns {Promise<boolean>} whether anything changed
+   */
+  async function record(townIndex) {
+    const before = JSON.stringify(runs);
+
+    for (const t of townIndex || []) {
+      for (const ev of t.events || []) {
+        if (!ev.fromDay || !ev.toDay) continue;
+        const eventId = String(ev.id || `${ev.eventName}|${t.townSlug}`);
+        const v = ev.venueInfo || {};
+        const details = {
+          townSlug: t.townSlug,
+          town: t.town,
+          venueName: v.venueName || "",
+          postcode: v.postcode || "",
+          show: ev.eventName || "",
+          reference: ev.reference || "",
+        };
+
+        const run = findRun(eventId, ev.fromDay, ev.toDay);
+        if (run) {
+          // Latest names win (a corrected town or venue name applies to the whole run)
+          Object.assign(run, details, {
+            startDay: ev.fromDay < run.startDay ? ev.fromDay : run.startDay,
+            endDay: ev.toDay > run.endDay ? ev.toDay : run.endDay,
+          });
+        } else {
+          runs.push({ ...details, startDay: ev.fromDay, endDay: ev.toDay, eventId });
+        }
+      }
+    }
+
+    runs.sort((a, b) => (a.startDay < b.startDay ? -1 : a.startDay > b.startDay ? 1 : 0));
+    if (JSON.stringify(runs) === before) return false;
+    await save();
+    return true;
+  }
+
+  // Runs finished before `todayKey` ("YYYY-MM-DD"), newest first
+  function completedRuns(todayKey, { townSlug = null } = {}) {
+    return runs
+      .filter((r) => r.endDay < todayKey && (!townSlug || r.townSlug === townSlug))
+      .sort((a, b) => (a.startDay < b.startDay ? 1 : -1));
+  }
+
+  function runsForTown(townSlug) {
+    return runs.filter((r) => r.townSlug === townSlug);
+  }
+
+  return { file, record, completedRuns, runsForTown };
+}
+
+// -------------------------
+// "Every summer since 2019"
+// -------------------------
+function seasonOf(dayKey) {
+  const month = Number(dayKey.slice(5, 7));
+  if (month >= 3 && month <= 5) return "spring";
+  if (month >= 6 && month <= 8) return "summer";
+  if (month >= 9 && month <= 11) return "autumn";
+  return "winter";
+}
+
+// Overlapping or back-to-back runs (two venues, two shows) are one visit
+function countVisits(runs) {
+  const sorted = [...runs].sort((a, b) => (a.startDay < b.startDay ? -1 : 1));
+  let visits = 0;
+  let visitEnd = -Infinity;
+  for (const r of sorted) {
+    if (dayNumber(r.startDay) > visitEnd + RUN_GAP_DAYS) visits++;
+    visitEnd = Math.max(visitEnd, dayNumber(r.endDay));
+  }
+  return visits;
+}
+
+/**
+ * One line about how often we've been to a town, from all its runs (past and
+ * current). "" for a first visit.
+ *   3+ consecutive years -> "We've visited Skegness every summer since 2019."
+ *   3+ visits            -> "We've visited Oundle 4 times since 2018."
+ *   an earlier visit     -> "Welcome back – we last visited Oundle in April 2025."
+ *                           ("We last visited ..." once nothing is booked)
+ */
+function describeVisits(townName, runs = [], { todayKey } = {}) {
+  if (!runs.length) return "";
+
+  const years = [...new Set(runs.map((r) => Number(r.startDay.slice(0, 4))))].sort((a, b) => a - b);
+  const firstYear = years[0];
+  const lastYear = years[years.length - 1];
+  const consecutive = years.length === lastYear - firstYear + 1;
+  const currentYear = todayKey ? Number(todayKey.slice(0, 4)) : lastYear;
+
+  if (years.length >= 3 && consecutive && lastYear >= currentYear - 1) {
+    const seasons = new Set(runs.map((r) => seasonOf(r.startDay)));
+    const when = seasons.size === 1 ? `every ${[...seasons][0]}` : "every year";
+    return `We've visited ${townName} ${when} since ${firstYear}.`;
+  }
+
+  const visits = countVisits(runs);
+  if (visits >= 3) return `We've visited ${townName} ${visits} times since ${firstYear}.`;
+
+  const past = todayKey ? runs.filter((r) => r.endDay < todayKey) : [];
+  if (!past.length) return "";
+  const last = past.reduce((a, b) => (a.endDay > b.endDay ? a : b));
+  const month = new Date(`${last.startDay}T12:00:00Z`).toLocaleDateString("en-GB", {
+    month: "long",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+  return runs.some((r) => r.endDay >= todayKey)
+    ? `Welcome back – we last visited ${townName} in ${month}.`
+    : `We last visited ${townName} in ${month}.`;
+}
+
+module.exports = { createTourHistory, describeVisits };
@@ -0,0 +1,114 @@
+const fs = require("fs");
+const { slugifyTown } = require("./townEngine");
+const { writeJsonAtomic } = require("./atomicWrite");
+
+// -------------------------
+// Tour overrides (edited from /admin)
+// -------------------------
+// Local fixes for things we can't change in TicketSource, stored as one JSON
+// file:
+//   {
+//     "venues": { "<venue key>": { "town": "Peterborough", "townSlug": "peterborough" } },
+//     "hiddenEvents": ["<event id>"],
+//     "towns": { "<town slug>": { "description": "...", "notes": "Parking on ..." } }
+//   }
+// Venue keys are the venue id when TicketSource gives one, else the postcode,
+// else the venue name (see venueOverrideKey). Overrides are applied when the
+// grouped events are read, never written back into the fetched dataset, so
+// removing an override restores the provider's value.
+
+function emptyOverrides() {
+  return { venues: {}, hiddenEvents: [], towns: {} };
+}
+
+function normaliseKey(key) {
+  return String(key || "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+function venueOverrideKey(venueInfo = {}) {
+  return normaliseKey(venueInfo.venueId || venueInfo.postcode || venueInfo.venueName);
+}
+
+function cleanOverrides(raw = {}) {
+  const out = emptyOverrides();
+
+  for (const [key, value] of Object.entries(raw.venues || {})) {
+    const town = String(value?.town || "").trim();
+    const townSlug = slugifyTown(value?.townSlug || "");
+    if (town || townSlug) out.venues[normaliseKey(key)] = { town, townSlug };
+  }
+
+  out.hiddenEvents = [...new Set((raw.hiddenEvents || []).map(String).filter(Boolean))];
+
+  for (const [slug, value] of Object.entries(raw.towns || {})) {
+    const description = String(value?.description || "").trim();
+    const notes = String(value?.notes || "").trim();
+    if (description || notes) out.towns[slugifyTown(slug)] = { description, notes };
+  }
+
+  return out;
+}
+
+/**
+ * @param {Object} opts
+ * @param {string} opts.file JSON file holding the overrides (created on first save)
+ */
+function createOverridesStore({ file }) {
+  let current = emptyOverrides();
+
+  try {
+    current = cleanOverrides(JSON.parse(fs.readFileSync(file, "utf8")));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn("Tour overrides file not readable:", file, err.message);
+  }
+
+  function get() {
+    return current;
+  }
+
+  // `mutate` gets a copy to edit; the cleaned result becomes current at once (so
+  // an overlapping update builds on it) and is saved
+  async function update(mutate) {
+    const draft = JSON.parse(JSON.stringify(current));
+    mutate(draft);
+    const next = cleanOverrides(draft);
+
+    current = next;
+    await writeJsonAtomic(file, next);
+    return current;
+  }
+
+  return { file, get, update };
+}
+
+/**
+ * Grouped events with overrides applied: hidden events dropped, venues moved
+ * to their corrected town. Events are shallow-copied; `rawTown` keeps the
+ * provider's value and `townSlug` carries a slug override for buildTownIndex.
+ */
+function applyTourOverrides(groupedEvents, overrides = emptyOverrides()) {
+  const hidden = new Set(overrides.hiddenEvents || []);
+  const out = {};
+
+  for (const [town, events] of Object.entries(groupedEvents || {})) {
+    for (const ev of events || []) {
+      if (ev.id && hidden.has(String(ev.id))) continue;
+
+      const fix = overrides.venues?.[venueOverrideKey(ev.venueInfo)] || {};
+      const townName = fix.town || town;
+      const copy = { ...ev, town: townName, rawTown: ev.rawTown || town };
+      if (fix.townSlug) copy.townSlug = fix.townSlug;
+
+      out[townName] = out[townName] || [];
+      out[townName].push(copy);
+    }
+  }
+
+  return out;
+}
+
+module.exports = {
+  createOverridesStore,
+  applyTourOverrides,
+  venueOverrideKey,
+};
@@ -1,15 +1,50 @@
-function startOfTodayLocal() {
-  const now = new Date();
-  return new Date(now.getFullYear(), now.getMonth(), now.getDate());
-}
+// -------------------------
+// Town status engine
+// -------------------------
+// Turns grouped events ({ [townName]: [event] }) into the town index used by
+// the API, tour-locations, town pages and the sitemap.
+//
+// All day maths happens on calendar days in `timeZone` (not the server's TZ),
+// and "now" is injectable so statuses are deterministic.
+//
+// Status state machine (one run, `today` = calendar day of `now`):
+//
+//   PAST         last performance day < today, and nothing still running
+//   FINAL_DAY    today is the last performance day, or the last show started
+//                yesterday and is still running past midnight
+//   IN_TOWN_NOW  first day <= today < last day
+//                (+ finalWeekend: today is Fri/Sat/Sun and the run ends this weekend)
+//   NEXT_STOP    the earliest town that starts after the current run's last
+//                day (the soonest-ending run if we're in several towns, or
+//                today if we're between towns); overrides COMING_SOON/LATER
+//                for that one town
+//   COMING_SOON  starts within `comingSoonDays`
+//   LATER        everything else
+//
+// A run is one visit to a town: its performances with no gap longer than
+// RUN_GAP_DAYS. A town visited in April and again at Halloween has two runs,
+// and between them it's COMING_SOON/LATER/NEXT_STOP like any other town.
+// Towns that overlap (e.g. a Halloween run alongside the general tour) are
+// each given their own status; a run that starts before the current run
+// ends stays COMING_SOON rather than NEXT_STOP.
+// Multi-venue towns are one entry: every event under the town (and under any
+// other town name that slugifies the same) counts towards its date range.
+// Within a town, groupTownShows() splits the events back out by venue and
+// show type for the town page cards.
+// An event carrying `townSlug` (an admin override) sets the slug for its town.
 
-function isSameLocalDay(a, b) {
-  return (
-    a.getFullYear() === b.getFullYear() &&
-    a.getMonth() === b.getMonth() &&
-    a.getDate() === b.getDate()
-  );
-}
+const DEFAULT_TIME_ZONE = "Europe/London";
+const DEFAULT_SHOW_DURATION_MINUTES = 150;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STATUS = {
+  PAST: "PAST",
+  FINAL_DAY: "FINAL_DAY",
+  IN_TOWN_NOW: "IN_TOWN_NOW",
+  NEXT_STOP: "NEXT_STOP",
+  COMING_SOON: "COMING_SOON",
+  LATER: "LATER",
+};
 
 function slugifyTown(town) {
   return String(town || "")
@@ -17,75 +52,323 @@ function slugifyTown(town) {
     .toLowerCase()
     .replace(/&/g, "and")
     .replace(/[^a-z0-9]+/g, "-")
-    .replace(/(^-|-$)/g, "");
+    .replace(/(^-|-$)+/g, "");
 }
 
-function buildTownIndex(groupedEvents, opts = {}) {
-  const today = opts.today ?? startOfTodayLocal();
-  const comingSoonDays = opts.comingSoonDays ?? 28;
+// -------------------------
+// Calendar-day helpers (timezone aware)
+// -------------------------
+const __dayFormatters = new Map();
+
+function dayFormatter(timeZone) {
+  if (!__dayFormatters.has(timeZone)) {
+    __dayFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-CA", {
+        timeZone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+      })
+    );
+  }
+  return __dayFormatters.get(timeZone);
+}
+
+// "YYYY-MM-DD" for the calendar day `date` falls on in `timeZone`
+function localDayKey(date, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = dayFormatter(timeZone).formatToParts(new Date(date));
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+  return `${get("year")}-${get("month")}-${get("day")}`;
+}
+
+// Day keys as integers, so "days between" is plain subtraction
+function dayNumber(dayKey) {
+  const [y, m, d] = dayKey.split("-").map(Number);
+  return Math.round(Date.UTC(y, m - 1, d) / DAY_MS);
+}
+
+function dayKeyFromNumber(n) {
+  return new Date(n * DAY_MS).toISOString().slice(0, 10);
+}
+
+// 0 = Sunday … 6 = Saturday
+function weekdayOfDay(dayKey) {
+  return new Date(dayNumber(dayKey) * DAY_MS).getUTCDay();
+}
+
+function isWeekendDay(dayKey) {
+  const d = weekdayOfDay(dayKey);
+  return d === 5 || d === 6 || d === 0;
+}
+
+function isSameLocalDay(a, b, timeZone = DEFAULT_TIME_ZONE) {
+  return localDayKey(a, timeZone) === localDayKey(b, timeZone);
+}
 
-  const comingSoonLimit = new Date(today);
-  comingSoonLimit.setDate(comingSoonLimit.getDate() + comingSoonDays);
+// UTC offset (ms) of `timeZone` at instant `date`
+function zoneOffsetMs(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value);
+  const asUtc = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second"));
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant local midnight starts `dayKey` in `timeZone`
+function startOfDayInZone(dayKey, timeZone = DEFAULT_TIME_ZONE) {
+  const [y, m, d] = dayKey.split("-").map(Number);
+  const guess = Date.UTC(y, m - 1, d);
+  const first = guess - zoneOffsetMs(new Date(guess), timeZone);
+  // Re-check once in case the guess straddled a DST change
+  return new Date(guess - zoneOffsetMs(new Date(first), timeZone));
+}
+
+// 0-23 wall-clock hour in `timeZone`
+function localHour(date, timeZone = DEFAULT_TIME_ZONE) {
+  const d = new Date(date);
+  return new Date(d.getTime() + zoneOffsetMs(d, timeZone)).getUTCHours();
+}
+
+function startOfToday({ now = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+  return startOfDayInZone(localDayKey(now, timeZone), timeZone);
+}
 
-  const towns = [];
+// ISO 8601 with the zone's offset, e.g. "2027-07-24T14:00:00+01:00"
+function toZonedISO(date, timeZone = DEFAULT_TIME_ZONE) {
+  const d = new Date(date);
+  const offsetMin = Math.round(zoneOffsetMs(d, timeZone) / 60000);
+  const wall = new Date(Math.floor(d.getTime() / 1000) * 1000 + offsetMin * 60000);
+  const sign = offsetMin < 0 ? "-" : "+";
+  const abs = Math.abs(offsetMin);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${wall.toISOString().slice(0, 19)}${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
 
-  for (const [town, townEvents] of Object.entries(groupedEvents)) {
-    const perfDates = [];
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone });
+    return Boolean(timeZone);
+  } catch (err) {
+    return false;
+  }
+}
 
-    for (const ev of townEvents) {
-      for (const d of ev.dates || []) {
-        if (!d.startISO) continue;
-        const dt = new Date(d.startISO);
-        if (dt >= today) perfDates.push(dt);
-      }
+// -------------------------
+// Town index
+// -------------------------
+function collectPerformances(events, showDurationMs) {
+  const perfs = [];
+  for (const ev of events) {
+    for (const d of ev.dates || []) {
+      if (!d.startISO) continue;
+      const start = new Date(d.startISO);
+      if (Number.isNaN(start.getTime())) continue;
+      const end = d.endISO ? new Date(d.endISO) : new Date(start.getTime() + showDurationMs);
+      perfs.push({ start, end });
     }
+  }
+  return perfs.sort((a, b) => a.start - b.start);
+}
 
-    // ❌ no upcoming dates at all → skip completely
-    if (perfDates.length === 0) continue;
+function townSlugFor(town, events) {
+  const pinned = (events || []).find((ev) => ev && ev.townSlug);
+  return pinned ? slugifyTown(pinned.townSlug) : slugifyTown(town);
+}
 
-    perfDates.sort((a, b) => a - b);
-    const startDate = perfDates[0];
-    const endDate = perfDates[perfDates.length - 1];
+function venueKey(ev) {
+  const v = ev.venueInfo || {};
+  return [v.venueName, v.postcode].filter(Boolean).join("|").toLowerCase();
+}
 
-    let status;
+// A gap of more than this many days between performances in one town starts
+// a new run (a Halloween visit months after the spring one)
+const RUN_GAP_DAYS = 21;
 
-    if (today > endDate) {
-      continue; // PAST → remove entirely
-    } else if (isSameLocalDay(today, endDate)) {
-      status = "FINAL_DAY";
-    } else if (today >= startDate && today < endDate) {
-      status = "IN_TOWN_NOW";
-    } else if (startDate <= comingSoonLimit) {
-      status = "COMING_SOON";
+// Performances (sorted) -> [{ first, last, startDay, endDay }], day numbers in `timeZone`
+function splitRuns(perfs, timeZone) {
+  const runs = [];
+  for (const perf of perfs) {
+    const day = dayNumber(localDayKey(perf.start, timeZone));
+    const run = runs[runs.length - 1];
+    if (run && day - run.endDay <= RUN_GAP_DAYS) {
+      run.last = perf;
+      run.endDay = day;
     } else {
-      status = "LATER"; // ✅ KEEP THESE
+      runs.push({ first: perf, last: perf, startDay: day, endDay: day });
     }
+  }
+  return runs;
+}
+
+function runStatus(run, { now, today, comingSoonDays }) {
+  const lastShowRunning = run.last.start <= now && now < run.last.end;
+  if (run.endDay === today || (run.endDay < today && lastShowRunning)) return STATUS.FINAL_DAY;
+  if (run.endDay < today) return STATUS.PAST;
+  if (run.startDay <= today) return STATUS.IN_TOWN_NOW;
+  if (run.startDay - today <= comingSoonDays) return STATUS.COMING_SOON;
+  return STATUS.LATER;
+}
+
+/**
+ * Build the town index from grouped events.
+ *
+ * A town can be visited more than once (see RUN_GAP_DAYS): each visit is a run
+ * with its own status, and the town's own dates and status are those of its
+ * current run, else its next one, else its last one.
+ *
+ * @param {Object} groupedEvents { [townName]: [event] } from buildGroupedEvents
+ * @param {Object} [opts]
+ * @param {Date}   [opts.now]                 defaults to the current time
+ * @param {string} [opts.timeZone]            IANA zone for day maths (default Europe/London)
+ * @param {number} [opts.comingSoonDays]      COMING_SOON window (default 28)
+ * @param {boolean}[opts.includePast]         keep PAST towns (default false)
+ * @param {number} [opts.showDurationMinutes] assumed length when a date has no endISO (default 150)
+ * @returns {Array} towns sorted by the first performance of their current run;
+ *   each with `runs` [{ startDay, endDay, startDateISO, endDateISO, status, finalWeekend }]
+ */
+function buildTownIndex(groupedEvents, opts = {}) {
+  const now = opts.now ? new Date(opts.now) : new Date();
+  const timeZone = opts.timeZone || DEFAULT_TIME_ZONE;
+  const comingSoonDays = opts.comingSoonDays ?? 28;
+  const includePast = opts.includePast ?? false;
+  const showDurationMs = (opts.showDurationMinutes ?? DEFAULT_SHOW_DURATION_MINUTES) * 60 * 1000;
 
-    towns.push({
-      town,
-      townSlug: slugifyTown(town),
-      startDateISO: startDate.toISOString(),
-      endDateISO: endDate.toISOString(),
-      status,
-      events: townEvents,
-    });
+  const today = dayNumber(localDayKey(now, timeZone));
+  const todayKey = dayKeyFromNumber(today);
+  // Final weekend: we're on a Fri/Sat/Sun and the run ends by this Sunday
+  const daysToSunday = (7 - weekdayOfDay(todayKey)) % 7;
+
+  // Merge town names that share a slug ("St Ives" / "St. Ives") into one entry
+  const bySlug = new Map();
+  for (const [town, townEvents] of Object.entries(groupedEvents || {})) {
+    const townSlug = townSlugFor(town, townEvents);
+    if (!townSlug) continue;
+    if (!bySlug.has(townSlug)) bySlug.set(townSlug, { town, townSlug, events: [] });
+    bySlug.get(townSlug).events.push(...(townEvents || []));
+  }
+
+  const entries = [];
+  for (const entry of bySlug.values()) {
+    const perfs = collectPerformances(entry.events, showDurationMs);
+    if (!perfs.length) continue;
+
+    const runs = splitRuns(perfs, timeZone).map((run) => ({
+      ...run,
+      status: runStatus(run, { now, today, comingSoonDays }),
+    }));
+    entries.push({ ...entry, runs });
   }
 
-  const rank = {
-    FINAL_DAY: 0,
-    IN_TOWN_NOW: 1,
-    COMING_SOON: 2,
-    LATER: 3,
-  };
-
-  towns.sort((a, b) => {
-    const ra = rank[a.status] ?? 9;
-    const rb = rank[b.status] ?? 9;
-    if (ra !== rb) return ra - rb;
-    return new Date(a.startDateISO) - new Date(b.startDateISO);
+  // NEXT_STOP: first run starting after the soonest-ending current run
+  const allRuns = entries.flatMap((e) => e.runs).sort((a, b) => a.first.start - b.first.start);
+  const current = allRuns.filter((r) => r.status === STATUS.IN_TOWN_NOW || r.status === STATUS.FINAL_DAY);
+  const afterDay = current.length ? Math.min(...current.map((r) => r.endDay)) : today;
+  const next = allRuns.find(
+    (r) => (r.status === STATUS.COMING_SOON || r.status === STATUS.LATER) && r.startDay > afterDay
+  );
+  if (next) next.status = STATUS.NEXT_STOP;
+
+  const towns = entries.map((entry) => {
+    const runs = entry.runs.map((run) => ({
+      startDay: dayKeyFromNumber(run.startDay),
+      endDay: dayKeyFromNumber(run.endDay),
+      startDateISO: toZonedISO(run.first.start, timeZone),
+      endDateISO: toZonedISO(run.last.start, timeZone),
+      status: run.status,
+      finalWeekend:
+        run.status === STATUS.IN_TOWN_NOW && isWeekendDay(todayKey) && run.endDay - today <= daysToSunday,
+    }));
+    const run = runs.find((r) => r.status !== STATUS.PAST) || runs[runs.length - 1];
+
+    return {
+      town: entry.town,
+      townSlug: entry.townSlug,
+      startDateISO: run.startDateISO,
+      endDateISO: run.endDateISO,
+      startDay: run.startDay,
+      endDay: run.endDay,
+      status: run.status,
+      finalWeekend: run.finalWeekend,
+      runs,
+      venueCount: new Set(entry.events.map(venueKey).filter(Boolean)).size || 1,
+      events: entry.events,
+    };
   });
 
-  return towns;
+  towns.sort((a, b) => new Date(a.startDateISO) - new Date(b.startDateISO));
+
+  return includePast ? towns : towns.filter((t) => t.status !== STATUS.PAST);
+}
+
+// -------------------------
+// Shows within a town
+// -------------------------
+/**
+ * Split a town's events into one show per venue + show type (reference), so
+ * two sites in the same town, or a Halloween run alongside the general tour,
+ * each get their own card and booking widget.
+ *
+ * @param {Array} events a town's events (townObj.events)
+ * @returns {Array} [{ key, venueKey, venueInfo, reference, showName, description,
+ *   thumbnail, events, dates }] sorted by first performance; `dates` holds every
+ *   event's dates, earliest first. Shows with no dates are left out.
+ */
+function groupTownShows(events) {
+  const shows = new Map();
+
+  for (const ev of events || []) {
+    const vKey = venueKey(ev) || String(ev.venueInfo?.venueId || "");
+    const key = `${vKey}::${String(ev.reference || "").toLowerCase()}`;
+    if (!shows.has(key)) {
+      shows.set(key, {
+        key,
+        venueKey: vKey,
+        venueInfo: ev.venueInfo || {},
+        reference: ev.reference || "",
+        showName: ev.eventName || "",
+        description: ev.description || "",
+        thumbnail: "",
+        events: [],
+        dates: [],
+      });
+    }
+    const show = shows.get(key);
+    show.events.push(ev);
+    show.dates.push(...(ev.dates || []).filter((d) => d && d.startISO));
+    if (!show.thumbnail && ev.thumbnail) show.thumbnail = ev.thumbnail;
+  }
+
+  return [...shows.values()]
+    .filter((show) => show.dates.length)
+    .map((show) => ({ ...show, dates: show.dates.sort((a, b) => new Date(a.startISO) - new Date(b.startISO)) }))
+    .sort((a, b) => new Date(a.dates[0].startISO) - new Date(b.dates[0].startISO));
 }
 
-module.exports = { buildTownIndex, slugifyTown };
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  DEFAULT_SHOW_DURATION_MINUTES,
+  RUN_GAP_DAYS,
+  STATUS,
+  buildTownIndex,
+  groupTownShows,
+  slugifyTown,
+  townSlugFor,
+  localDayKey,
+  dayNumber,
+  isWeekendDay,
+  isSameLocalDay,
+  startOfDayInZone,
+  startOfToday,
+  localHour,
+  toZonedISO,
+  isValidTimeZone,
+};
@@ -0,0 +1,135 @@
+const fs = require("fs");
+const { parseLatLng } = require("./postcodes");
+const { writeJsonAtomic } = require("./atomicWrite");
+
+// -------------------------
+// Venue profiles (edited from /admin)
+// -------------------------
+// What TicketSource doesn't know about a venue, kept locally as one JSON file:
+//   {
+//     "venues": {
+//       "<venue id | postcode | venue name>": {
+//         "what3words": "filled.count.soap",
+//         "lat": 52.4812, "lng": -0.4698,
+//         "parking": "Free parking on site",
+//         "toilets": "Portable toilets next to the big top",
+//         "wheelchair": "Level grass; wheelchair spaces at ringside",
+//         "dogs": "Assistance dogs only",
+//         "busStop": "Benefield Road (routes 24, X4), 5 minutes' walk"
+//       }
+//     }
+//   }
+// Keys follow venueOverrideKey: the venue id when TicketSource gives one, else
+// the postcode, else the venue name. profileFor() merges an entry with the
+// provider's venueInfo; empty fields are simply left off the page.
+
+const PROFILE_TEXT_FIELDS = ["parking", "toilets", "wheelchair", "dogs", "busStop"];
+const MAX_FIELD_LENGTH = 600;
+
+// "///filled.count.soap" / "filled.count.soap" -> "filled.count.soap"
+const WHAT3WORDS_RE = /^\p{L}+\.\p{L}+\.\p{L}+$/u;
+
+function normaliseKey(key) {
+  return String(key || "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+function normaliseWhat3words(input) {
+  const words = String(input || "").trim().replace(/^\/+/, "").toLowerCase();
+  return WHAT3WORDS_RE.test(words) ? words : "";
+}
+
+function cleanProfile(value = {}) {
+  const out = {};
+
+  const what3words = normaliseWhat3words(value.what3words);
+  if (what3words) out.what3words = what3words;
+
+  // Number("") is 0, so a blank form field mustn't reach parseLatLng
+  const blank = (v) => v == null || String(v).trim() === "";
+  const point = blank(value.lat) || blank(value.lng) ? null : parseLatLng(value.lat, value.lng);
+  if (point) Object.assign(out, point);
+
+  for (const field of PROFILE_TEXT_FIELDS) {
+    const text = String(value[field] || "").trim().slice(0, MAX_FIELD_LENGTH);
+    if (text) out[field] = text;
+  }
+  return out;
+}
+
+function cleanProfiles(raw = {}) {
+  const venues = {};
+  for (const [key, value] of Object.entries(raw.venues || {})) {
+    const profile = cleanProfile(value);
+    if (normaliseKey(key) && Object.keys(profile).length) venues[normaliseKey(key)] = profile;
+  }
+  return { venues };
+}
+
+/**
+ * @param {Object} opts
+ * @param {string} opts.file JSON file holding the profiles (created on first save)
+ * @param {(venueInfo: Object) => ({ lat: number, lng: number, source: string } | null)} [opts.locateVenue]
+ *   fallback position when a profile has no lat/lng (see createVenueLocator)
+ */
+function createVenueProfileStore({ file, locateVenue = () => null }) {
+  let current = { venues: {} };
+
+  try {
+    current = cleanProfiles(JSON.parse(fs.readFileSync(file, "utf8")));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn("Venue profiles file not readable:", file, err.message);
+  }
+
+  function get() {
+    return current;
+  }
+
+  // `mutate` gets a copy to edit; the cleaned result becomes current at once (so
+  // an overlapping update builds on it) and is saved
+  async function update(mutate) {
+    const draft = JSON.parse(JSON.stringify(current));
+    mutate(draft);
+    const next = cleanProfiles(draft);
+
+    current = next;
+    await writeJsonAtomic(file, next);
+    return current;
+  }
+
+  // The saved entry for a venue, trying its id, then postcode, then name
+  // -> { key, fields } (key null when there isn't one)
+  function entryFor(venueInfo = {}) {
+    const keys = [venueInfo.venueId, venueInfo.postcode, venueInfo.venueName].map(normaliseKey).filter(Boolean);
+    const key = keys.find((k) => current.venues[k]);
+    return key ? { key, fields: current.venues[key] } : { key: null, fields: {} };
+  }
+
+  /**
+   * venueInfo (from pickVenueInfo) plus the local fields. `lat`/`lng` come from
+   * the profile, else the venue locator; `precise` is false when the position
+   * is only a postcode-area centroid (fine for distances, not for a map pin).
+   */
+  function profileFor(venueInfo = {}) {
+    const local = entryFor(venueInfo).fields;
+    const located = local.lat != null ? null : locateVenue(venueInfo);
+
+    const profile = { ...venueInfo, ...local };
+    if (local.lat != null) {
+      profile.precise = true;
+    } else if (located) {
+      profile.lat = located.lat;
+      profile.lng = located.lng;
+      profile.precise = located.source === "override";
+    } else {
+      profile.precise = false;
+    }
+    return profile;
+  }
+
+  return { file, get, update, entryFor, profileFor };
+}
+
+module.exports = {
+  PROFILE_TEXT_FIELDS,
+  createVenueProfileStore,
+};
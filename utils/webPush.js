@@ -0,0 +1,89 @@
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+
+// -------------------------
+// Web Push (VAPID)
+// -------------------------
+// VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY when set, otherwise a key pair kept in
+// PUSH_KEYS_FILE (default .cache/vapid-keys.json), generated on first start.
+// Browsers tie every push subscription to the public key, so the file must
+// survive deploys (persistent disk) or every subscriber is silently lost.
+//
+// web-push builds the encrypted, VAPID-signed request and axios delivers it
+// to the endpoint the browser handed us, which isValidSubscription
+// (utils/pushSubscriptions.js) limits to the known push services. Outside
+// production a plain-http localhost endpoint is allowed too, so a local
+// stand-in push service can be used for testing: subscribe with an endpoint
+// pointing at it and it receives the real request.
+
+const DEFAULT_KEYS_FILE = path.join(__dirname, "..", ".cache", "vapid-keys.json");
+
+function loadVapidKeys({ file = DEFAULT_KEYS_FILE, env = process.env } = {}) {
+  if (env.VAPID_PUBLIC_KEY && env.VAPID_PRIVATE_KEY) {
+    return { publicKey: env.VAPID_PUBLIC_KEY.trim(), privateKey: env.VAPID_PRIVATE_KEY.trim() };
+  }
+
+  try {
+    const keys = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (keys.publicKey && keys.privateKey) return { publicKey: keys.publicKey, privateKey: keys.privateKey };
+    console.warn("Push keys file has no key pair; generating a new one:", file);
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn("Push keys file not readable:", file, err.message);
+  }
+
+  const webpush = require("web-push");
+  const keys = webpush.generateVAPIDKeys();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ ...keys, createdAt: new Date().toISOString() }, null, 2) + "\n", {
+    encoding: "utf8",
+    mode: 0o600,
+  });
+  console.log("Generated Web Push keys in", file);
+  return keys;
+}
+
+/**
+ * @param {Object} opts
+ * @param {{ publicKey: string, privateKey: string }} opts.keys
+ * @param {string} opts.subject "mailto:…" or the site URL, sent to push services as a contact
+ */
+function createPushSender({ keys, subject }) {
+  const webpush = require("web-push");
+  const vapidDetails = { subject, publicKey: keys.publicKey, privateKey: keys.privateKey };
+
+  /**
+   * Send one notification. Resolves { gone: true } when the push service says
+   * the subscription no longer exists (404/410), so the caller can drop it;
+   * any other failure rejects.
+   */
+  async function send(subscription, payload, { ttlSeconds = 12 * 60 * 60 } = {}) {
+    const request = webpush.generateRequestDetails(
+      { endpoint: subscription.endpoint, keys: subscription.keys },
+      JSON.stringify(payload),
+      { vapidDetails, TTL: ttlSeconds, urgency: "normal" }
+    );
+
+    const res = await axios({
+      method: request.method,
+      url: request.endpoint,
+      headers: request.headers,
+      data: request.body,
+      timeout: 15000,
+      maxRedirects: 0,
+      validateStatus: () => true,
+    });
+
+    if (res.status === 404 || res.status === 410) return { gone: true };
+    if (res.status < 200 || res.status >= 300) {
+      const err = new Error(`Push service responded ${res.status}`);
+      err.statusCode = res.status;
+      throw err;
+    }
+    return { gone: false };
+  }
+
+  return { publicKey: keys.publicKey, send };
+}
+
+module.exports = { loadVapidKeys, createPushSender };